@@ -1,12 +1,107 @@
-import MotorPointerTraceBucket from '../models/MotorPointerTraceBucket.js';
+import { once } from 'events';
+import parquet from 'parquetjs-lite';
+import MotorPointerTraceBucket, { parseSampleCursor } from '../models/MotorPointerTraceBucket.js';
 import MotorAttemptBucket from '../models/MotorAttemptBucket.js';
-import { MotorRoundSummary, MotorSessionSummary, computeRoundFeatures, computeSessionFeatures } from '../models/MotorSummary.js';
+import { MotorRoundSummary, MotorSessionSummary } from '../models/MotorSummary.js';
 import { logger } from '../services/logging/logger.js';
+import {
+  resolveIngestMode,
+  validateIdempotencyKeys,
+  enqueueBatch,
+  getIngestCursor,
+  applyBatch,
+  processPendingBatches,
+  toBatchStatus,
+} from '../services/ingest/ingestService.js';
+import MotorIngestBatch from '../models/MotorIngestBatch.js';
+import MotorSplitManifest from '../models/MotorSplitManifest.js';
+import { validateSamples, validateAttempts } from '../utils/motorValidation.js';
+import { analyzeSessionTrace } from '../services/motor/traceQualityService.js';
+import { buildReplayTimeline } from '../utils/replayTimeline.js';
+import { recomputeSessionAttempts, reconcileAfterTrace } from '../services/motor/attemptReconciliation.js';
+import { saveRoundSummary, saveSessionSummary, findSummary } from '../services/motor/summaryService.js';
+import { onAttemptsStored, sweepMissingSummaries } from '../services/motor/autoSummaryService.js';
+import { buildNorms, getSessionPercentiles } from '../services/motor/normsService.js';
+import { exportColumns, exportRows } from '../services/motor/exportService.js';
+import { createSplitManifest } from '../services/motor/splitService.js';
+import { EXPORT_FORMATS, EXPORT_LEVELS, csvLine, parquetSchemaFields } from '../utils/trainingExport.js';
+import { FEATURE_VERSIONS, currentFeatureVersion } from '../utils/featureVersions.js';
 
 /**
  * Motor Controllers - ML-Ready Motor Skills Data Management
  */
 
+// ========== INGEST HELPERS ==========
+
+/**
+ * Durable ingestion: log the batch, reply with its ID, then apply it.
+ * If the apply never runs (frozen serverless function) the batch stays
+ * queued and is applied by the status endpoint or the cron drain.
+ * A retried batch (same batchId or seq) is reported as a duplicate.
+ */
+async function acceptDurableBatch(req, res, kind, received, { valid, rejected }) {
+  const { sessionId, userId, batchId, seq } = req.body;
+
+  const keyError = validateIdempotencyKeys({ batchId, seq });
+  if (keyError) {
+    return res.status(400).json({
+      success: false,
+      error: keyError,
+    });
+  }
+
+  const { batch, duplicate, cursor } = await enqueueBatch({
+    kind,
+    sessionId,
+    userId,
+    items: valid,
+    rejectedItems: rejected,
+    clientBatchId: batchId,
+    seq,
+  });
+
+  // Rejected on arrival: unknown session (no cursor) or no valid items
+  if (!duplicate && batch.status === 'rejected') {
+    return res.status(cursor === null ? 404 : 400).json({
+      success: false,
+      error: batch.reason,
+      data: { received, accepted: 0, ...toBatchStatus(batch), clientBatchId: batchId, seq },
+    });
+  }
+
+  if (duplicate) {
+    return res.json({
+      success: true,
+      data: {
+        received,
+        duplicate: true,
+        ...(batch ? toBatchStatus(batch) : { clientBatchId: batchId, seq, sessionId, kind, status: 'applied' }),
+        lastAppliedSeq: cursor.lastAppliedSeq,
+      },
+    });
+  }
+
+  res.status(202).json({
+    success: true,
+    data: {
+      received,
+      accepted: valid.length,
+      duplicate: false,
+      ...toBatchStatus(batch),
+      lastAppliedSeq: cursor.lastAppliedSeq,
+    },
+  });
+
+  setImmediate(() => {
+    applyBatch(batch.batchId).catch(error => {
+      logger.error('Error applying ingest batch:', {
+        batchId: batch.batchId,
+        error: error.message,
+      });
+    });
+  });
+}
+
 // ========== POINTER TRACE ENDPOINTS ==========
 
 /**
@@ -24,12 +119,33 @@ export const logPointerSamples = async (req, res) => {
       });
     }
 
+    // Validate each sample; valid ones are stored, the rest reported
+    const report = validateSamples(samples);
+
+    if (resolveIngestMode(req) === 'durable') {
+      return await acceptDurableBatch(req, res, 'trace', samples.length, report);
+    }
+
+    if (report.valid.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No valid samples in batch',
+        data: {
+          received: samples.length,
+          accepted: 0,
+          rejected: report.rejected,
+        },
+      });
+    }
+
     // Send immediate response to reduce client-side latency
     // Process in background
     res.json({
       success: true,
       data: {
         received: samples.length,
+        accepted: report.valid.length,
+        rejected: report.rejected,
         processing: true,
       },
     });
@@ -37,12 +153,13 @@ export const logPointerSamples = async (req, res) => {
     // Process samples asynchronously after response
     setImmediate(async () => {
       try {
-        const bucket = await MotorPointerTraceBucket.addSamples(sessionId, userId, samples);
+        const bucket = await MotorPointerTraceBucket.addSamples(sessionId, userId, report.valid);
         logger.info('Pointer samples logged', {
           sessionId,
-          count: samples.length,
+          count: report.valid.length,
           bucketNumber: bucket.bucketNumber,
         });
+        await reconcileAfterTrace(sessionId, report.valid);
       } catch (error) {
         logger.error('Error processing pointer samples:', {
           sessionId,
@@ -53,7 +170,7 @@ export const logPointerSamples = async (req, res) => {
   } catch (error) {
     logger.error('Error logging pointer samples:', error);
     
-    if (error.message.includes('does not exist')) {
+    if (error.name === 'SessionValidationError') {
       return res.status(404).json({
         success: false,
         error: error.message,
@@ -67,17 +184,49 @@ export const logPointerSamples = async (req, res) => {
   }
 };
 
+const DEFAULT_TRACE_PAGE_SIZE = 1000;
+const MAX_TRACE_PAGE_SIZE = 10000;
+
 /**
  * Get pointer samples for a session
+ * - default: all samples in one JSON array (legacy)
+ * - ?limit / ?cursor: one page in tms order, with nextCursor
+ * - ?format=ndjson: stream every sample (from ?cursor on) as one JSON line each
  */
 export const getPointerSamples = async (req, res) => {
   try {
     const { sessionId } = req.params;
-    const { round } = req.query;
+    const { round, cursor, limit, format } = req.query;
+    const roundNum = round ? parseInt(round) : null;
+
+    if (format === 'ndjson') {
+      return await streamPointerSamples(req, res, sessionId, roundNum, cursor);
+    }
+
+    if (cursor || limit) {
+      const pageSize = Math.min(parseInt(limit) || DEFAULT_TRACE_PAGE_SIZE, MAX_TRACE_PAGE_SIZE);
+      const page = await MotorPointerTraceBucket.getSamplesPage(sessionId, {
+        round: roundNum,
+        cursor: cursor || null,
+        limit: pageSize,
+      });
+
+      return res.json({
+        success: true,
+        data: {
+          sessionId,
+          round: round || 'all',
+          count: page.samples.length,
+          samples: page.samples,
+          nextCursor: page.nextCursor,
+          hasMore: page.nextCursor !== null,
+        },
+      });
+    }
 
     const samples = await MotorPointerTraceBucket.getSessionSamples(
       sessionId,
-      round ? parseInt(round) : null
+      roundNum
     );
 
     res.json({
@@ -91,6 +240,136 @@ export const getPointerSamples = async (req, res) => {
     });
   } catch (error) {
     logger.error('Error retrieving pointer samples:', error);
+
+    if (error.name === 'CursorError') {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    if (res.headersSent) {
+      return res.end();
+    }
+
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Write a session's samples as NDJSON, one bucket at a time.
+ * Stops early if the client disconnects.
+ */
+async function streamPointerSamples(req, res, sessionId, round, cursor) {
+  const after = cursor ? parseSampleCursor(cursor) : null;
+
+  let closed = false;
+  req.on('close', () => { closed = true; });
+
+  res.status(200);
+  res.setHeader('Content-Type', 'application/x-ndjson');
+
+  let chunk = '';
+  let count = 0;
+
+  for await (const sample of MotorPointerTraceBucket.streamSessionSamples(sessionId, { round, after })) {
+    if (closed) break;
+
+    chunk += JSON.stringify(sample) + '\n';
+    count++;
+
+    // Flush in slices, waiting for the socket when it is backed up
+    if (chunk.length >= 64 * 1024) {
+      if (!res.write(chunk)) {
+        await Promise.race([once(res, 'drain'), once(res, 'close')]);
+      }
+      chunk = '';
+    }
+  }
+
+  if (!closed) {
+    res.end(chunk);
+  }
+
+  logger.info('Pointer samples streamed', { sessionId, round, count, aborted: closed });
+}
+
+/**
+ * Get pointer samples within a time range
+ * Reads only the buckets overlapping [from, to]
+ */
+export const getPointerSamplesInRange = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const { from, to, round } = req.query;
+
+    const fromTms = Number(from);
+    const toTms = Number(to);
+
+    if (from === undefined || to === undefined || !Number.isFinite(fromTms) || !Number.isFinite(toTms) || fromTms > toTms) {
+      return res.status(400).json({
+        success: false,
+        error: 'Numeric from and to (from <= to) are required',
+      });
+    }
+
+    const samples = await MotorPointerTraceBucket.getSamplesInRange(
+      sessionId,
+      fromTms,
+      toTms,
+      round ? parseInt(round) : null
+    );
+
+    res.json({
+      success: true,
+      data: {
+        sessionId,
+        from: fromTms,
+        to: toTms,
+        round: round || 'all',
+        count: samples.length,
+        samples,
+      },
+    });
+  } catch (error) {
+    logger.error('Error retrieving pointer samples in range:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Measure trace quality (sampling rate, jitter, gaps) for a session
+ * GET only reports; POST also writes the measured values to Session.perf
+ */
+export const getTraceQuality = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const gapMs = parseFloat(req.query.gapMs);
+
+    const report = await analyzeSessionTrace(sessionId, {
+      gapThresholdMs: gapMs > 0 ? gapMs : undefined,
+      persist: req.method === 'POST',
+    });
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: report,
+    });
+  } catch (error) {
+    logger.error('Error analyzing trace quality:', error);
     res.status(500).json({
       success: false,
       error: error.message,
@@ -115,11 +394,32 @@ export const logAttempts = async (req, res) => {
       });
     }
 
+    // Validate each attempt; valid ones are stored, the rest reported
+    const report = validateAttempts(attempts);
+
+    if (resolveIngestMode(req) === 'durable') {
+      return await acceptDurableBatch(req, res, 'attempts', attempts.length, report);
+    }
+
+    if (report.valid.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No valid attempts in batch',
+        data: {
+          received: attempts.length,
+          accepted: 0,
+          rejected: report.rejected,
+        },
+      });
+    }
+
     // Send immediate response to reduce client-side latency
     res.json({
       success: true,
       data: {
         received: attempts.length,
+        accepted: report.valid.length,
+        rejected: report.rejected,
         processing: true,
       },
     });
@@ -127,12 +427,13 @@ export const logAttempts = async (req, res) => {
     // Process attempts asynchronously after response
     setImmediate(async () => {
       try {
-        const bucket = await MotorAttemptBucket.addAttempts(sessionId, userId, attempts);
+        const bucket = await MotorAttemptBucket.addAttempts(sessionId, userId, report.valid);
         logger.info('Motor attempts logged', {
           sessionId,
-          count: attempts.length,
+          count: report.valid.length,
           bucketNumber: bucket.bucketNumber,
         });
+        await onAttemptsStored(sessionId, report.valid);
       } catch (error) {
         logger.error('Error processing motor attempts:', {
           sessionId,
@@ -143,7 +444,7 @@ export const logAttempts = async (req, res) => {
   } catch (error) {
     logger.error('Error logging attempts:', error);
     
-    if (error.message.includes('does not exist')) {
+    if (error.name === 'SessionValidationError') {
       return res.status(404).json({
         success: false,
         error: error.message,
@@ -210,68 +511,302 @@ export const getAttemptStats = async (req, res) => {
   }
 };
 
-// ========== SUMMARY ENDPOINTS ==========
+/**
+ * Recompute attempt features from the stored pointer trace
+ * Re-enriches attempts that were saved before their trace arrived
+ */
+export const recomputeAttempts = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const from = parseFloat(req.body?.from ?? req.query.from);
+    const to = parseFloat(req.body?.to ?? req.query.to);
+
+    const result = await recomputeSessionAttempts(sessionId, {
+      from: Number.isFinite(from) ? from : null,
+      to: Number.isFinite(to) ? to : null,
+    });
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    logger.error('Error recomputing attempt features:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// ========== REPLAY ENDPOINTS ==========
 
 /**
- * Compute and save round summary
+ * Get a round's replay timeline
+ * Pointer samples, bubble spawns/despawns and clicks in one time-ordered stream
  */
-export const computeRoundSummary = async (req, res) => {
+export const getRoundReplay = async (req, res) => {
   try {
-    const { sessionId, participantId, round } = req.body;
+    const { sessionId } = req.params;
+    const round = parseInt(req.params.round);
 
-    if (!sessionId || !participantId || !round) {
+    if (![1, 2, 3].includes(round)) {
       return res.status(400).json({
         success: false,
-        error: 'Session ID, participant ID, and round are required',
+        error: 'Round must be 1, 2 or 3',
       });
     }
 
-    // Get session to retrieve userId
-    const Session = (await import('../models/Session.js')).default;
-    const session = await Session.findOne({ sessionId });
-    const userId = session?.userId || null;
+    const attempts = await MotorAttemptBucket.getSessionAttempts(sessionId, round);
 
-    // Compute features for this round
-    const features = await computeRoundFeatures(sessionId, round);
+    // Read only the trace window the round's bubbles were on screen
+    let samples;
+    if (attempts.length > 0) {
+      const ends = attempts.map(a => Math.max(
+        a.spawnTms,
+        a.despawnTms ?? 0,
+        a.click?.tms ?? 0,
+        a.ttlMs != null ? a.spawnTms + a.ttlMs : 0
+      ));
+      samples = await MotorPointerTraceBucket.getSamplesInRange(
+        sessionId,
+        Math.min(...attempts.map(a => a.spawnTms)),
+        Math.max(...ends),
+        round
+      );
+    } else {
+      samples = await MotorPointerTraceBucket.getSessionSamples(sessionId, round);
+    }
 
-    if (!features) {
+    if (attempts.length === 0 && samples.length === 0) {
       return res.status(404).json({
         success: false,
-        error: 'No attempts found for this round',
+        error: 'No data found for this round',
       });
     }
 
-    // Save or update summary
-    const summary = await MotorRoundSummary.findOneAndUpdate(
-      { sessionId, round },
-      {
+    const timeline = buildReplayTimeline(samples, attempts);
+
+    res.json({
+      success: true,
+      data: {
         sessionId,
-        userId,
-        participantId,
         round,
-        counts: {
-          nTargets: features.nAttempts,
-          nHits: features.nHits,
-          nMisses: features.nMisses,
-          hitRate: features.hitRate,
-        },
-        features,
-        featureVersion: 'v1',
+        ...timeline,
       },
-      { upsert: true, new: true }
-    );
+    });
+  } catch (error) {
+    logger.error('Error building round replay:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
 
-    logger.info('Round summary computed', {
-      sessionId,
-      round,
-      hitRate: features.hitRate,
+// ========== INGEST STATUS ENDPOINTS ==========
+
+/**
+ * Get the status of a durable ingest batch
+ * A batch that is still queued is applied on the spot, so polling
+ * always makes progress even if the background apply was lost.
+ */
+export const getIngestBatchStatus = async (req, res) => {
+  try {
+    const { batchId } = req.params;
+
+    let batch = await MotorIngestBatch.findOne({ batchId });
+
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        error: 'Ingest batch not found',
+      });
+    }
+
+    if (batch.status === 'queued') {
+      batch = await applyBatch(batchId);
+    }
+
+    res.json({
+      success: true,
+      data: toBatchStatus(batch),
+    });
+  } catch (error) {
+    logger.error('Error retrieving ingest batch status:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
     });
+  }
+};
+
+/**
+ * Get the upload cursors of a session
+ * Clients resume uploading at lastAppliedSeq + 1 for each stream.
+ */
+export const getSessionIngestCursor = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    const cursor = await getIngestCursor(sessionId);
+
+    if (!cursor) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: cursor,
+    });
+  } catch (error) {
+    logger.error('Error retrieving ingest cursor:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Compute summaries missing for finished sessions (cron sweep)
+ */
+export const sweepSummaries = async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 20;
+    const idleMinutes = parseInt(req.query.idleMinutes) || 60;
+
+    const results = await sweepMissingSummaries({ limit, idleMinutes });
+
+    logger.info('Summary sweep finished', results);
+
+    res.json({
+      success: true,
+      data: results,
+    });
+  } catch (error) {
+    logger.error('Error sweeping summaries:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Rebuild population norms (cron)
+ */
+export const rebuildNorms = async (req, res) => {
+  try {
+    const results = await buildNorms(req.query.featureVersion || currentFeatureVersion());
+
+    res.json({
+      success: true,
+      data: results,
+    });
+  } catch (error) {
+    if (error.name === 'FeatureVersionError') return featureVersionError(res, error);
+    logger.error('Error building motor norms:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Apply queued ingest batches (cron drain)
+ */
+export const drainIngestQueue = async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 50;
+
+    const results = await processPendingBatches({ limit });
+
+    logger.info('Ingest queue drained', results);
+
+    res.json({
+      success: true,
+      data: results,
+    });
+  } catch (error) {
+    logger.error('Error draining ingest queue:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// ========== SUMMARY ENDPOINTS ==========
+
+// Helper: 400 reply for unknown feature versions
+function featureVersionError(res, error) {
+  return res.status(400).json({
+    success: false,
+    error: error.message,
+  });
+}
+
+// Helper: includeFlagged option from body or query (default false)
+function parseIncludeFlagged(req) {
+  const value = req.body?.includeFlagged ?? req.query.includeFlagged;
+  return value === true || value === 'true' || value === '1';
+}
+
+/**
+ * List feature extractor versions
+ */
+export const getFeatureVersions = async (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      current: currentFeatureVersion(),
+      versions: Object.entries(FEATURE_VERSIONS).map(([id, v]) => ({ id, ...v })),
+    },
+  });
+};
+
+/**
+ * Compute and save round summary
+ */
+export const computeRoundSummary = async (req, res) => {
+  try {
+    const { sessionId, participantId, round, featureVersion } = req.body;
+    const includeFlagged = parseIncludeFlagged(req);
+
+    if (!sessionId || !participantId || !round) {
+      return res.status(400).json({
+        success: false,
+        error: 'Session ID, participant ID, and round are required',
+      });
+    }
+
+    const summary = await saveRoundSummary({ sessionId, participantId, round, featureVersion, includeFlagged });
+
+    if (!summary) {
+      return res.status(404).json({
+        success: false,
+        error: 'No attempts found for this round',
+      });
+    }
 
     res.json({
       success: true,
       data: summary,
     });
   } catch (error) {
+    if (error.name === 'FeatureVersionError') return featureVersionError(res, error);
     logger.error('Error computing round summary:', error);
     res.status(500).json({
       success: false,
@@ -285,7 +820,8 @@ export const computeRoundSummary = async (req, res) => {
  */
 export const computeSessionSummary = async (req, res) => {
   try {
-    const { sessionId, participantId, label } = req.body;
+    const { sessionId, participantId, label, featureVersion } = req.body;
+    const includeFlagged = parseIncludeFlagged(req);
 
     if (!sessionId || !participantId) {
       return res.status(400).json({
@@ -294,41 +830,14 @@ export const computeSessionSummary = async (req, res) => {
       });
     }
 
-    // Get session to retrieve userId
-    const Session = (await import('../models/Session.js')).default;
-    const session = await Session.findOne({ sessionId });
-    const userId = session?.userId || null;
-
-    // Compute features across all rounds
-    const features = await computeSessionFeatures(sessionId);
-
-    // Save or update summary
-    const summary = await MotorSessionSummary.findOneAndUpdate(
-      { sessionId },
-      {
-        sessionId,
-        userId,
-        participantId,
-        features,
-        featureVersion: 'v1',
-        label: label || {
-          level: 'unknown',
-          source: 'none',
-        },
-      },
-      { upsert: true, new: true }
-    );
-
-    logger.info('Session summary computed', {
-      sessionId,
-      featureCount: Object.keys(features).length,
-    });
+    const summary = await saveSessionSummary({ sessionId, participantId, label, featureVersion, includeFlagged });
 
     res.json({
       success: true,
       data: summary,
     });
   } catch (error) {
+    if (error.name === 'FeatureVersionError') return featureVersionError(res, error);
     logger.error('Error computing session summary:', error);
     res.status(500).json({
       success: false,
@@ -344,10 +853,11 @@ export const getRoundSummary = async (req, res) => {
   try {
     const { sessionId, round } = req.params;
 
-    const summary = await MotorRoundSummary.findOne({ 
-      sessionId, 
-      round: parseInt(round) 
-    });
+    const summary = await findSummary(
+      MotorRoundSummary,
+      { sessionId, round: parseInt(round) },
+      req.query.featureVersion
+    );
 
     if (!summary) {
       return res.status(404).json({
@@ -376,7 +886,7 @@ export const getSessionSummary = async (req, res) => {
   try {
     const { sessionId } = req.params;
 
-    const summary = await MotorSessionSummary.findOne({ sessionId });
+    const summary = await findSummary(MotorSessionSummary, { sessionId }, req.query.featureVersion);
 
     if (!summary) {
       return res.status(404).json({
@@ -413,11 +923,11 @@ export const updateLabel = async (req, res) => {
       });
     }
 
-    const summary = await MotorSessionSummary.findOneAndUpdate(
-      { sessionId },
-      { label },
-      { new: true }
-    );
+    // The label applies to every feature version of the session
+    const result = await MotorSessionSummary.updateMany({ sessionId }, { label });
+    const summary = result.matchedCount > 0
+      ? await findSummary(MotorSessionSummary, { sessionId })
+      : null;
 
     if (!summary) {
       return res.status(404).json({
@@ -450,9 +960,12 @@ export const updateLabel = async (req, res) => {
  */
 export const getTrainingData = async (req, res) => {
   try {
-    const { labelLevel, participantId, limit = 1000, offset = 0 } = req.query;
+    const { labelLevel, participantId, featureVersion, limit = 1000, offset = 0 } = req.query;
 
-    const query = {};
+    // One feature version at a time, so sessions are not repeated
+    const query = {
+      featureVersion: featureVersion || currentFeatureVersion(),
+    };
     
     if (labelLevel) {
       query['label.level'] = labelLevel;
@@ -485,4 +998,213 @@ export const getTrainingData = async (req, res) => {
       error: error.message,
     });
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Export training data as flat rows (CSV, NDJSON or Parquet)
+ * One row per session or per round, streamed
+ */
+export const exportTrainingData = async (req, res) => {
+  try {
+    const format = req.query.format || 'csv';
+    const level = req.query.level || 'session';
+    const featureVersion = req.query.featureVersion || currentFeatureVersion();
+    const { labelLevel, participantId } = req.query;
+
+    if (!EXPORT_FORMATS.includes(format) || !EXPORT_LEVELS.includes(level)) {
+      return res.status(400).json({
+        success: false,
+        error: `format must be one of ${EXPORT_FORMATS.join(', ')} and level one of ${EXPORT_LEVELS.join(', ')}`,
+      });
+    }
+
+    const columns = exportColumns({ level, featureVersion });
+    const rows = exportRows(columns, { level, featureVersion, labelLevel, participantId });
+
+    let closed = false;
+    req.on('close', () => { closed = true; });
+
+    res.status(200);
+    res.setHeader('Content-Disposition', `attachment; filename="motor-training-${level}-${featureVersion}.${format}"`);
+
+    let count = 0;
+
+    if (format === 'parquet') {
+      res.setHeader('Content-Type', 'application/vnd.apache.parquet');
+      const writer = await parquet.ParquetWriter.openStream(new parquet.ParquetSchema(parquetSchemaFields(columns)), res);
+      for await (const row of rows) {
+        if (closed) break;
+        // Optional parquet fields are left out rather than set to null
+        await writer.appendRow(Object.fromEntries(Object.entries(row).filter(([, v]) => v != null)));
+        count++;
+      }
+      await writer.close();
+    } else {
+      res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson');
+
+      let chunk = format === 'csv' ? csvLine(columns.map(c => c.name)) : '';
+      for await (const row of rows) {
+        if (closed) break;
+
+        chunk += format === 'csv' ? csvLine(Object.values(row)) : JSON.stringify(row) + '\n';
+        count++;
+
+        // Flush in slices, waiting for the socket when it is backed up
+        if (chunk.length >= 64 * 1024) {
+          if (!res.write(chunk)) {
+            await Promise.race([once(res, 'drain'), once(res, 'close')]);
+          }
+          chunk = '';
+        }
+      }
+
+      if (!closed) {
+        res.end(chunk);
+      }
+    }
+
+    logger.info('Training data exported', { format, level, featureVersion, count, aborted: closed });
+  } catch (error) {
+    logger.error('Error exporting training data:', error);
+
+    if (res.headersSent) {
+      return res.end();
+    }
+
+    if (error.name === 'FeatureVersionError') return featureVersionError(res, error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// ========== NORM ENDPOINTS ==========
+
+/**
+ * Get a session's percentile ranks against its population stratum
+ */
+export const getSessionNormPercentiles = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const featureVersion = req.query.featureVersion || currentFeatureVersion();
+
+    const percentiles = await getSessionPercentiles(sessionId, featureVersion);
+
+    if (!percentiles) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session summary not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: percentiles,
+    });
+  } catch (error) {
+    if (error.name === 'FeatureVersionError') return featureVersionError(res, error);
+    logger.error('Error computing norm percentiles:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Build a named, participant-grouped train/validation/test split manifest
+ */
+export const createSplit = async (req, res) => {
+  try {
+    const { name, seed, ratios, groupBy, featureVersion, labelLevel } = req.body;
+    const stratifyBy = typeof req.body.stratifyBy === 'string'
+      ? req.body.stratifyBy.split(',').map(s => s.trim()).filter(Boolean)
+      : req.body.stratifyBy || [];
+
+    const manifest = await createSplitManifest({
+      name,
+      seed,
+      ratios,
+      groupBy,
+      stratifyBy,
+      featureVersion: featureVersion || currentFeatureVersion(),
+      labelLevel,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: manifest,
+    });
+  } catch (error) {
+    if (error.name === 'FeatureVersionError') return featureVersionError(res, error);
+    if (error.name === 'SplitConfigError') {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+    if (error.name === 'SplitExistsError') {
+      return res.status(409).json({
+        success: false,
+        error: error.message,
+      });
+    }
+    logger.error('Error creating split manifest:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * List split manifests (without their session IDs)
+ */
+export const listSplits = async (req, res) => {
+  try {
+    const manifests = await MotorSplitManifest.find({})
+      .select('-splits')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.json({
+      success: true,
+      count: manifests.length,
+      data: manifests,
+    });
+  } catch (error) {
+    logger.error('Error listing split manifests:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get a split manifest by name
+ */
+export const getSplit = async (req, res) => {
+  try {
+    const manifest = await MotorSplitManifest.findOne({ name: req.params.name }).lean();
+
+    if (!manifest) {
+      return res.status(404).json({
+        success: false,
+        error: 'Split manifest not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: manifest,
+    });
+  } catch (error) {
+    logger.error('Error fetching split manifest:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
@@ -2,6 +2,7 @@ import VisionResult from '../models/VisionResult.js';
 import LiteracyResult from '../models/LiteracyResult.js';
 import Session from '../models/Session.js';
 import { logger } from '../services/logging/logger.js';
+import { isMotorModule, requestSessionSummary } from '../services/motor/autoSummaryService.js';
 
 // Save vision test results
 export const saveVisionResults = async (req, res) => {
@@ -203,6 +204,11 @@ export const updateModuleCompletion = async (req, res) => {
 
     logger.info(`Module completed: ${moduleName} for session ${sessionId}`);
 
+    // Motor game finished: the summary sweep computes its summaries
+    if (isMotorModule(moduleName)) {
+      await requestSessionSummary(sessionId);
+    }
+
     res.json({ 
       success: true, 
       data: session 
@@ -228,16 +234,17 @@ export const updateSessionPerformance = async (req, res) => {
       });
     }
 
+    // Set client-reported fields only, keeping server-measured trace quality
     const session = await Session.findOneAndUpdate(
       { sessionId },
       { 
-        perf: {
-          samplingHzTarget: perf.samplingHzTarget || 60,
-          samplingHzEstimated: perf.samplingHzEstimated,
-          avgFrameMs: perf.avgFrameMs,
-          p95FrameMs: perf.p95FrameMs,
-          droppedFrames: perf.droppedFrames,
-          inputLagMsEstimate: perf.inputLagMsEstimate,
+        $set: {
+          'perf.samplingHzTarget': perf.samplingHzTarget || 60,
+          'perf.samplingHzEstimated': perf.samplingHzEstimated,
+          'perf.avgFrameMs': perf.avgFrameMs,
+          'perf.p95FrameMs': perf.p95FrameMs,
+          'perf.droppedFrames': perf.droppedFrames,
+          'perf.inputLagMsEstimate': perf.inputLagMsEstimate,
         }
       },
       { new: true }
@@ -0,0 +1,27 @@
+import { logger } from '../services/logging/logger.js';
+
+/**
+ * Protects cron-triggered endpoints.
+ * Vercel Cron sends `Authorization: Bearer <CRON_SECRET>`; when CRON_SECRET
+ * is not configured the endpoints stay open (local development).
+ */
+export const requireCronSecret = (req, res, next) => {
+  const secret = process.env.CRON_SECRET;
+
+  if (!secret) {
+    return next();
+  }
+
+  if (req.get('authorization') !== `Bearer ${secret}`) {
+    logger.warn('Rejected unauthorized cron request', {
+      url: req.url,
+      ip: req.ip,
+    });
+    return res.status(401).json({
+      success: false,
+      error: 'Unauthorized',
+    });
+  }
+
+  next();
+};
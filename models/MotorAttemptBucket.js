@@ -1,4 +1,8 @@
 import mongoose from 'mongoose';
+import { appendToBuckets } from '../utils/bucketAppend.js';
+import { extractAttemptFeatures } from '../utils/featureExtraction.js';
+import { resolveFilterConfig } from '../utils/signalFilters.js';
+import { resolveOutlierRules, flagAttempt } from '../utils/outlierRules.js';
 
 /**
  * MotorAttemptBucket - Bucketed Attempt-Level Features
@@ -9,11 +13,17 @@ import mongoose from 'mongoose';
  * Each attempt includes:
  * - Target properties (spawn, position, size)
  * - Click outcome (hit/miss, position, timing)
- * - Derived features (kinematics, spatial, Fitts)
+ * - Derived features (kinematics, spatial, Fitts, path accuracy, pressure/contact, tremor)
+ * - Outlier flags (see utils/outlierRules.js)
  */
 
 const MAX_ATTEMPTS_PER_BUCKET = 2000;
 
+const attemptFlagSchema = new mongoose.Schema({
+  rule: String,    // e.g. 'fastReaction'
+  reason: String,  // e.g. 'reactionTimeMs 62 < 100'
+}, { _id: false });
+
 const motorAttemptSchema = new mongoose.Schema({
   round: { 
     type: Number, 
@@ -41,11 +51,16 @@ const motorAttemptSchema = new mongoose.Schema({
   column: Number,
   speedNorm: Number,             // normalized speed
   
+  // Position when clicked (the bubble rises from `spawn`)
   target: {
     x: { type: Number, required: true },        // xNorm (0..1)
     y: { type: Number, required: true },        // yNorm (0..1)
     radius: { type: Number, required: true },   // radiusNorm
   },
+  spawn: {
+    x: Number,  // xNorm at spawnTms (optional)
+    y: Number,  // yNorm at spawnTms (optional)
+  },
   
   // ===== Input outcome =====
   click: {
@@ -61,6 +76,14 @@ const motorAttemptSchema = new mongoose.Schema({
     y: Number, // yNorm
   },
   
+  // 'full': kinematics/Fitts from the pointer trace
+  // 'basic': clicked, but the trace did not cover it yet (see reenrichAttempts)
+  // 'none': not clicked, nothing to derive from the trace
+  featureStatus: {
+    type: String,
+    enum: ['full', 'basic', 'none'],
+  },
+  
   // ===== Derived timing =====
   timing: {
     reactionTimeMs: Number,  // spawn -> first click attempt
@@ -94,6 +117,72 @@ const motorAttemptSchema = new mongoose.Schema({
     W: Number,          // target diameter norm (2*radius)
     ID: Number,         // log2(D/W + 1)
     throughput: Number, // ID / movementTimeSeconds
+    
+    // Moving target (see utils/targetMotion.js)
+    targetModel: { type: String, enum: ['moving', 'stationary'] },
+    targetSpeedNorm: Number,
+    D_initial: Number,            // distance to the target at movement start
+    ID_initial: Number,
+    throughput_initial: Number,
+    D_intercept: Number,          // distance to where the target was intercepted
+    ID_intercept: Number,
+    throughput_intercept: Number,
+    
+    // ISO 9241-9 inputs (aggregated into We / IDe / TPe per round)
+    endpointDx: Number,           // click deviation along the task axis
+    Ae: Number,                   // effective amplitude (D_intercept + endpointDx)
+  },
+  
+  // ===== Path accuracy, MacKenzie et al. (see utils/pathAccuracy.js) =====
+  pathAccuracy: {
+    TRE: Number,  // target re-entries
+    TAC: Number,  // task-axis crossings
+    MDC: Number,  // movement direction changes
+    ODC: Number,  // orthogonal direction changes
+    MV: Number,   // movement variability (SD of off-axis distance)
+    ME: Number,   // movement error (mean |off-axis distance|)
+    MO: Number,   // movement offset (mean off-axis distance)
+  },
+  
+  // ===== Pressure / contact size (pen & touch, when reported) =====
+  contact: {
+    nPressureSamples: Number,
+    meanPressure: Number,
+    pressureSD: Number,
+    pressureCV: Number,      // SD / mean
+    pressureRange: Number,
+    nContactSamples: Number,
+    meanContactWidth: Number,  // CSS px
+    meanContactHeight: Number, // CSS px
+    meanContactArea: Number,   // width * height
+    contactAreaSD: Number,
+    contactAreaCV: Number,
+  },
+  
+  // ===== Tremor spectrum of [spawn, click] (see utils/tremor.js) =====
+  tremor: {
+    samplingHz: Number,
+    lowSamplingRate: Boolean,  // Nyquist below the top of the 4-12 Hz band
+    bandPower: Number,         // 4-12 Hz
+    movementPower: Number,     // below 4 Hz
+    ratio: Number,             // bandPower / movementPower
+    dominantFreqHz: Number,
+    peakHz: Number,            // strongest frequency inside the band
+  },
+  
+  // ===== Filter applied before differentiation (see utils/signalFilters.js) =====
+  filter: {
+    type: { type: String, enum: ['none', 'savgol', 'butterworth'] },
+    window: Number,      // savgol
+    order: Number,       // savgol polynomial / butterworth order
+    cutoffHz: Number,    // butterworth
+    samplingHz: Number,  // uniform rate the filter ran at
+  },
+  
+  // ===== Outlier flags (flagged attempts are left out of summaries by default) =====
+  flags: {
+    type: [attemptFlagSchema],
+    default: [],
   },
 }, { _id: false });
 
@@ -125,6 +214,20 @@ const motorAttemptBucketSchema = new mongoose.Schema({
     default: false 
   },
   
+  // Items each ingest batch wrote to this bucket (to resume a batch that
+  // failed part-way; see utils/bucketAppend.js)
+  batchWrites: [{
+    _id: false,
+    batchId: String,
+    n: Number,
+  }],
+  
+  // Ingest batches written before batchWrites existed (read only)
+  batchIds: {
+    type: [String],
+    default: undefined,
+  },
+  
   attempts: { 
     type: [motorAttemptSchema], 
     default: [] 
@@ -135,7 +238,8 @@ const motorAttemptBucketSchema = new mongoose.Schema({
 });
 
 // Indexes for efficient bucket lookup
-motorAttemptBucketSchema.index({ sessionId: 1, bucketNumber: 1 });
+// (sessionId, bucketNumber) is unique so concurrent writers never create the same bucket
+motorAttemptBucketSchema.index({ sessionId: 1, bucketNumber: 1 }, { unique: true });
 motorAttemptBucketSchema.index({ sessionId: 1, isFull: 1 });
 
 // TTL: Raw attempt data expires after 90 days
@@ -156,8 +260,120 @@ motorAttemptBucketSchema.pre('save', async function(next) {
   next();
 });
 
+// Helper: features for one attempt, full when the trace covers it, basic otherwise
+// options: { resampleHz, filter, screen } (see extractionOptions)
+function computeFeatures(attempt, samples, prevClickTms, { resampleHz = null, filter, screen = null } = {}) {
+  if (!attempt.click?.clicked) {
+    // Nothing was clicked - there is no movement to a click to analyse
+    return { ...buildBasicFeatures(attempt, prevClickTms), featureStatus: 'none' };
+  }
+  
+  if (samples.length > 0) {
+    try {
+      const features = extractAttemptFeatures({
+        samples,
+        spawnTms: attempt.spawnTms,
+        clickTms: attempt.click.tms,
+        target: attempt.target,
+        prevClickTms,
+        resampleHz,
+        speedNorm: attempt.speedNorm,
+        ttlMs: attempt.ttlMs,
+        spawn: attempt.spawn,
+        screen,
+        filter,
+        clickPoint: attempt.click,
+      });
+      
+      // Too few samples in [spawn, click] leaves kinematics empty
+      const full = Object.keys(features.kinematics).length > 0;
+      return { ...features, featureStatus: full ? 'full' : 'basic' };
+    } catch (err) {
+      console.error(`⚠️ Error extracting features for attempt ${attempt.attemptId}:`, err.message);
+    }
+  }
+  
+  // No pointer samples (yet) - use basic features
+  return { ...buildBasicFeatures(attempt, prevClickTms), featureStatus: 'basic' };
+}
+
+// Helper: extraction settings from the environment
+// MOTOR_RESAMPLE_HZ (e.g. 60) and MOTOR_FILTER (e.g. "savgol:window=9,order=3")
+function extractionOptions(session) {
+  let filter;
+  try {
+    filter = resolveFilterConfig(process.env.MOTOR_FILTER);
+  } catch (err) {
+    console.error(`⚠️ Ignoring MOTOR_FILTER: ${err.message}`);
+    filter = resolveFilterConfig('none');
+  }
+  
+  return {
+    resampleHz: parseFloat(process.env.MOTOR_RESAMPLE_HZ) || null,
+    filter,
+    screen: sessionScreen(session),
+  };
+}
+
+// Helper: outlier rule set from MOTOR_OUTLIER_RULES (default: every rule)
+function outlierRules() {
+  try {
+    return resolveOutlierRules(process.env.MOTOR_OUTLIER_RULES);
+  } catch (err) {
+    console.error(`⚠️ Ignoring MOTOR_OUTLIER_RULES: ${err.message}`);
+    return resolveOutlierRules('default');
+  }
+}
+
+// Helper: screen size the client normalized coordinates with
+function sessionScreen(session) {
+  if (session?.screen?.width && session?.screen?.height) {
+    return { width: session.screen.width, height: session.screen.height };
+  }
+  if (session?.viewportWidth && session?.viewportHeight) {
+    return { width: session.viewportWidth, height: session.viewportHeight };
+  }
+  return null;
+}
+
+// Helper: basic features when pointer samples aren't available
+function buildBasicFeatures(attempt, prevClickTms) {
+  let reactionTimeMs = null;
+  if (attempt.timing?.reactionTimeMs !== undefined && attempt.timing?.reactionTimeMs !== null) {
+    reactionTimeMs = attempt.timing.reactionTimeMs;
+  } else if (attempt.click?.clicked && attempt.click?.tms && attempt.spawnTms) {
+    reactionTimeMs = attempt.click.tms - attempt.spawnTms;
+  }
+  
+  const interTapMs = (prevClickTms && attempt.click?.tms) 
+    ? attempt.click.tms - prevClickTms 
+    : null;
+  
+  const errorDistNorm = attempt.spatial?.errorDistNorm !== undefined && attempt.spatial?.errorDistNorm !== null
+    ? attempt.spatial.errorDistNorm
+    : null;
+  
+  return {
+    timing: {
+      reactionTimeMs,
+      movementTimeMs: null,
+      interTapMs,
+    },
+    spatial: {
+      errorDistNorm,
+    },
+    kinematics: {},
+    fitts: {},
+    pathAccuracy: {},
+    contact: {},
+    tremor: {},
+  };
+}
+
 // Static method to add attempts to appropriate bucket
-motorAttemptBucketSchema.statics.addAttempts = async function(sessionId, userId, attemptsArray) {
+// batchId (optional) is recorded on every bucket the batch touches; skip
+// resumes a batch whose first `skip` items are already stored
+motorAttemptBucketSchema.statics.addAttempts = async function(sessionId, userId, attemptsArray, { batchId = null, skip = 0 } = {}) {
   if (!Array.isArray(attemptsArray) || attemptsArray.length === 0) {
     throw new Error('attemptsArray must be a non-empty array');
   }
@@ -167,126 +383,180 @@ motorAttemptBucketSchema.statics.addAttempts = async function(sessionId, userId,
   const session = await Session.findOne({ sessionId });
   
   if (!session) {
-    throw new Error(`Session with sessionId "${sessionId}" does not exist.`);
+    const error = new Error(`Session with sessionId "${sessionId}" does not exist.`);
+    error.name = 'SessionValidationError';
+    throw error;
   }
   
   // Get pointer samples for kinematics/Fitts computation
+  // Only the time window spanned by this batch's clicked attempts is needed
   const MotorPointerTraceBucket = mongoose.model('MotorPointerTraceBucket');
-  const allSamples = await MotorPointerTraceBucket.getSessionSamples(sessionId);
+  const clicked = attemptsArray.filter(a => a.click?.clicked && a.click?.tms != null && a.spawnTms != null);
+  const allSamples = clicked.length > 0
+    ? await MotorPointerTraceBucket.getSamplesInRange(
+      sessionId,
+      Math.min(...clicked.map(a => a.spawnTms)),
+      Math.max(...clicked.map(a => a.click.tms))
+    )
+    : [];
   
-  // Import feature extraction utility
-  const { extractAttemptFeatures } = await import('../utils/featureExtraction.js');
+  // Resampling / filtering settings and the screen the bubbles moved on
+  const options = extractionOptions(session);
+  const rules = outlierRules();
   
   // Enrich attempts with kinematics and Fitts' Law features
   const enrichedAttempts = attemptsArray.map((attempt, idx) => {
     // Get previous click time for inter-tap interval
     const prevClickTms = idx > 0 ? attemptsArray[idx - 1].click?.tms : null;
     
-    // Try to compute full kinematics from pointer samples
-    let features = {};
-    
-    if (allSamples.length > 0 && attempt.click?.clicked) {
-      try {
-        features = extractAttemptFeatures({
-          samples: allSamples,
-          spawnTms: attempt.spawnTms,
-          clickTms: attempt.click.tms,
-          target: attempt.target,
-          prevClickTms,
-        });
-        
-      } catch (err) {
-        console.error(`⚠️ Error extracting features for attempt ${attempt.attemptId}:`, err.message);
-        // Fall back to basic features
-        features = buildBasicFeatures(attempt, prevClickTms);
-      }
-    } else {
-      // No pointer samples or missed bubble - use basic features
-      features = buildBasicFeatures(attempt, prevClickTms);
-    }
-    
-    // Merge attempt with computed features
-    return {
+    // Merge attempt with computed features, then flag outliers
+    const enriched = {
       ...attempt,
-      ...features,
+      ...computeFeatures(attempt, allSamples, prevClickTms, options),
     };
+    enriched.flags = flagAttempt(enriched, rules);
+    return enriched;
   });
   
-  // Helper function to build basic features when pointer samples aren't available
-  function buildBasicFeatures(attempt, prevClickTms) {
-    let reactionTimeMs = null;
-    if (attempt.timing?.reactionTimeMs !== undefined && attempt.timing?.reactionTimeMs !== null) {
-      reactionTimeMs = attempt.timing.reactionTimeMs;
-    } else if (attempt.click?.clicked && attempt.click?.tms && attempt.spawnTms) {
-      reactionTimeMs = attempt.click.tms - attempt.spawnTms;
+  // Append atomically, rolling over to new buckets as needed
+  // (features use the whole batch, so skipped items still give prevClickTms)
+  return appendToBuckets(this, {
+    sessionId,
+    userId,
+    field: 'attempts',
+    items: enrichedAttempts.slice(skip),
+    maxPerBucket: MAX_ATTEMPTS_PER_BUCKET,
+    batchId,
+  });
+};
+
+// Static method to re-enrich attempts saved with basic features
+// Recomputes clicked attempts that are not 'full' (optionally only those
+// overlapping [from, to]) and writes back the ones the trace now covers.
+motorAttemptBucketSchema.statics.reenrichAttempts = async function(sessionId, { from = null, to = null } = {}) {
+  const buckets = await this.find({ sessionId }).select('_id attempts').lean();
+  
+  const pending = [];
+  for (const bucket of buckets) {
+    for (const attempt of bucket.attempts) {
+      if (!attempt.click?.clicked || attempt.click.tms == null || attempt.featureStatus === 'full') continue;
+      if (from != null && attempt.click.tms < from) continue;
+      if (to != null && attempt.spawnTms > to) continue;
+      pending.push({ bucketId: bucket._id, attempt });
     }
-    
-    const interTapMs = (prevClickTms && attempt.click?.tms) 
-      ? attempt.click.tms - prevClickTms 
-      : null;
-    
-    const errorDistNorm = attempt.spatial?.errorDistNorm !== undefined && attempt.spatial?.errorDistNorm !== null
-      ? attempt.spatial.errorDistNorm
-      : null;
-    
-    return {
-      timing: {
-        reactionTimeMs,
-        movementTimeMs: null,
-        interTapMs,
-      },
-      spatial: {
-        errorDistNorm,
-      },
-      kinematics: {},
-      fitts: {},
-    };
   }
   
-  // Find current active bucket
-  let bucket = await this.findOne({
+  const result = { sessionId, checked: pending.length, updated: 0, stillBasic: 0 };
+  if (pending.length === 0) {
+    return result;
+  }
+  
+  const MotorPointerTraceBucket = mongoose.model('MotorPointerTraceBucket');
+  const samples = await MotorPointerTraceBucket.getSamplesInRange(
     sessionId,
-    isFull: false,
-  }).sort({ bucketNumber: -1 });
+    Math.min(...pending.map(p => p.attempt.spawnTms)),
+    Math.max(...pending.map(p => p.attempt.click.tms))
+  );
   
-  // Create new bucket if needed
-  if (!bucket) {
-    bucket = await this.create({
-      sessionId,
-      userId,
-      bucketNumber: 1,
-      count: 0,
-      attempts: [],
+  const session = await mongoose.model('Session').findOne({ sessionId })
+    .select('screen viewportWidth viewportHeight')
+    .lean();
+  const options = extractionOptions(session);
+  const rules = outlierRules();
+  const ops = [];
+  
+  for (const { bucketId, attempt } of pending) {
+    // The previous click is not at hand - recover it from the stored interval
+    const interTapMs = attempt.timing?.interTapMs;
+    const prevClickTms = interTapMs != null ? attempt.click.tms - interTapMs : null;
+    
+    const features = computeFeatures(attempt, samples, prevClickTms, options);
+    if (features.featureStatus !== 'full') {
+      result.stillBasic++;
+      continue;
+    }
+    
+    // Match by attemptId so concurrent appends to the bucket are not clobbered
+    ops.push({
+      updateOne: {
+        filter: { _id: bucketId },
+        update: {
+          $set: {
+            'attempts.$[a].featureStatus': 'full',
+            'attempts.$[a].timing': features.timing,
+            'attempts.$[a].spatial': features.spatial,
+            'attempts.$[a].kinematics': features.kinematics,
+            'attempts.$[a].fitts': features.fitts,
+            'attempts.$[a].pathAccuracy': features.pathAccuracy,
+            'attempts.$[a].contact': features.contact,
+            'attempts.$[a].tremor': features.tremor,
+            'attempts.$[a].filter': features.filter,
+            'attempts.$[a].flags': flagAttempt({ ...attempt, ...features }, rules),
+          },
+        },
+        arrayFilters: [{ 'a.attemptId': attempt.attemptId }],
+      },
     });
-  } else if (userId && !bucket.userId) {
-    // Update userId if not set
-    bucket.userId = userId;
   }
   
-  // Add enriched attempts, creating new buckets as needed
-  for (const attempt of enrichedAttempts) {
-    // Check if current bucket is full
-    if (bucket.count >= MAX_ATTEMPTS_PER_BUCKET) {
-      bucket.isFull = true;
-      await bucket.save();
+  if (ops.length > 0) {
+    await this.bulkWrite(ops, { ordered: false });
+  }
+  result.updated = ops.length;
+  
+  return result;
+};
+
+// Static method to re-apply the outlier rules to all of a session's attempts
+// (after MOTOR_OUTLIER_RULES changed, or for attempts stored before flagging)
+motorAttemptBucketSchema.statics.reflagAttempts = async function(sessionId, rules = outlierRules()) {
+  const buckets = await this.find({ sessionId }).select('_id attempts').lean();
+  
+  const result = { sessionId, checked: 0, changed: 0, flagged: 0 };
+  const ops = [];
+  
+  for (const bucket of buckets) {
+    for (const attempt of bucket.attempts) {
+      result.checked++;
+      const flags = flagAttempt(attempt, rules);
+      if (flags.length > 0) result.flagged++;
+      
+      const previous = (attempt.flags || []).map(f => `${f.rule}:${f.reason}`).join('|');
+      if (previous === flags.map(f => `${f.rule}:${f.reason}`).join('|')) continue;
       
-      // Create new bucket
-      bucket = await this.create({
-        sessionId,
-        userId,
-        bucketNumber: bucket.bucketNumber + 1,
-        count: 0,
-        attempts: [],
+      ops.push({
+        updateOne: {
+          filter: { _id: bucket._id },
+          update: { $set: { 'attempts.$[a].flags': flags } },
+          arrayFilters: [{ 'a.attemptId': attempt.attemptId }],
+        },
       });
     }
-    
-    // Add enriched attempt
-    bucket.attempts.push(attempt);
-    bucket.count = bucket.attempts.length;
   }
   
-  await bucket.save();
-  return bucket;
+  if (ops.length > 0) {
+    await this.bulkWrite(ops, { ordered: false });
+  }
+  result.changed = ops.length;
+  
+  return result;
+};
+
+// Static method to check for basic-feature attempts overlapping [from, to]
+// (attempts stored before featureStatus existed have none and count as basic)
+motorAttemptBucketSchema.statics.hasBasicAttemptsInRange = async function(sessionId, from, to) {
+  const bucket = await this.exists({
+    sessionId,
+    attempts: {
+      $elemMatch: {
+        $or: [{ featureStatus: 'basic' }, { featureStatus: { $exists: false } }],
+        'click.clicked': true,
+        spawnTms: { $lte: to },
+        'click.tms': { $gte: from },
+      },
+    },
+  });
+  return !!bucket;
 };
 
 // Static method to get all attempts for a session
@@ -0,0 +1,99 @@
+import mongoose from 'mongoose';
+
+/**
+ * MotorIngestBatch - Durable Ingest Log
+ *
+ * Every trace/attempt batch accepted in durable mode is written here
+ * BEFORE the client gets a reply. The batch is then applied to the
+ * bucket collections and its status moves from queued -> applied, or
+ * queued -> rejected (with a reason) when it can never be applied.
+ *
+ * Queued batches that were not applied (e.g. the serverless function
+ * was frozen right after responding) are picked up again by
+ * processPendingBatches() or when their status is polled.
+ *
+ * Clients that retry can send their own batch ID and/or a sequence
+ * number; a batch is then accepted at most once per session.
+ */
+
+const motorIngestBatchSchema = new mongoose.Schema({
+  batchId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true,
+  },
+  sessionId: {
+    type: String,
+    required: true,
+    index: true,
+    ref: 'Session',
+  },
+  userId: String,
+
+  kind: {
+    type: String,
+    enum: ['trace', 'attempts'],
+    required: true,
+  },
+
+  // ===== Client-supplied idempotency keys (optional) =====
+  clientBatchId: String, // client's own batch ID, reused on retries
+  seq: Number,           // per-session, per-kind sequence number (starts at 1)
+
+  status: {
+    type: String,
+    enum: ['queued', 'applied', 'rejected'],
+    default: 'queued',
+    index: true,
+  },
+  reason: String, // why the batch was rejected
+
+  count: {
+    type: Number,
+    default: 0,
+  },
+
+  // Items dropped by per-item validation (indexes into the uploaded array)
+  rejectedItems: [{
+    _id: false,
+    index: Number,
+    reasons: [String],
+  }],
+
+  // Raw samples/attempts as received; cleared once applied or rejected
+  payload: mongoose.Schema.Types.Mixed,
+
+  // ===== Processing bookkeeping =====
+  tries: {
+    type: Number,
+    default: 0,
+  },
+  lockedUntil: Date, // claim held by whoever is applying the batch
+  lastError: String,
+  appliedAt: Date,
+  bucketNumber: Number, // last bucket written when applied
+}, {
+  timestamps: true,
+  strict: true,
+});
+
+// A client batch ID / sequence number is accepted once per session and kind
+motorIngestBatchSchema.index(
+  { sessionId: 1, kind: 1, clientBatchId: 1 },
+  { unique: true, partialFilterExpression: { clientBatchId: { $type: 'string' } } }
+);
+motorIngestBatchSchema.index(
+  { sessionId: 1, kind: 1, seq: 1 },
+  { unique: true, partialFilterExpression: { seq: { $type: 'number' } } }
+);
+
+// Index for draining the queue in arrival order
+motorIngestBatchSchema.index({ status: 1, createdAt: 1 });
+
+// TTL: Ingest log expires together with the raw buckets (90 days)
+motorIngestBatchSchema.index({ createdAt: 1 }, { expireAfterSeconds: 7776000 }); // 90 days
+
+const MotorIngestBatch = mongoose.model('MotorIngestBatch', motorIngestBatchSchema);
+
+export default MotorIngestBatch;
@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+
+/**
+ * MotorNorm - Population Norms per Stratum
+ * 
+ * One document per (featureVersion, ageBucket, pointerPrimary) stratum with
+ * reference distributions of key session features (see utils/norms.js).
+ * 'all' in ageBucket/pointerPrimary marks a marginal stratum.
+ * 
+ * Rebuilt periodically from stored session summaries (cron).
+ */
+
+const motorNormSchema = new mongoose.Schema({
+  featureVersion: { 
+    type: String, 
+    required: true 
+  },
+  ageBucket: { 
+    type: String, 
+    required: true 
+  },
+  pointerPrimary: { 
+    type: String, 
+    required: true 
+  },
+  
+  // Sessions in the stratum
+  n: { 
+    type: Number, 
+    default: 0 
+  },
+  
+  // { featureName: { n, mean, sd, quantiles: [p0..p100] } }
+  features: mongoose.Schema.Types.Mixed,
+  
+  builtAt: { 
+    type: Date, 
+    default: Date.now 
+  },
+}, { 
+  timestamps: true,
+  strict: true,
+});
+
+// One norm document per stratum and feature version
+motorNormSchema.index({ featureVersion: 1, ageBucket: 1, pointerPrimary: 1 }, { unique: true });
+
+const MotorNorm = mongoose.model('MotorNorm', motorNormSchema);
+
+export default MotorNorm;
@@ -1,4 +1,6 @@
 import mongoose from 'mongoose';
+import { appendToBuckets } from '../utils/bucketAppend.js';
+import { encodeSamples, decodeSamples } from '../utils/traceCodec.js';
 
 /**
  * MotorPointerTraceBucket - Bucketed Pointer Trace Storage
@@ -10,10 +12,38 @@ import mongoose from 'mongoose';
  * - Tremor detection
  * - Kinematics computation
  * - Fitts' Law metrics
+ * 
+ * Samples are written to the raw `samples` array. With TRACE_ENCODING=columnar,
+ * buckets that fill up are compacted into binary columns (`packed`, see
+ * utils/traceCodec.js); read methods decode them transparently.
  */
 
 const MAX_TRACE_SAMPLES_PER_BUCKET = 5000;
 
+const coalescedSampleSchema = new mongoose.Schema({
+  tms: { 
+    type: Number, 
+    required: true 
+  },
+  x: { 
+    type: Number, 
+    min: 0, 
+    max: 1, 
+    required: true 
+  },
+  y: { 
+    type: Number, 
+    min: 0, 
+    max: 1, 
+    required: true 
+  },
+  pressure: { 
+    type: Number, 
+    min: 0, 
+    max: 1 
+  },
+}, { _id: false });
+
 const pointerSampleSchema = new mongoose.Schema({
   round: { 
     type: Number, 
@@ -27,10 +57,14 @@ const pointerSampleSchema = new mongoose.Schema({
   }, // ms since epoch (absolute timestamp)
   x: { 
     type: Number, 
+    min: 0, 
+    max: 1, 
     required: true 
   },   // normalized 0..1
   y: { 
     type: Number, 
+    min: 0, 
+    max: 1, 
     required: true 
   },   // normalized 0..1
   isDown: { 
@@ -42,6 +76,41 @@ const pointerSampleSchema = new mongoose.Schema({
     enum: ['mouse', 'touch', 'pen', 'unknown'], 
     default: 'mouse' 
   },
+  
+  // ===== Optional PointerEvent details (pen / touch) =====
+  pressure: { 
+    type: Number, 
+    min: 0, 
+    max: 1 
+  },   // 0..1, 0.5 for buttons down without pressure support
+  tiltX: { 
+    type: Number, 
+    min: -90, 
+    max: 90 
+  },   // degrees
+  tiltY: { 
+    type: Number, 
+    min: -90, 
+    max: 90 
+  },   // degrees
+  buttons: { 
+    type: Number, 
+    min: 0 
+  },   // PointerEvent.buttons bitmask
+  width: { 
+    type: Number, 
+    min: 0 
+  },   // contact width (CSS px)
+  height: { 
+    type: Number, 
+    min: 0 
+  },   // contact height (CSS px)
+  
+  // Coalesced sub-samples delivered with this event (getCoalescedEvents())
+  coalesced: {
+    type: [coalescedSampleSchema],
+    default: undefined,
+  },
 }, { _id: false });
 
 const motorPointerTraceBucketSchema = new mongoose.Schema({
@@ -72,6 +141,20 @@ const motorPointerTraceBucketSchema = new mongoose.Schema({
     default: false 
   },
   
+  // Items each ingest batch wrote to this bucket (to resume a batch that
+  // failed part-way; see utils/bucketAppend.js)
+  batchWrites: [{
+    _id: false,
+    batchId: String,
+    n: Number,
+  }],
+  
+  // Ingest batches written before batchWrites existed (read only)
+  batchIds: {
+    type: [String],
+    default: undefined,
+  },
+  
   firstTms: { 
     type: Number, 
     default: 0 
@@ -86,14 +169,44 @@ const motorPointerTraceBucketSchema = new mongoose.Schema({
     type: [pointerSampleSchema], 
     default: [] 
   },
+  
+  // ===== Compact storage =====
+  // 'columnar': older samples live in `packed`; `samples` only holds
+  // samples appended after compaction
+  encoding: {
+    type: String,
+    enum: ['raw', 'columnar'],
+    default: 'raw',
+  },
+  packed: {
+    v: Number,       // codec version
+    count: Number,   // samples in the columns
+    tms: Buffer,
+    x: Buffer,
+    y: Buffer,
+    isDown: Buffer,
+    round: Buffer,
+    pointerType: Buffer,
+    // Optional columns, only present when some sample has the field (v2+)
+    pressure: Buffer,
+    tiltX: Buffer,
+    tiltY: Buffer,
+    buttons: Buffer,
+    width: Buffer,
+    height: Buffer,
+    coalesced: Buffer,
+  },
 }, { 
   timestamps: true,
   strict: true,
 });
 
 // Indexes for efficient bucket lookup
-motorPointerTraceBucketSchema.index({ sessionId: 1, bucketNumber: 1 });
+// (sessionId, bucketNumber) is unique so concurrent writers never create the same bucket
+motorPointerTraceBucketSchema.index({ sessionId: 1, bucketNumber: 1 }, { unique: true });
 motorPointerTraceBucketSchema.index({ sessionId: 1, isFull: 1 });
+// Index for time-ordered reads (pagination / streaming)
+motorPointerTraceBucketSchema.index({ sessionId: 1, firstTms: 1, lastTms: 1 });
 
 // TTL: Raw trace data expires after 90 days
 motorPointerTraceBucketSchema.index({ createdAt: 1 }, { expireAfterSeconds: 7776000 }); // 90 days
@@ -114,7 +227,9 @@ motorPointerTraceBucketSchema.pre('save', async function(next) {
 });
 
 // Static method to add pointer samples to appropriate bucket
-motorPointerTraceBucketSchema.statics.addSamples = async function(sessionId, userId, samplesArray) {
+// batchId (optional) is recorded on every bucket the batch touches; skip
+// resumes a batch whose first `skip` items are already stored
+motorPointerTraceBucketSchema.statics.addSamples = async function(sessionId, userId, samplesArray, { batchId = null, skip = 0 } = {}) {
   if (!Array.isArray(samplesArray) || samplesArray.length === 0) {
     throw new Error('samplesArray must be a non-empty array');
   }
@@ -124,84 +239,241 @@ motorPointerTraceBucketSchema.statics.addSamples = async function(sessionId, use
   const session = await Session.findOne({ sessionId });
   
   if (!session) {
-    throw new Error(`Session with sessionId "${sessionId}" does not exist.`);
+    const error = new Error(`Session with sessionId "${sessionId}" does not exist.`);
+    error.name = 'SessionValidationError';
+    throw error;
   }
   
-  // Find current active bucket
-  let bucket = await this.findOne({
+  // Append atomically; a bucket's time range widens with every chunk
+  const bucket = await appendToBuckets(this, {
     sessionId,
-    isFull: false,
-  }).sort({ bucketNumber: -1 });
-  
-  // Create new bucket if needed
-  if (!bucket) {
-    bucket = await this.create({
-      sessionId,
-      userId,
-      bucketNumber: 1,
-      count: 0,
-      samples: [],
-    });
-  } else if (userId && !bucket.userId) {
-    // Update userId if not set
-    bucket.userId = userId;
+    userId,
+    field: 'samples',
+    items: samplesArray.slice(skip),
+    maxPerBucket: MAX_TRACE_SAMPLES_PER_BUCKET,
+    batchId,
+    chunkFields: chunk => tmsRange(chunk),
+    chunkUpdate: (chunk, isEmpty) => {
+      const { firstTms, lastTms } = tmsRange(chunk);
+      return isEmpty
+        ? { $set: { firstTms, lastTms } }
+        : { $min: { firstTms }, $max: { lastTms } };
+    },
+  });
+  
+  if (process.env.TRACE_ENCODING === 'columnar') {
+    await this.compactFullBuckets(sessionId);
   }
   
-  // Add samples, creating new buckets as needed
-  for (const sample of samplesArray) {
-    // Check if current bucket is full
-    if (bucket.count >= MAX_TRACE_SAMPLES_PER_BUCKET) {
-      bucket.isFull = true;
-      await bucket.save();
-      
-      // Create new bucket
-      bucket = await this.create({
-        sessionId,
-        userId,
-        bucketNumber: bucket.bucketNumber + 1,
-        count: 0,
-        samples: [],
-      });
-    }
-    
-    // Add sample
-    bucket.samples.push(sample);
-    bucket.count = bucket.samples.length;
-    
-    // Update time range
-    if (bucket.firstTms === 0) {
-      bucket.firstTms = sample.tms;
-    }
-    bucket.lastTms = sample.tms;
+  return bucket;
+};
+
+// Helper: smallest and largest tms of a chunk of samples
+function tmsRange(samples) {
+  let firstTms = Infinity;
+  let lastTms = -Infinity;
+  for (const s of samples) {
+    if (s.tms < firstTms) firstTms = s.tms;
+    if (s.tms > lastTms) lastTms = s.tms;
+  }
+  return { firstTms, lastTms };
+}
+
+// Static method to compact one bucket into binary columns
+// Returns false if the bucket changed meanwhile (it is left as it was)
+motorPointerTraceBucketSchema.statics.compactBucket = async function(bucketId) {
+  const bucket = await this.findById(bucketId).lean();
+  
+  if (!bucket || !bucket.samples || bucket.samples.length === 0) {
+    return false;
   }
   
-  await bucket.save();
+  // Guard on count: an append slipping in would otherwise be lost
+  const result = await this.updateOne(
+    { _id: bucket._id, count: bucket.count },
+    { $set: { encoding: 'columnar', packed: encodeSamples(bucketSamples(bucket)), samples: [] } }
+  );
   
-  return bucket;
+  return result.modifiedCount === 1;
+};
+
+// Static method to compact a session's full buckets that still hold raw samples
+motorPointerTraceBucketSchema.statics.compactFullBuckets = async function(sessionId) {
+  const buckets = await this.find({ sessionId, isFull: true, 'samples.0': { $exists: true } })
+    .select('_id')
+    .lean();
+  
+  let compacted = 0;
+  for (const { _id } of buckets) {
+    if (await this.compactBucket(_id)) compacted++;
+  }
+  return compacted;
 };
 
 // Static method to get all samples for a session
 motorPointerTraceBucketSchema.statics.getSessionSamples = async function(sessionId, round = null) {
-  const buckets = await this.find({ sessionId }).sort({ bucketNumber: 1 });
+  const buckets = await this.find({ sessionId }).sort({ bucketNumber: 1 }).lean();
   
   // Flatten all samples from all buckets
   const allSamples = [];
   for (const bucket of buckets) {
+    const samples = bucketSamples(bucket);
     if (round !== null) {
       // Filter by round
-      allSamples.push(...bucket.samples.filter(s => s.round === round));
+      allSamples.push(...samples.filter(s => s.round === round));
     } else {
-      allSamples.push(...bucket.samples);
+      allSamples.push(...samples);
     }
   }
   
   return allSamples;
 };
 
+// Helper: samples stored in a bucket (packed columns first, then raw tail)
+function bucketSamples(bucket) {
+  const raw = bucket.samples || [];
+  return bucket.packed?.count ? [...decodeSamples(bucket.packed), ...raw] : raw;
+}
+
+// Helper: merge two tms-sorted sample arrays (stable: `a` wins ties)
+function mergeByTms(a, b) {
+  const out = [];
+  let i = 0, j = 0;
+  while (i < a.length && j < b.length) {
+    out.push(b[j].tms < a[i].tms ? b[j++] : a[i++]);
+  }
+  while (i < a.length) out.push(a[i++]);
+  while (j < b.length) out.push(b[j++]);
+  return out;
+}
+
+/**
+ * Stream a session's samples in tms order, reading one bucket at a time.
+ * Batches can arrive out of order, so bucket time ranges may overlap;
+ * samples are held back until no later bucket can contain an earlier tms.
+ *
+ * @param {String} sessionId
+ * @param {Object} options
+ * @param {Number} options.round - only this round (optional)
+ * @param {Object} options.after - resume point { tms, skip }: samples before
+ *   `tms`, and the first `skip` samples at exactly `tms`, are left out (optional)
+ */
+motorPointerTraceBucketSchema.statics.streamSessionSamples = async function* (sessionId, { round = null, after = null } = {}) {
+  const query = { sessionId };
+  if (after) query.lastTms = { $gte: after.tms };
+
+  // Bucket time ranges only - samples are loaded bucket by bucket below
+  const metas = await this.find(query)
+    .sort({ firstTms: 1, bucketNumber: 1 })
+    .select('_id firstTms')
+    .lean();
+
+  let pool = [];
+  let skipped = 0;
+
+  for (let i = 0; i < metas.length; i++) {
+    const bucket = await this.findById(metas[i]._id).lean();
+    if (!bucket) continue; // expired between the two queries
+
+    const fresh = bucketSamples(bucket)
+      .filter(s => (round === null || s.round === round) && (!after || s.tms >= after.tms))
+      .sort((a, b) => a.tms - b.tms);
+
+    pool = mergeByTms(pool, fresh);
+
+    // Everything before the next bucket's first tms is final
+    const horizon = i + 1 < metas.length ? metas[i + 1].firstTms : Infinity;
+    let emitted = 0;
+
+    while (emitted < pool.length && pool[emitted].tms < horizon) {
+      const sample = pool[emitted++];
+      if (after && sample.tms === after.tms && skipped < after.skip) {
+        skipped++;
+        continue;
+      }
+      yield sample;
+    }
+
+    pool = pool.slice(emitted);
+  }
+};
+
+/**
+ * Get one page of a session's samples in tms order.
+ * The cursor is `<tms>:<n>` - resume after the first n samples at that tms
+ * (several samples can share a tms, so tms alone is not enough).
+ *
+ * @returns {Object} { samples, nextCursor } - nextCursor is null on the last page
+ */
+motorPointerTraceBucketSchema.statics.getSamplesPage = async function(sessionId, { round = null, cursor = null, limit = 1000 } = {}) {
+  const after = cursor ? parseSampleCursor(cursor) : null;
+  const samples = [];
+  let hasMore = false;
+
+  for await (const sample of this.streamSessionSamples(sessionId, { round, after })) {
+    if (samples.length === limit) {
+      hasMore = true;
+      break;
+    }
+    samples.push(sample);
+  }
+
+  if (!hasMore || samples.length === 0) {
+    return { samples, nextCursor: null };
+  }
+
+  // Count samples sharing the last tms, including ones skipped by the old cursor
+  const lastTms = samples[samples.length - 1].tms;
+  let sameTms = after && after.tms === lastTms ? after.skip : 0;
+  for (let i = samples.length - 1; i >= 0 && samples[i].tms === lastTms; i--) {
+    sameTms++;
+  }
+
+  return { samples, nextCursor: `${lastTms}:${sameTms}` };
+};
+
+// Helper: parse a `<tms>:<n>` page cursor
+export function parseSampleCursor(cursor) {
+  const [tmsPart, skipPart = '0'] = String(cursor).split(':');
+  const tms = Number(tmsPart);
+  const skip = parseInt(skipPart, 10);
+
+  if (!Number.isFinite(tms) || !Number.isInteger(skip) || skip < 0) {
+    const error = new Error(`Invalid cursor "${cursor}"`);
+    error.name = 'CursorError';
+    throw error;
+  }
+
+  return { tms, skip };
+}
+
 // Static method to get samples for a specific time range
+// Only buckets whose [firstTms, lastTms] overlaps the range are read, and
+// only the matching slice of their samples leaves the database
 motorPointerTraceBucketSchema.statics.getSamplesInRange = async function(sessionId, startTms, endTms, round = null) {
-  const allSamples = await this.getSessionSamples(sessionId, round);
-  return allSamples.filter(s => s.tms >= startTms && s.tms <= endTms);
+  const conditions = [
+    { $gte: ['$$s.tms', startTms] },
+    { $lte: ['$$s.tms', endTms] },
+  ];
+  if (round !== null) {
+    conditions.push({ $eq: ['$$s.round', round] });
+  }
+  
+  const buckets = await this.aggregate([
+    { $match: { sessionId, firstTms: { $lte: endTms }, lastTms: { $gte: startTms } } },
+    { $sort: { firstTms: 1, bucketNumber: 1 } },
+    { $project: {
+      samples: { $filter: { input: '$samples', as: 's', cond: { $and: conditions } } },
+      packed: 1,
+    } },
+  ]);
+  
+  // Packed columns cannot be filtered in the database - decode and slice here
+  const inRange = s => s.tms >= startTms && s.tms <= endTms && (round === null || s.round === round);
+  
+  return buckets
+    .flatMap(bucket => [...decodeSamples(bucket.packed).filter(inRange), ...bucket.samples])
+    .sort((a, b) => a.tms - b.tms);
 };
 
 const MotorPointerTraceBucket = mongoose.model('MotorPointerTraceBucket', motorPointerTraceBucketSchema);
@@ -0,0 +1,45 @@
+import mongoose from 'mongoose';
+
+/**
+ * MotorReferenceModel - Reference Cohorts for Feature Normalization
+ * 
+ * One document per feature version: per device cohort and session feature,
+ * the reference mean/SD and the perf regression used to turn raw session
+ * features into device- and perf-adjusted z-scores
+ * (see utils/featureNormalization.js).
+ * 
+ * Rebuilt from stored session summaries by scripts/buildReferenceModel.js.
+ */
+
+const motorReferenceModelSchema = new mongoose.Schema({
+  featureVersion: { 
+    type: String, 
+    required: true, 
+    unique: true,
+    index: true,
+  },
+  
+  // 'normal': sessions labelled normal, 'all': every session (too few labels)
+  reference: {
+    type: String,
+    enum: ['normal', 'all'],
+    required: true,
+  },
+  
+  nSessions: Number,
+  
+  // { cohortKey: { featureName: { n, mean, sd, residualSD, perfMean, coef } } }
+  cohorts: mongoose.Schema.Types.Mixed,
+  
+  builtAt: { 
+    type: Date, 
+    default: Date.now 
+  },
+}, { 
+  timestamps: true,
+  strict: true,
+});
+
+const MotorReferenceModel = mongoose.model('MotorReferenceModel', motorReferenceModelSchema);
+
+export default MotorReferenceModel;
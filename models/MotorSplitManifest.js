@@ -0,0 +1,67 @@
+import mongoose from 'mongoose';
+
+/**
+ * MotorSplitManifest - Named Train/Validation/Test Split
+ * 
+ * Session IDs of each split, grouped by participant so no participant
+ * appears in two splits (see utils/datasetSplits.js). A manifest is never
+ * rebuilt under the same name, so a training run can record the name and
+ * get the exact same partitions later.
+ */
+
+const splitCountsSchema = new mongoose.Schema({
+  sessions: Number,
+  groups: Number,
+}, { _id: false });
+
+const motorSplitManifestSchema = new mongoose.Schema({
+  name: { 
+    type: String, 
+    required: true, 
+    unique: true 
+  },
+  
+  // Inputs the manifest was built from
+  featureVersion: { 
+    type: String, 
+    required: true 
+  },
+  seed: { 
+    type: String, 
+    required: true 
+  },
+  groupBy: { 
+    type: String, 
+    enum: ['participantId', 'userId'], 
+    default: 'participantId' 
+  },
+  stratifyBy: [{ 
+    type: String, 
+    enum: ['labelLevel', 'ageBucket'] 
+  }],
+  ratios: {
+    train: Number,
+    validation: Number,
+    test: Number,
+  },
+  labelLevel: String,  // optional filter on label.level
+  
+  // Session IDs per split (sorted)
+  splits: {
+    train: [String],
+    validation: [String],
+    test: [String],
+  },
+  counts: {
+    train: splitCountsSchema,
+    validation: splitCountsSchema,
+    test: splitCountsSchema,
+  },
+}, { 
+  timestamps: true,
+  strict: true,
+});
+
+const MotorSplitManifest = mongoose.model('MotorSplitManifest', motorSplitManifestSchema);
+
+export default MotorSplitManifest;
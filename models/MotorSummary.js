@@ -1,4 +1,11 @@
 import mongoose from 'mongoose';
+import {
+  currentFeatureVersion,
+  keepsFlaggedAttempts,
+  computeRoundFeatureSet,
+  computeSessionFeatureSet,
+} from '../utils/featureVersions.js';
+import { selectAttempts } from '../utils/outlierRules.js';
 
 /**
  * Motor Summary Models - ML Training Records
@@ -41,18 +48,25 @@ const motorRoundSummarySchema = new mongoose.Schema({
     nHits: Number,
     nMisses: Number,
     hitRate: Number,
+    nFlagged: Number,  // outlier-flagged attempts in the round
   },
   
   // ===== Aggregated features =====
   // Store as flexible object to allow different feature sets
   features: mongoose.Schema.Types.Mixed,
   
-  // Feature version for tracking
+  // Feature version (see utils/featureVersions.js)
   featureVersion: {
     type: String,
     default: 'v1',
   },
   
+  // Whether outlier-flagged attempts went into the features
+  includeFlagged: {
+    type: Boolean,
+    default: false,
+  },
+  
   createdAt: { 
     type: Date, 
     default: Date.now, 
@@ -63,8 +77,8 @@ const motorRoundSummarySchema = new mongoose.Schema({
   strict: true,
 });
 
-// Compound unique index
-motorRoundSummarySchema.index({ sessionId: 1, round: 1 }, { unique: true });
+// Compound unique index (one summary per round and feature version)
+motorRoundSummarySchema.index({ sessionId: 1, round: 1, featureVersion: 1 }, { unique: true });
 
 // Index for ML training queries
 motorRoundSummarySchema.index({ participantId: 1, createdAt: 1 });
@@ -82,7 +96,6 @@ const motorSessionSummarySchema = new mongoose.Schema({
   sessionId: { 
     type: String, 
     required: true, 
-    unique: true, 
     index: true,
     ref: 'Session',
   },
@@ -99,12 +112,26 @@ const motorSessionSummarySchema = new mongoose.Schema({
   // ===== Aggregated features across all rounds =====
   features: mongoose.Schema.Types.Mixed,
   
-  // Feature version for tracking
+  // ===== Device/perf-adjusted z-scores of `features` (see utils/featureNormalization.js) =====
+  normalizedFeatures: mongoose.Schema.Types.Mixed,
+  normalization: {
+    reference: String,         // 'normal' or 'all' reference sessions
+    referenceBuiltAt: Date,    // reference model the z-scores came from
+    cohorts: mongoose.Schema.Types.Mixed,  // { cohortKey: number of features }
+  },
+  
+  // Feature version (see utils/featureVersions.js)
   featureVersion: {
     type: String,
     default: 'v1',
   },
   
+  // Whether outlier-flagged attempts went into the features
+  includeFlagged: {
+    type: Boolean,
+    default: false,
+  },
+  
   // ===== Label (for supervised learning) =====
   label: {
     level: { 
@@ -132,6 +159,9 @@ const motorSessionSummarySchema = new mongoose.Schema({
   strict: true,
 });
 
+// One summary per session and feature version
+motorSessionSummarySchema.index({ sessionId: 1, featureVersion: 1 }, { unique: true });
+
 // Index for ML training queries
 motorSessionSummarySchema.index({ participantId: 1, createdAt: 1 });
 motorSessionSummarySchema.index({ 'label.level': 1 }); // For stratified sampling
@@ -142,132 +172,98 @@ motorSessionSummarySchema.index({ 'label.level': 1 }); // For stratified samplin
 
 export const MotorSessionSummary = mongoose.model('MotorSessionSummary', motorSessionSummarySchema);
 
-// Helper function to compute features from attempts
-export async function computeRoundFeatures(sessionId, round) {
-  const MotorAttemptBucket = mongoose.model('MotorAttemptBucket');
-  const attempts = await MotorAttemptBucket.getSessionAttempts(sessionId, round);
+// Unique indexes from before feature versions (one summary per session/round).
+// While they exist, a second feature version of a summary fails with E11000.
+const STALE_UNIQUE_INDEXES = [
+  [MotorRoundSummary, 'sessionId_1_round_1'],
+  [MotorSessionSummary, 'sessionId_1'],
+];
+
+// Migration: drop the stale unique indexes and build the current ones.
+// Safe to re-run; returns the dropped index names.
+export async function migrateSummaryIndexes() {
+  const dropped = [];
+
+  for (const [Model, name] of STALE_UNIQUE_INDEXES) {
+    const indexes = await Model.collection.indexes().catch(error => {
+      if (error.codeName === 'NamespaceNotFound') return [];
+      throw error;
+    });
+
+    if (indexes.some(index => index.name === name && index.unique)) {
+      await Model.collection.dropIndex(name);
+      dropped.push(`${Model.collection.collectionName}.${name}`);
+    }
+  }
+
+  await MotorRoundSummary.createIndexes();
+  await MotorSessionSummary.createIndexes();
+
+  return dropped;
+}
+
+// Helper function to compute a round's features for one feature version
+// (attempts may be passed in when the caller already loaded them)
+// Outlier-flagged attempts are left out unless includeFlagged, in the
+// versions that exclude them
+export async function computeRoundFeatures(sessionId, round, featureVersion = currentFeatureVersion(), attempts = null, { includeFlagged = false } = {}) {
+  if (!attempts) {
+    const MotorAttemptBucket = mongoose.model('MotorAttemptBucket');
+    attempts = await MotorAttemptBucket.getSessionAttempts(sessionId, round);
+  }
   
-  if (attempts.length === 0) {
+  const selected = selectAttempts(attempts, { includeFlagged: includeFlagged || keepsFlaggedAttempts(featureVersion) });
+  if (selected.length === 0) {
     return null;
   }
   
-  const hits = attempts.filter(a => a.click.hit);
-  const misses = attempts.filter(a => !a.click.hit);
-  
-  // Aggregate timing features
-  const reactionTimes = attempts.map(a => a.timing.reactionTimeMs).filter(v => v != null);
-  const movementTimes = hits.map(a => a.timing.movementTimeMs).filter(v => v != null);
-  const interTapTimes = attempts.map(a => a.timing.interTapMs).filter(v => v != null);
-  
-  // Aggregate spatial features (hits only)
-  const errorDists = hits.map(a => a.spatial.errorDistNorm).filter(v => v != null);
-  const pathLengths = hits.map(a => a.spatial.pathLengthNorm).filter(v => v != null);
-  const straightness = hits.map(a => a.spatial.straightness).filter(v => v != null);
-  
-  // Aggregate kinematic features (hits only)
-  const meanSpeeds = hits.map(a => a.kinematics.meanSpeed).filter(v => v != null);
-  const peakSpeeds = hits.map(a => a.kinematics.peakSpeed).filter(v => v != null);
-  const jerkRMS = hits.map(a => a.kinematics.jerkRMS).filter(v => v != null);
-  const submovements = hits.map(a => a.kinematics.submovementCount).filter(v => v != null);
-  const overshoots = hits.map(a => a.kinematics.overshootCount).filter(v => v != null);
+  const features = await computeRoundFeatureSet(selected, featureVersion, {
+    loadTrace: () => loadRoundTrace(sessionId, round, selected),
+  });
   
-  // Aggregate Fitts features (hits only)
-  const throughputs = hits.map(a => a.fitts.throughput).filter(v => v != null);
-  const IDs = hits.map(a => a.fitts.ID).filter(v => v != null);
-  
-  // Helper functions
-  const mean = arr => arr.length > 0 ? arr.reduce((a,b) => a+b, 0) / arr.length : null;
-  const std = arr => {
-    if (arr.length < 2) return null;
-    const m = mean(arr);
-    const variance = arr.reduce((sum, v) => sum + Math.pow(v - m, 2), 0) / arr.length;
-    return Math.sqrt(variance);
-  };
-  const median = arr => {
-    if (arr.length === 0) return null;
-    const sorted = [...arr].sort((a,b) => a-b);
-    const mid = Math.floor(sorted.length / 2);
-    return sorted.length % 2 === 0 ? (sorted[mid-1] + sorted[mid]) / 2 : sorted[mid];
-  };
-  
-  return {
-    // Timing
-    reactionTime_mean: mean(reactionTimes),
-    reactionTime_std: std(reactionTimes),
-    reactionTime_median: median(reactionTimes),
-    movementTime_mean: mean(movementTimes),
-    movementTime_std: std(movementTimes),
-    movementTime_median: median(movementTimes),
-    interTapTime_mean: mean(interTapTimes),
-    interTapTime_std: std(interTapTimes),
-    
-    // Spatial
-    errorDist_mean: mean(errorDists),
-    errorDist_std: std(errorDists),
-    pathLength_mean: mean(pathLengths),
-    straightness_mean: mean(straightness),
-    straightness_std: std(straightness),
-    
-    // Kinematics
-    meanSpeed_mean: mean(meanSpeeds),
-    peakSpeed_mean: mean(peakSpeeds),
-    jerkRMS_mean: mean(jerkRMS),
-    jerkRMS_std: std(jerkRMS),
-    submovementCount_mean: mean(submovements),
-    submovementCount_std: std(submovements),
-    overshootCount_mean: mean(overshoots),
-    overshootCount_std: std(overshoots),
-    
-    // Fitts
-    throughput_mean: mean(throughputs),
-    throughput_std: std(throughputs),
-    ID_mean: mean(IDs),
-    
-    // Counts
-    nAttempts: attempts.length,
-    nHits: hits.length,
-    nMisses: misses.length,
-    hitRate: attempts.length > 0 ? hits.length / attempts.length : 0,
-  };
+  return withFlagCount(features, attempts, featureVersion);
+}
+
+// Helper function to add the number of outlier-flagged attempts
+// (not part of the versions published before outlier rules)
+function withFlagCount(features, attempts, featureVersion) {
+  if (keepsFlaggedAttempts(featureVersion)) {
+    return features;
+  }
+  return { ...features, nFlagged: attempts.filter(a => a.flags?.length > 0).length };
 }
 
-// Helper function to compute session-level features
-export async function computeSessionFeatures(sessionId) {
-  const features1 = await computeRoundFeatures(sessionId, 1);
-  const features2 = await computeRoundFeatures(sessionId, 2);
-  const features3 = await computeRoundFeatures(sessionId, 3);
+// Helper function to read a round's pointer trace
+// Only the window the round's bubbles were on screen is read
+async function loadRoundTrace(sessionId, round, attempts) {
+  const MotorPointerTraceBucket = mongoose.model('MotorPointerTraceBucket');
+  const from = Math.min(...attempts.map(a => a.spawnTms));
+  const to = Math.max(...attempts.map(a => Math.max(a.spawnTms, a.despawnTms ?? 0, a.click?.tms ?? 0)));
   
-  // Combine all rounds
-  const allFeatures = {};
+  return MotorPointerTraceBucket.getSamplesInRange(sessionId, from, to, round);
+}
+
+// Helper function to compute session-level features for one feature version
+export async function computeSessionFeatures(sessionId, featureVersion = currentFeatureVersion(), { includeFlagged = false } = {}) {
+  const MotorAttemptBucket = mongoose.model('MotorAttemptBucket');
+  const attempts = await MotorAttemptBucket.getSessionAttempts(sessionId);
   
-  // Per-round features
+  const rounds = [];
   for (let r = 1; r <= 3; r++) {
-    const rf = [features1, features2, features3][r-1];
-    if (rf) {
-      for (const [key, value] of Object.entries(rf)) {
-        allFeatures[`r${r}_${key}`] = value;
-      }
-    }
-  }
-  
-  // Cross-round features (trends)
-  // E.g., does performance improve/degrade across rounds?
-  const hitRates = [features1?.hitRate, features2?.hitRate, features3?.hitRate].filter(v => v != null);
-  if (hitRates.length > 1) {
-    allFeatures.hitRate_trend = hitRates[hitRates.length - 1] - hitRates[0];
+    rounds.push(await computeRoundFeatures(sessionId, r, featureVersion, attempts.filter(a => a.round === r), { includeFlagged }));
   }
   
-  const throughputs = [features1?.throughput_mean, features2?.throughput_mean, features3?.throughput_mean].filter(v => v != null);
-  if (throughputs.length > 1) {
-    allFeatures.throughput_trend = throughputs[throughputs.length - 1] - throughputs[0];
-  }
+  const features = await computeSessionFeatureSet(rounds, featureVersion, {
+    attempts: selectAttempts(attempts, { includeFlagged: includeFlagged || keepsFlaggedAttempts(featureVersion) }),
+  });
   
-  return allFeatures;
+  return withFlagCount(features, attempts, featureVersion);
 }
 
 export default {
   MotorRoundSummary,
   MotorSessionSummary,
+  migrateSummaryIndexes,
   computeRoundFeatures,
   computeSessionFeatures,
 };
@@ -108,6 +108,15 @@ const sessionSchema = new mongoose.Schema({
     p95FrameMs: Number,
     droppedFrames: Number,
     inputLagMsEstimate: Number,
+    
+    // Measured server-side from the stored pointer trace (utils/traceQuality.js)
+    samplingHzMeasured: Number,
+    samplingJitterMs: Number,
+    p95IntervalMs: Number,
+    gapCount: Number,
+    maxGapMs: Number,
+    qualityByRound: mongoose.Schema.Types.Mixed,
+    qualityAnalyzedAt: Date,
   },
   
   // ===== Demographics (privacy-preserving) =====
@@ -131,6 +140,38 @@ const sessionSchema = new mongoose.Schema({
     },
   },
   
+  // ===== Motor upload cursors (one per upload stream) =====
+  // lastAppliedSeq: every seq up to and including it is settled (resume point)
+  // highestAppliedSeq: largest seq settled so far (may be past a gap)
+  ingest: {
+    trace: {
+      lastAppliedSeq: Number,
+      highestAppliedSeq: Number,
+    },
+    attempts: {
+      lastAppliedSeq: Number,
+      highestAppliedSeq: Number,
+    },
+  },
+  
+  // ===== Motor summaries computed by the server (services/motor/autoSummaryService.js) =====
+  // pending: attempts without up-to-date summaries, complete: session summary stored,
+  // failed: last try failed (retried by the sweep), none: no attempts to summarize
+  summaries: {
+    status: {
+      type: String,
+      enum: ['pending', 'complete', 'failed', 'none'],
+      index: true,
+    },
+    rounds: [Number],        // rounds with a stored summary
+    featureVersion: String,
+    requestedAt: Date,       // motor module completed; the sweep summarizes without waiting
+    lastAttemptAt: Date,     // last attempt upload; the sweep summarizes once it goes idle
+    updatedAt: Date,
+    failures: Number,
+    lastError: String,
+  },
+  
   completedModules: [{
     moduleName: String,
     completedAt: Date,
@@ -142,6 +183,9 @@ const sessionSchema = new mongoose.Schema({
 // Raw buckets have separate 90-day TTL
 sessionSchema.index({ createdAt: 1 }, { expireAfterSeconds: 31536000 }); // 365 days
 
+// Index for the summary sweep's idle sessions
+sessionSchema.index({ 'summaries.status': 1, 'summaries.lastAttemptAt': 1 });
+
 // Virtual fields to get all interaction buckets for this session
 sessionSchema.virtual('motorPointerTraces', {
   ref: 'MotorPointerTraceBucket',
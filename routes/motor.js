@@ -2,16 +2,32 @@ import express from 'express';
 import {
   logPointerSamples,
   getPointerSamples,
+  getPointerSamplesInRange,
+  getTraceQuality,
   logAttempts,
   getAttempts,
   getAttemptStats,
+  recomputeAttempts,
   computeRoundSummary,
   computeSessionSummary,
   getRoundSummary,
   getSessionSummary,
+  getFeatureVersions,
   updateLabel,
   getTrainingData,
+  exportTrainingData,
+  getRoundReplay,
+  getIngestBatchStatus,
+  getSessionIngestCursor,
+  drainIngestQueue,
+  sweepSummaries,
+  rebuildNorms,
+  getSessionNormPercentiles,
+  createSplit,
+  listSplits,
+  getSplit,
 } from '../controllers/motorController.js';
+import { requireCronSecret } from '../middleware/cronAuth.js';
 
 const router = express.Router();
 
@@ -20,7 +36,9 @@ const router = express.Router();
 /**
  * @route   POST /api/motor/trace
  * @desc    Log pointer trace samples (batch)
- * @body    { sessionId, userId, samples: [{round, tms, x, y, ...}] }
+ * @body    { sessionId, userId, samples: [{round, tms, x, y, ...}], mode, batchId, seq (optional) }
+ * @query   mode (optional): 'durable' to log the batch before replying
+ * @note    batchId/seq make retries idempotent (implies durable mode)
  */
 router.post('/trace', logPointerSamples);
 
@@ -28,15 +46,41 @@ router.post('/trace', logPointerSamples);
  * @route   GET /api/motor/trace/:sessionId
  * @desc    Get pointer samples for a session
  * @query   round (optional): filter by round number
+ * @query   limit, cursor (optional): page through samples in tms order
+ * @query   format (optional): 'ndjson' to stream all samples, one per line
  */
 router.get('/trace/:sessionId', getPointerSamples);
 
+/**
+ * @route   GET /api/motor/trace/:sessionId/range
+ * @desc    Get pointer samples within a time range (reads overlapping buckets only)
+ * @query   from, to: tms range (inclusive)
+ * @query   round (optional): filter by round number
+ */
+router.get('/trace/:sessionId/range', getPointerSamplesInRange);
+
+/**
+ * @route   GET /api/motor/trace/:sessionId/quality
+ * @desc    Measured sampling rate, jitter and gaps (overall and per round)
+ * @query   gapMs (optional, default 100): interval counted as a gap
+ */
+router.get('/trace/:sessionId/quality', getTraceQuality);
+
+/**
+ * @route   POST /api/motor/trace/:sessionId/quality
+ * @desc    Same as GET, and write the measured values to the session's perf block
+ * @query   gapMs (optional, default 100): interval counted as a gap
+ */
+router.post('/trace/:sessionId/quality', getTraceQuality);
+
 // ========== ATTEMPT ROUTES ==========
 
 /**
  * @route   POST /api/motor/attempts
  * @desc    Log motor attempts (batch)
- * @body    { sessionId, attempts: [{round, attemptId, bubbleId, ...}] }
+ * @body    { sessionId, attempts: [{round, attemptId, bubbleId, ...}], mode, batchId, seq (optional) }
+ * @query   mode (optional): 'durable' to log the batch before replying
+ * @note    batchId/seq make retries idempotent (implies durable mode)
  */
 router.post('/attempts', logAttempts);
 
@@ -53,37 +97,76 @@ router.get('/attempts/:sessionId', getAttempts);
  */
 router.get('/attempts/:sessionId/stats', getAttemptStats);
 
+/**
+ * @route   POST /api/motor/attempts/:sessionId/recompute
+ * @desc    Re-enrich attempts saved before their pointer trace arrived and re-apply outlier rules
+ * @body    { from, to } (optional): only re-enrich attempts overlapping this tms range
+ */
+router.post('/attempts/:sessionId/recompute', recomputeAttempts);
+
+// ========== REPLAY ROUTES ==========
+
+/**
+ * @route   GET /api/motor/replay/:sessionId/:round
+ * @desc    Time-ordered replay of a round: pointer samples, spawns, clicks, despawns
+ */
+router.get('/replay/:sessionId/:round', getRoundReplay);
+
+// ========== INGEST ROUTES ==========
+
+/**
+ * @route   GET /api/motor/ingest/:batchId
+ * @desc    Get status of a durable ingest batch (queued / applied / rejected)
+ */
+router.get('/ingest/:batchId', getIngestBatchStatus);
+
+/**
+ * @route   GET /api/motor/ingest/cursor/:sessionId
+ * @desc    Get last applied upload sequence per stream (trace / attempts)
+ */
+router.get('/ingest/cursor/:sessionId', getSessionIngestCursor);
+
 // ========== SUMMARY ROUTES ==========
 
+/**
+ * @route   GET /api/motor/summary/versions
+ * @desc    List feature extractor versions and the current default
+ */
+router.get('/summary/versions', getFeatureVersions);
+
 /**
  * @route   POST /api/motor/summary/round
  * @desc    Compute and save round summary
- * @body    { sessionId, participantId, round }
+ * @body    { sessionId, participantId, round, featureVersion (optional) }
+ * @query   includeFlagged (optional): 'true' to keep outlier-flagged attempts (v6+; earlier versions keep them)
  */
 router.post('/summary/round', computeRoundSummary);
 
 /**
  * @route   POST /api/motor/summary/session
  * @desc    Compute and save session summary
- * @body    { sessionId, participantId, label (optional) }
+ * @body    { sessionId, participantId, label (optional), featureVersion (optional) }
+ * @query   includeFlagged (optional): 'true' to keep outlier-flagged attempts (v6+; earlier versions keep them)
  */
 router.post('/summary/session', computeSessionSummary);
 
 /**
  * @route   GET /api/motor/summary/round/:sessionId/:round
  * @desc    Get round summary
+ * @query   featureVersion (optional): default current, else latest stored
  */
 router.get('/summary/round/:sessionId/:round', getRoundSummary);
 
 /**
  * @route   GET /api/motor/summary/session/:sessionId
  * @desc    Get session summary
+ * @query   featureVersion (optional): default current, else latest stored
  */
 router.get('/summary/session/:sessionId', getSessionSummary);
 
 /**
  * @route   PATCH /api/motor/summary/session/:sessionId/label
- * @desc    Update label for session summary
+ * @desc    Update label for session summary (all feature versions)
  * @body    { label: { level, score, source, version } }
  */
 router.patch('/summary/session/:sessionId/label', updateLabel);
@@ -93,11 +176,77 @@ router.patch('/summary/session/:sessionId/label', updateLabel);
  * @desc    Get all session summaries for ML training
  * @query   labelLevel (optional): filter by label level
  * @query   participantId (optional): filter by participant
+ * @query   featureVersion (optional): default current version
  * @query   limit (default: 1000): pagination limit
  * @query   offset (default: 0): pagination offset
  */
 router.get('/training', getTrainingData);
 
+/**
+ * @route   GET /api/motor/training/export
+ * @desc    Stream training data as flat rows with fixed columns (see README)
+ * @query   format (default: csv): 'csv', 'ndjson' or 'parquet'
+ * @query   level (default: session): 'session' or 'round' (one row per round)
+ * @query   featureVersion (optional): default current version
+ * @query   labelLevel, participantId (optional): filters
+ */
+router.get('/training/export', exportTrainingData);
+
+// ========== SPLIT ROUTES ==========
+
+/**
+ * @route   POST /api/motor/splits
+ * @desc    Build a named train/validation/test split grouped by participant (see README)
+ * @body    { name, seed, ratios?: { train, validation, test }, groupBy?: 'participantId'|'userId',
+ *            stratifyBy?: ['labelLevel', 'ageBucket'], featureVersion?, labelLevel? }
+ */
+router.post('/splits', createSplit);
+
+/**
+ * @route   GET /api/motor/splits
+ * @desc    List split manifests (counts and settings, without session IDs)
+ */
+router.get('/splits', listSplits);
+
+/**
+ * @route   GET /api/motor/splits/:name
+ * @desc    Get a split manifest with the session IDs of each split
+ */
+router.get('/splits/:name', getSplit);
+
+// ========== NORM ROUTES ==========
+
+/**
+ * @route   GET /api/motor/norms/:sessionId/percentiles
+ * @desc    Percentile rank of the session's key features within its ageBucket x pointerPrimary stratum
+ * @query   featureVersion (optional): default current version
+ */
+router.get('/norms/:sessionId/percentiles', getSessionNormPercentiles);
+
+// ========== CRON ROUTES ==========
+
+/**
+ * @route   GET /api/motor/cron/ingest
+ * @desc    Apply queued ingest batches that were never applied
+ * @query   limit (default: 50): max batches per run
+ */
+router.get('/cron/ingest', requireCronSecret, drainIngestQueue);
+
+/**
+ * @route   GET /api/motor/cron/summaries
+ * @desc    Compute round/session summaries missing for finished sessions
+ * @query   limit (default: 20): max sessions per run
+ * @query   idleMinutes (default: 60): minutes since the session's last attempt upload
+ */
+router.get('/cron/summaries', requireCronSecret, sweepSummaries);
+
+/**
+ * @route   GET /api/motor/cron/norms
+ * @desc    Rebuild population norms from stored session summaries
+ * @query   featureVersion (optional): default current version
+ */
+router.get('/cron/norms', requireCronSecret, rebuildNorms);
+
 export default router;
 
 
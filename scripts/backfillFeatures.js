@@ -0,0 +1,105 @@
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import Session from '../models/Session.js';
+import '../models/MotorPointerTraceBucket.js';
+import MotorAttemptBucket from '../models/MotorAttemptBucket.js';
+import { MotorSessionSummary, migrateSummaryIndexes } from '../models/MotorSummary.js';
+import { saveRoundSummary, saveSessionSummary } from '../services/motor/summaryService.js';
+import { getFeatureVersion, currentFeatureVersion } from '../utils/featureVersions.js';
+import { logger } from '../services/logging/logger.js';
+
+/**
+ * Backfill: recompute round/session summaries for one feature version
+ *
+ * Usage:
+ *   node scripts/backfillFeatures.js [--version v2] [--session ID] [--limit N]
+ *                                    [--skip-existing] [--include-flagged] [--dry-run]
+ *
+ * Covers every session whose raw attempt buckets still exist (they expire
+ * after 90 days). Outlier rules are re-applied to each session's attempts
+ * first. Other versions' summaries are left alone. The old
+ * one-summary-per-session unique indexes are replaced first (see
+ * scripts/migrateSummaryIndexes.js).
+ */
+
+dotenv.config();
+
+const args = process.argv.slice(2);
+const argValue = name => {
+  const idx = args.indexOf(name);
+  return idx >= 0 ? args[idx + 1] : null;
+};
+
+const featureVersion = argValue('--version') || currentFeatureVersion();
+const onlySession = argValue('--session');
+const limit = parseInt(argValue('--limit')) || 0;
+const skipExisting = args.includes('--skip-existing');
+const includeFlagged = args.includes('--include-flagged');
+const dryRun = args.includes('--dry-run');
+
+async function run() {
+  getFeatureVersion(featureVersion);
+
+  if (!process.env.MONGODB_URI) {
+    throw new Error('MONGODB_URI is not set');
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  if (!dryRun) {
+    await migrateSummaryIndexes();
+  }
+
+  const sessionIds = onlySession
+    ? [onlySession]
+    : await MotorAttemptBucket.distinct('sessionId');
+
+  const results = { seen: 0, computed: 0, skipped: 0, failed: 0 };
+
+  for (const sessionId of sessionIds) {
+    if (limit && results.seen >= limit) break;
+    results.seen++;
+
+    const session = await Session.findOne({ sessionId }).select('participantId').lean();
+    if (!session) {
+      results.skipped++;
+      continue;
+    }
+
+    if (skipExisting && await MotorSessionSummary.exists({ sessionId, featureVersion })) {
+      results.skipped++;
+      continue;
+    }
+
+    if (dryRun) {
+      logger.info('Would backfill session', { sessionId, featureVersion });
+      continue;
+    }
+
+    try {
+      const { participantId } = session;
+      await MotorAttemptBucket.reflagAttempts(sessionId);
+      for (let round = 1; round <= 3; round++) {
+        await saveRoundSummary({ sessionId, participantId, round, featureVersion, includeFlagged });
+      }
+      await saveSessionSummary({ sessionId, participantId, featureVersion, includeFlagged, measureTrace: false });
+      results.computed++;
+    } catch (error) {
+      results.failed++;
+      logger.error('Backfill failed for session:', { sessionId, error: error.message });
+    }
+
+    if (results.seen % 50 === 0) {
+      logger.info('Feature backfill progress', results);
+    }
+  }
+
+  logger.info('Feature backfill finished', { ...results, featureVersion, dryRun });
+}
+
+run()
+  .catch(error => {
+    logger.error('Feature backfill failed:', { error: error.message });
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,58 @@
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import '../models/Session.js';
+import { buildReferenceModel, renormalizeSummaries } from '../services/motor/normalizationService.js';
+import { getFeatureVersion, currentFeatureVersion } from '../utils/featureVersions.js';
+import { logger } from '../services/logging/logger.js';
+
+/**
+ * Build the reference cohort model for feature normalization
+ *
+ * Usage:
+ *   node scripts/buildReferenceModel.js [--version v7] [--skip-renormalize]
+ *
+ * Rebuilds the version's reference cohorts from its stored session
+ * summaries, then recomputes `normalizedFeatures` of every session summary
+ * of that version against the new model.
+ */
+
+dotenv.config();
+
+const args = process.argv.slice(2);
+const argValue = name => {
+  const idx = args.indexOf(name);
+  return idx >= 0 ? args[idx + 1] : null;
+};
+
+const featureVersion = argValue('--version') || currentFeatureVersion();
+const skipRenormalize = args.includes('--skip-renormalize');
+
+async function run() {
+  getFeatureVersion(featureVersion);
+
+  if (!process.env.MONGODB_URI) {
+    throw new Error('MONGODB_URI is not set');
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const model = await buildReferenceModel(featureVersion);
+
+  if (!skipRenormalize) {
+    const results = await renormalizeSummaries(featureVersion);
+    logger.info('Session summaries re-normalized', { ...results, featureVersion });
+  }
+
+  logger.info('Reference model finished', {
+    featureVersion,
+    reference: model.reference,
+    nSessions: model.nSessions,
+  });
+}
+
+run()
+  .catch(error => {
+    logger.error('Reference model build failed:', { error: error.message });
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,37 @@
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import { migrateSummaryIndexes } from '../models/MotorSummary.js';
+import { logger } from '../services/logging/logger.js';
+
+/**
+ * Migration: replace the one-summary-per-session unique indexes
+ *
+ * Usage:
+ *   node scripts/migrateSummaryIndexes.js
+ *
+ * Summaries used to be unique per session (and round). Since feature
+ * versions they are unique per session (and round) and feature version;
+ * the old indexes make every upsert of a new version fail with E11000.
+ * The server also runs this when it connects. Safe to re-run.
+ */
+
+dotenv.config();
+
+async function run() {
+  if (!process.env.MONGODB_URI) {
+    throw new Error('MONGODB_URI is not set');
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const dropped = await migrateSummaryIndexes();
+
+  logger.info('Summary index migration finished', { dropped });
+}
+
+run()
+  .catch(error => {
+    logger.error('Summary index migration failed:', { error: error.message });
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
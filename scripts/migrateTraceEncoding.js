@@ -0,0 +1,68 @@
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import '../models/Session.js';
+import MotorPointerTraceBucket from '../models/MotorPointerTraceBucket.js';
+import { logger } from '../services/logging/logger.js';
+
+/**
+ * Migration: compact existing pointer trace buckets into binary columns
+ *
+ * Usage:
+ *   node scripts/migrateTraceEncoding.js [--all] [--limit N] [--dry-run]
+ *
+ * By default only full buckets are converted; --all also compacts buckets
+ * that may still receive samples (new samples then go to the raw tail).
+ * Safe to re-run: buckets without raw samples are skipped.
+ */
+
+dotenv.config();
+
+const args = process.argv.slice(2);
+const includeActive = args.includes('--all');
+const dryRun = args.includes('--dry-run');
+const limitIdx = args.indexOf('--limit');
+const limit = limitIdx >= 0 ? parseInt(args[limitIdx + 1]) : 0;
+
+async function run() {
+  if (!process.env.MONGODB_URI) {
+    throw new Error('MONGODB_URI is not set');
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const query = { 'samples.0': { $exists: true } };
+  if (!includeActive) query.isFull = true;
+
+  const cursor = MotorPointerTraceBucket.find(query).select('_id sessionId bucketNumber count').lean().cursor();
+  let seen = 0;
+  let compacted = 0;
+
+  for await (const bucket of cursor) {
+    if (limit && seen >= limit) break;
+    seen++;
+
+    if (dryRun) {
+      logger.info('Would compact bucket', bucket);
+      continue;
+    }
+
+    if (await MotorPointerTraceBucket.compactBucket(bucket._id)) {
+      compacted++;
+    } else {
+      logger.warn('Bucket changed during compaction, skipped', { bucketId: String(bucket._id) });
+    }
+
+    if (seen % 100 === 0) {
+      logger.info('Trace encoding migration progress', { seen, compacted });
+    }
+  }
+
+  logger.info('Trace encoding migration finished', { seen, compacted, dryRun, includeActive });
+}
+
+run()
+  .catch(error => {
+    logger.error('Trace encoding migration failed:', { error: error.message });
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
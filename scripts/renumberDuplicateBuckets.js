@@ -0,0 +1,83 @@
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import '../models/Session.js';
+import MotorPointerTraceBucket from '../models/MotorPointerTraceBucket.js';
+import MotorAttemptBucket from '../models/MotorAttemptBucket.js';
+import { logger } from '../services/logging/logger.js';
+
+/**
+ * Migration: renumber duplicate buckets, then build the unique
+ * (sessionId, bucketNumber) indexes
+ *
+ * Usage:
+ *   node scripts/renumberDuplicateBuckets.js [--dry-run]
+ *
+ * The old read-then-insert append could create two buckets with the same
+ * number for one session, and the unique index cannot be built while such
+ * pairs exist. Each affected session's buckets are renumbered 1..N in
+ * their current order (bucketNumber, then creation time), so no item is
+ * moved or lost. Run it while no uploads are coming in. Safe to re-run.
+ */
+
+dotenv.config();
+
+const dryRun = process.argv.slice(2).includes('--dry-run');
+
+// Sessions with at least two buckets sharing a number
+async function sessionsWithDuplicates(Bucket) {
+  const groups = await Bucket.aggregate([
+    { $group: { _id: { sessionId: '$sessionId', bucketNumber: '$bucketNumber' }, n: { $sum: 1 } } },
+    { $match: { n: { $gt: 1 } } },
+    { $group: { _id: '$_id.sessionId' } },
+  ]).allowDiskUse(true);
+
+  return groups.map(g => g._id);
+}
+
+async function renumber(Bucket) {
+  const name = Bucket.modelName;
+  const sessionIds = await sessionsWithDuplicates(Bucket);
+  let renumbered = 0;
+
+  for (const sessionId of sessionIds) {
+    const buckets = await Bucket.find({ sessionId })
+      .sort({ bucketNumber: 1, createdAt: 1, _id: 1 })
+      .select('_id bucketNumber')
+      .lean();
+
+    if (dryRun) {
+      logger.info('Would renumber buckets', { model: name, sessionId, buckets: buckets.length });
+      continue;
+    }
+
+    for (const [index, bucket] of buckets.entries()) {
+      if (bucket.bucketNumber === index + 1) continue;
+      await Bucket.updateOne({ _id: bucket._id }, { $set: { bucketNumber: index + 1 } });
+      renumbered++;
+    }
+  }
+
+  if (!dryRun) {
+    await Bucket.createIndexes();
+  }
+
+  logger.info('Bucket renumbering finished', { model: name, sessions: sessionIds.length, renumbered, dryRun });
+}
+
+async function run() {
+  if (!process.env.MONGODB_URI) {
+    throw new Error('MONGODB_URI is not set');
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI, { autoIndex: false });
+
+  await renumber(MotorPointerTraceBucket);
+  await renumber(MotorAttemptBucket);
+}
+
+run()
+  .catch(error => {
+    logger.error('Bucket renumbering failed:', { error: error.message });
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
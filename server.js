@@ -11,6 +11,8 @@ import motorRoutes from './routes/motor.js';
 import impairmentRoutes from './routes/impairment.js';
 import deviceContextRoutes from './routes/deviceContext.js';
 
+import { migrateSummaryIndexes } from './models/MotorSummary.js';
+
 dotenv.config();
 
 const app = express();
@@ -51,6 +53,14 @@ async function connectToDatabase() {
     await mongoose.connect(process.env.MONGODB_URI, {
       bufferCommands: false,
     });
+
+    // Stale unique summary indexes break every new feature version: fail
+    // here rather than on each summary upsert
+    const dropped = await migrateSummaryIndexes();
+    if (dropped.length > 0) {
+      console.log('Dropped stale summary indexes:', dropped.join(', '));
+    }
+
     cachedDb = mongoose.connection;
     console.log('MongoDB connected');
     return cachedDb;
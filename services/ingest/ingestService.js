@@ -0,0 +1,376 @@
+import crypto from 'crypto';
+import MotorIngestBatch from '../../models/MotorIngestBatch.js';
+import MotorPointerTraceBucket from '../../models/MotorPointerTraceBucket.js';
+import MotorAttemptBucket from '../../models/MotorAttemptBucket.js';
+import Session from '../../models/Session.js';
+import { batchProgress } from '../../utils/bucketAppend.js';
+import { logger } from '../logging/logger.js';
+import { reconcileAfterTrace } from '../motor/attemptReconciliation.js';
+import { onAttemptsStored } from '../motor/autoSummaryService.js';
+
+/**
+ * Durable Motor Ingestion
+ *
+ * Batches are written to the MotorIngestBatch log before the client is
+ * answered, then applied to the bucket collections. Applying is
+ * claim-based so the same batch is never applied twice, even when the
+ * background apply, a status poll and the cron drain race each other.
+ *
+ * Retried uploads are recognised by the client's batchId and/or seq:
+ * the unique indexes on the log turn a second copy into a duplicate
+ * that is reported back instead of appended again.
+ */
+
+const LOCK_MS = 30000;  // how long a claim on a batch is held
+const MAX_TRIES = 5;    // transient failures before a batch is rejected
+
+/**
+ * Resolve the ingestion mode for a request.
+ * 'durable' - log the batch before replying (status can be polled)
+ * 'fast'    - reply immediately and write in the background (legacy)
+ *
+ * Uploads carrying a batchId or seq are always durable: duplicates can
+ * only be detected (and reported) through the ingest log.
+ */
+export function resolveIngestMode(req) {
+  if (req.body.batchId != null || req.body.seq != null) {
+    return 'durable';
+  }
+
+  const mode = req.query.mode || req.body.mode || process.env.MOTOR_INGEST_MODE || 'fast';
+  return mode === 'durable' ? 'durable' : 'fast';
+}
+
+/**
+ * Validate the optional idempotency keys of an upload.
+ * @returns {String|null} Error message, or null when valid
+ */
+export function validateIdempotencyKeys({ batchId, seq }) {
+  if (batchId != null && (typeof batchId !== 'string' || batchId.trim().length === 0)) {
+    return 'batchId must be a non-empty string';
+  }
+  if (seq != null && (!Number.isInteger(seq) || seq < 1)) {
+    return 'seq must be a positive integer (sequences start at 1)';
+  }
+  return null;
+}
+
+// Errors that will fail again no matter how often the batch is retried
+function isPermanentError(error) {
+  return error.name === 'ValidationError'
+    || error.name === 'CastError'
+    || error.name === 'SessionValidationError';
+}
+
+/**
+ * Write a batch to the ingest log.
+ * A batch for an unknown session is logged as rejected right away so the
+ * client learns about it in the reply instead of only in the server logs.
+ * It is logged without its batchId/seq so a retry after the session has
+ * been created is not mistaken for a duplicate, and without its payload:
+ * a rejected batch is never applied, so its items are not kept.
+ *
+ * @returns {Object} { batch, duplicate, cursor }
+ *   batch     - the MotorIngestBatch document (null for a duplicate whose
+ *               log entry has already expired)
+ *   duplicate - true if this batchId/seq was accepted before
+ *   cursor    - the session's upload cursor for this kind
+ */
+export async function enqueueBatch({ kind, sessionId, userId, items, rejectedItems = [], clientBatchId = null, seq = null }) {
+  const batchId = crypto.randomUUID();
+
+  const session = await Session.findOne({ sessionId }).select('ingest');
+
+  if (!session) {
+    const batch = await MotorIngestBatch.create({
+      batchId,
+      sessionId,
+      userId,
+      kind,
+      status: 'rejected',
+      reason: `Session with sessionId "${sessionId}" does not exist.`,
+      count: items.length,
+      rejectedItems,
+    });
+    return { batch, duplicate: false, cursor: null };
+  }
+
+  const cursor = toCursor(session, kind);
+
+  // Already covered by the resume point: nothing to do
+  if (seq != null && cursor.lastAppliedSeq != null && seq <= cursor.lastAppliedSeq) {
+    const batch = await MotorIngestBatch.findOne({ sessionId, kind, seq });
+    return { batch, duplicate: true, cursor };
+  }
+
+  // Nothing left after per-item validation: settle the batch as rejected
+  const empty = items.length === 0;
+
+  try {
+    const batch = await MotorIngestBatch.create({
+      batchId,
+      sessionId,
+      userId,
+      kind,
+      clientBatchId: clientBatchId ?? undefined,
+      seq: seq ?? undefined,
+      status: empty ? 'rejected' : 'queued',
+      reason: empty ? 'No valid items in batch' : undefined,
+      count: items.length,
+      rejectedItems,
+      payload: empty ? undefined : items,
+    });
+
+    if (empty && seq != null) {
+      await advanceCursor(sessionId, kind, seq);
+    }
+
+    return { batch, duplicate: false, cursor };
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+
+    // Same batchId or seq was logged before - report the original
+    const keys = [];
+    if (clientBatchId != null) keys.push({ clientBatchId });
+    if (seq != null) keys.push({ seq });
+
+    const batch = await MotorIngestBatch.findOne({ sessionId, kind, $or: keys });
+
+    logger.info('Duplicate ingest batch', {
+      sessionId,
+      kind,
+      clientBatchId,
+      seq,
+      originalBatchId: batch?.batchId,
+    });
+
+    return { batch, duplicate: true, cursor };
+  }
+}
+
+// Upload cursor of one kind from a Session document
+function toCursor(session, kind) {
+  const cursor = session?.ingest?.[kind] || {};
+  return {
+    lastAppliedSeq: cursor.lastAppliedSeq ?? null,
+    highestAppliedSeq: cursor.highestAppliedSeq ?? null,
+  };
+}
+
+/**
+ * Advance the session's upload cursor after batch `seq` was settled
+ * (applied, or rejected for good - see the batch status for which).
+ * lastAppliedSeq only moves over a contiguous run of settled sequence
+ * numbers, so a client resuming from it never skips a lost batch.
+ */
+export async function advanceCursor(sessionId, kind, seq) {
+  const path = `ingest.${kind}`;
+
+  await Session.updateOne(
+    { sessionId },
+    { $max: { [`${path}.highestAppliedSeq`]: seq } }
+  );
+
+  let next = seq;
+  while (true) {
+    const previous = next === 1 ? { $in: [0, null] } : next - 1;
+    const moved = await Session.updateOne(
+      { sessionId, [`${path}.lastAppliedSeq`]: previous },
+      { $set: { [`${path}.lastAppliedSeq`]: next } }
+    );
+    if (moved.modifiedCount === 0) break;
+
+    // A later batch may have been settled before this one filled the gap
+    const following = await MotorIngestBatch.exists({
+      sessionId,
+      kind,
+      seq: next + 1,
+      status: { $in: ['applied', 'rejected'] },
+    });
+    if (!following) break;
+    next++;
+  }
+}
+
+/**
+ * Get the upload cursors (trace and attempts) of a session
+ * @returns {Object|null} null if the session does not exist
+ */
+export async function getIngestCursor(sessionId) {
+  const session = await Session.findOne({ sessionId }).select('ingest');
+
+  if (!session) {
+    return null;
+  }
+
+  return {
+    sessionId,
+    trace: toCursor(session, 'trace'),
+    attempts: toCursor(session, 'attempts'),
+  };
+}
+
+/**
+ * Apply a queued batch to the bucket collections.
+ * Returns the batch in its latest state; batches that are already
+ * applied, rejected or claimed by another worker are returned untouched.
+ */
+export async function applyBatch(batchId) {
+  const now = new Date();
+
+  const batch = await MotorIngestBatch.findOneAndUpdate(
+    {
+      batchId,
+      status: 'queued',
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+    },
+    {
+      $set: { lockedUntil: new Date(now.getTime() + LOCK_MS) },
+      $inc: { tries: 1 },
+    },
+    { new: true }
+  );
+
+  if (!batch) {
+    return MotorIngestBatch.findOne({ batchId });
+  }
+
+  const Bucket = batch.kind === 'trace' ? MotorPointerTraceBucket : MotorAttemptBucket;
+  let bucket;
+
+  try {
+    // A previous try may have written part or all of the batch before it
+    // died: resume after the items already stored
+    const progress = batch.tries > 1
+      ? await batchProgress(Bucket, batch.sessionId, batchId)
+      : { written: 0, bucketNumber: null, legacy: false };
+    const options = { batchId, skip: progress.written };
+
+    if (progress.legacy || progress.written >= batch.payload.length) {
+      bucket = { bucketNumber: progress.bucketNumber };
+    } else {
+      bucket = batch.kind === 'trace'
+        ? await MotorPointerTraceBucket.addSamples(batch.sessionId, batch.userId, batch.payload, options)
+        : await MotorAttemptBucket.addAttempts(batch.sessionId, batch.userId, batch.payload, options);
+    }
+  } catch (error) {
+    const permanent = isPermanentError(error) || batch.tries >= MAX_TRIES;
+
+    logger.error('Error applying ingest batch:', {
+      batchId,
+      sessionId: batch.sessionId,
+      kind: batch.kind,
+      tries: batch.tries,
+      permanent,
+      error: error.message,
+    });
+
+    if (!permanent) {
+      return MotorIngestBatch.findOneAndUpdate(
+        { _id: batch._id },
+        { $set: { lastError: error.message }, $unset: { lockedUntil: 1 } },
+        { new: true }
+      );
+    }
+
+    const rejected = await MotorIngestBatch.findOneAndUpdate(
+      { _id: batch._id },
+      { $set: { status: 'rejected', reason: error.message }, $unset: { payload: 1, lockedUntil: 1 } },
+      { new: true }
+    );
+
+    // A rejected batch is settled too: resending the same seq cannot fix it
+    if (batch.seq != null) {
+      await advanceCursor(batch.sessionId, batch.kind, batch.seq);
+    }
+
+    return rejected;
+  }
+
+  logger.info('Ingest batch applied', {
+    batchId,
+    sessionId: batch.sessionId,
+    kind: batch.kind,
+    count: batch.count,
+    bucketNumber: bucket.bucketNumber,
+  });
+
+  const applied = await MotorIngestBatch.findOneAndUpdate(
+    { _id: batch._id },
+    {
+      $set: { status: 'applied', appliedAt: new Date(), bucketNumber: bucket.bucketNumber },
+      $unset: { payload: 1, lockedUntil: 1, lastError: 1 },
+    },
+    { new: true }
+  );
+
+  if (batch.seq != null) {
+    await advanceCursor(batch.sessionId, batch.kind, batch.seq);
+  }
+
+  // Late trace: attempts stored earlier with basic features can now be enriched
+  if (batch.kind === 'trace') {
+    await reconcileAfterTrace(batch.sessionId, batch.payload);
+  }
+
+  // Rounds before the latest one uploaded are complete and can be summarized
+  if (batch.kind === 'attempts') {
+    await onAttemptsStored(batch.sessionId, batch.payload);
+  }
+
+  return applied;
+}
+
+/**
+ * Apply queued batches that were never applied (oldest first).
+ * Used by the cron drain so nothing is left behind after a frozen function.
+ */
+export async function processPendingBatches({ limit = 50 } = {}) {
+  const pending = await MotorIngestBatch.find({
+    status: 'queued',
+    $or: [{ lockedUntil: null }, { lockedUntil: { $lte: new Date() } }],
+  })
+    .sort({ createdAt: 1 })
+    .limit(limit)
+    .select('batchId');
+
+  const results = { processed: 0, applied: 0, rejected: 0, queued: 0 };
+
+  for (const { batchId } of pending) {
+    const batch = await applyBatch(batchId);
+    results.processed++;
+    if (batch) results[batch.status]++;
+  }
+
+  return results;
+}
+
+/**
+ * Public view of a batch's status
+ */
+export function toBatchStatus(batch) {
+  return {
+    batchId: batch.batchId,
+    clientBatchId: batch.clientBatchId,
+    seq: batch.seq,
+    sessionId: batch.sessionId,
+    kind: batch.kind,
+    status: batch.status,
+    reason: batch.reason,
+    count: batch.count,
+    rejectedItems: batch.rejectedItems,
+    createdAt: batch.createdAt,
+    appliedAt: batch.appliedAt,
+  };
+}
+
+export default {
+  resolveIngestMode,
+  validateIdempotencyKeys,
+  enqueueBatch,
+  advanceCursor,
+  getIngestCursor,
+  applyBatch,
+  processPendingBatches,
+  toBatchStatus,
+};
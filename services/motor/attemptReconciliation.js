@@ -0,0 +1,75 @@
+import MotorAttemptBucket from '../../models/MotorAttemptBucket.js';
+import Session from '../../models/Session.js';
+import { logger } from '../logging/logger.js';
+
+/**
+ * Attempt Reconciliation Service
+ *
+ * Trace and attempt batches are applied in any order, so attempts are often
+ * stored before the pointer samples that cover them and only get basic
+ * features. This service re-enriches them once the trace is there - on
+ * request, or automatically after a trace batch has been written.
+ */
+
+/**
+ * Recompute features of a session's attempts that are not 'full' yet,
+ * then re-apply the outlier rules to all of them
+ *
+ * @param {String} sessionId
+ * @param {Object} options
+ * @param {Number} options.from - only attempts overlapping [from, to] (optional)
+ * @param {Number} options.to
+ * @returns {Object|null} { checked, updated, stillBasic, flagged }, or null if the session does not exist
+ */
+export async function recomputeSessionAttempts(sessionId, { from = null, to = null } = {}) {
+  const session = await Session.findOne({ sessionId }).select('_id');
+
+  if (!session) {
+    return null;
+  }
+
+  const result = await MotorAttemptBucket.reenrichAttempts(sessionId, { from, to });
+  const { flagged } = await MotorAttemptBucket.reflagAttempts(sessionId);
+
+  return { ...result, flagged };
+}
+
+/**
+ * Re-enrich attempts a freshly written trace batch may have filled in.
+ * Never throws: the trace itself is already stored.
+ *
+ * @param {String} sessionId
+ * @param {Array} samples - the samples just written
+ */
+export async function reconcileAfterTrace(sessionId, samples) {
+  if (!Array.isArray(samples) || samples.length === 0) return null;
+
+  try {
+    let from = Infinity;
+    let to = -Infinity;
+    for (const s of samples) {
+      if (s.tms < from) from = s.tms;
+      if (s.tms > to) to = s.tms;
+    }
+
+    // Cheap check first: most trace batches do not fill a gap
+    if (!(await MotorAttemptBucket.hasBasicAttemptsInRange(sessionId, from, to))) {
+      return null;
+    }
+
+    const result = await MotorAttemptBucket.reenrichAttempts(sessionId, { from, to });
+    logger.info('Attempts re-enriched after late trace', result);
+    return result;
+  } catch (error) {
+    logger.warn('Attempt re-enrichment failed:', {
+      sessionId,
+      error: error.message,
+    });
+    return null;
+  }
+}
+
+export default {
+  recomputeSessionAttempts,
+  reconcileAfterTrace,
+};
@@ -0,0 +1,228 @@
+import Session from '../../models/Session.js';
+import MotorAttemptBucket from '../../models/MotorAttemptBucket.js';
+import { saveRoundSummary, saveSessionSummary } from './summaryService.js';
+import { currentFeatureVersion } from '../../utils/featureVersions.js';
+import { logger } from '../logging/logger.js';
+
+/**
+ * Automatic Motor Summaries
+ *
+ * Computes summaries without the client asking for them:
+ * - a round summary once its attempts are complete (attempts of a later
+ *   round have arrived)
+ * - all round summaries and the session summary in a sweep (cron), for
+ *   sessions whose motor module completed or whose attempts went idle
+ *
+ * Progress is kept on the session's `summaries` block. Hooks never throw:
+ * the attempts they follow are already stored.
+ */
+
+const MOTOR_MODULE = /motor/i;   // module names that complete the motor game
+const MAX_FAILURES = 3;          // the sweep gives up on a session after this
+
+/**
+ * Is this completed module the motor game?
+ */
+export function isMotorModule(moduleName) {
+  return MOTOR_MODULE.test(String(moduleName || ''));
+}
+
+/**
+ * Attempts were stored: their rounds need (re)computing, and every earlier
+ * round is complete and is summarized now
+ *
+ * @param {String} sessionId
+ * @param {Array} attempts - the attempts just stored
+ */
+export async function onAttemptsStored(sessionId, attempts) {
+  if (!Array.isArray(attempts) || attempts.length === 0) return null;
+
+  try {
+    const rounds = [...new Set(attempts.map(a => a.round))];
+    const latestRound = Math.max(...rounds);
+
+    const session = await Session.findOneAndUpdate(
+      { sessionId },
+      {
+        $set: { 'summaries.status': 'pending', 'summaries.lastAttemptAt': new Date() },
+        $pull: { 'summaries.rounds': { $in: rounds } },
+      },
+      { new: true }
+    ).select('participantId summaries');
+
+    if (!session) return null;
+
+    const done = session.summaries?.rounds || [];
+    const featureVersion = currentFeatureVersion();
+    const computed = [];
+
+    for (let round = 1; round < latestRound; round++) {
+      if (done.includes(round) && session.summaries.featureVersion === featureVersion) continue;
+      if (await saveRoundSummary({ sessionId, participantId: session.participantId, round, featureVersion })) {
+        computed.push(round);
+      }
+    }
+
+    if (computed.length > 0) {
+      await Session.updateOne(
+        { sessionId },
+        {
+          $addToSet: { 'summaries.rounds': { $each: computed } },
+          $set: { 'summaries.featureVersion': featureVersion, 'summaries.updatedAt': new Date() },
+        }
+      );
+      logger.info('Round summaries computed automatically', { sessionId, rounds: computed });
+    }
+
+    return computed;
+  } catch (error) {
+    logger.warn('Automatic round summary failed:', {
+      sessionId,
+      error: error.message,
+    });
+    return null;
+  }
+}
+
+/**
+ * The motor module completed: queue the session for the next sweep.
+ * Nothing is computed here, because a serverless function may be frozen
+ * as soon as the reply is sent.
+ *
+ * @param {String} sessionId
+ */
+export async function requestSessionSummary(sessionId) {
+  try {
+    await Session.updateOne(
+      { sessionId },
+      { $set: { 'summaries.status': 'pending', 'summaries.requestedAt': new Date() } }
+    );
+  } catch (error) {
+    logger.warn('Queueing session summary failed:', {
+      sessionId,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Compute every round summary and the session summary, and record the
+ * outcome on the session
+ *
+ * @param {String} sessionId
+ * @returns {Object|null} Summary status, or null if the session does not exist
+ */
+export async function summarizeSession(sessionId) {
+  const session = await Session.findOne({ sessionId }).select('participantId');
+
+  if (!session) {
+    return null;
+  }
+
+  const featureVersion = currentFeatureVersion();
+  const { participantId } = session;
+
+  try {
+    const rounds = [];
+    for (let round = 1; round <= 3; round++) {
+      if (await saveRoundSummary({ sessionId, participantId, round, featureVersion })) {
+        rounds.push(round);
+      }
+    }
+    await saveSessionSummary({ sessionId, participantId, featureVersion });
+
+    const summaries = {
+      status: 'complete',
+      rounds,
+      featureVersion,
+      updatedAt: new Date(),
+      failures: 0,
+    };
+    // Keep lastAttemptAt: attempts arriving later make the session idle again
+    await Session.updateOne(
+      { sessionId },
+      {
+        $set: {
+          'summaries.status': summaries.status,
+          'summaries.rounds': rounds,
+          'summaries.featureVersion': featureVersion,
+          'summaries.updatedAt': summaries.updatedAt,
+          'summaries.failures': 0,
+        },
+        $unset: { 'summaries.requestedAt': 1, 'summaries.lastError': 1 },
+      }
+    );
+
+    logger.info('Session summaries computed automatically', { sessionId, rounds, featureVersion });
+    return summaries;
+  } catch (error) {
+    logger.error('Automatic session summary failed:', { sessionId, error: error.message });
+
+    const updated = await Session.findOneAndUpdate(
+      { sessionId },
+      {
+        $set: { 'summaries.status': 'failed', 'summaries.lastError': error.message, 'summaries.updatedAt': new Date() },
+        $inc: { 'summaries.failures': 1 },
+      },
+      { new: true }
+    ).select('summaries').lean();
+
+    return updated?.summaries || null;
+  }
+}
+
+/**
+ * Fill in missing summaries: sessions whose motor module completed (see
+ * requestSessionSummary) or whose attempts have been idle for
+ * `idleMinutes`, and whose summaries are not complete
+ *
+ * Nothing sets `Session.status` to 'completed' (clients only report
+ * finished modules), so the motor module's completion (`requestedAt`)
+ * stands in for a completed session, and idle attempts cover sessions
+ * that never report it.
+ *
+ * @param {Object} options
+ * @param {Number} options.limit - max sessions per run
+ * @param {Number} options.idleMinutes - minutes since the last attempt upload
+ * @returns {Object} { candidates, complete, failed }
+ */
+export async function sweepMissingSummaries({ limit = 20, idleMinutes = 60 } = {}) {
+  const cutoff = new Date(Date.now() - idleMinutes * 60000);
+
+  const sessions = await Session.find({
+    'summaries.status': { $nin: ['complete', 'none'] },
+    'summaries.failures': { $not: { $gte: MAX_FAILURES } },
+    $or: [
+      { 'summaries.requestedAt': { $exists: true } },
+      { 'summaries.lastAttemptAt': { $lte: cutoff } },
+    ],
+  })
+    .sort({ createdAt: 1 })
+    .limit(limit)
+    .select('sessionId')
+    .lean();
+
+  const results = { candidates: sessions.length, complete: 0, failed: 0 };
+
+  for (const { sessionId } of sessions) {
+    // Sessions without any attempts have nothing to summarize
+    if (!(await MotorAttemptBucket.exists({ sessionId }))) {
+      await Session.updateOne({ sessionId }, { $set: { 'summaries.status': 'none' } });
+      continue;
+    }
+
+    const summaries = await summarizeSession(sessionId);
+    if (summaries?.status === 'complete') results.complete++;
+    else results.failed++;
+  }
+
+  return results;
+}
+
+export default {
+  isMotorModule,
+  onAttemptsStored,
+  requestSessionSummary,
+  summarizeSession,
+  sweepMissingSummaries,
+};
@@ -0,0 +1,103 @@
+import Session from '../../models/Session.js';
+import { MotorRoundSummary, MotorSessionSummary } from '../../models/MotorSummary.js';
+import { featureCatalog } from '../../utils/featureVersions.js';
+import { metadataColumns, featureColumns, toRow } from '../../utils/trainingExport.js';
+
+/**
+ * Training Data Export Service
+ *
+ * Flattens stored round/session summaries and joins them with their
+ * Session (demographics, device, perf, game config) and label.
+ * Rows are produced one batch of summaries at a time.
+ */
+
+const BATCH_SIZE = 200;
+
+// Session fields the export columns read
+const SESSION_FIELDS = 'sessionId userInfo device screen devicePixelRatio perf game';
+
+const modelFor = level => (level === 'round' ? MotorRoundSummary : MotorSessionSummary);
+
+/**
+ * Columns of an export: metadata, then every feature the feature version
+ * can return at this level (throws FeatureVersionError for unknown versions)
+ *
+ * @param {Object} params
+ * @param {String} params.level - 'session' or 'round'
+ * @param {String} params.featureVersion
+ * @returns {Array} [{ name, type, ... }]
+ */
+export function exportColumns({ level, featureVersion }) {
+  const metadata = metadataColumns(level);
+  const features = featureColumns(
+    featureCatalog(featureVersion, level),
+    metadata.map(c => c.name)
+  );
+
+  return [...metadata, ...features];
+}
+
+/**
+ * Flat rows of an export, in sessionId (and round) order
+ *
+ * @param {Array} columns - from exportColumns
+ * @param {Object} params
+ * @param {String} params.level - 'session' or 'round'
+ * @param {String} params.featureVersion
+ * @param {String} params.labelLevel - only sessions with this label (optional)
+ * @param {String} params.participantId - only this participant (optional)
+ */
+export async function* exportRows(columns, { level, featureVersion, labelLevel = null, participantId = null }) {
+  const query = { featureVersion };
+  if (participantId) query.participantId = participantId;
+
+  // Labels live on session summaries; round rows are filtered through them
+  if (labelLevel && level === 'round') {
+    query.sessionId = { $in: await MotorSessionSummary.distinct('sessionId', { featureVersion, 'label.level': labelLevel }) };
+  } else if (labelLevel) {
+    query['label.level'] = labelLevel;
+  }
+
+  const cursor = modelFor(level).find(query)
+    .sort(level === 'round' ? { sessionId: 1, round: 1 } : { sessionId: 1 })
+    .lean()
+    .cursor();
+
+  let batch = [];
+  for await (const summary of cursor) {
+    batch.push(summary);
+    if (batch.length >= BATCH_SIZE) {
+      yield* rowsOf(columns, batch, level, featureVersion);
+      batch = [];
+    }
+  }
+  if (batch.length > 0) {
+    yield* rowsOf(columns, batch, level, featureVersion);
+  }
+}
+
+// Helper: join a batch of summaries with sessions and labels
+async function* rowsOf(columns, summaries, level, featureVersion) {
+  const sessionIds = [...new Set(summaries.map(s => s.sessionId))];
+
+  const sessions = await Session.find({ sessionId: { $in: sessionIds } }).select(SESSION_FIELDS).lean();
+  const sessionById = new Map(sessions.map(s => [s.sessionId, s]));
+
+  let labelById;
+  if (level === 'round') {
+    const labelled = await MotorSessionSummary.find({ sessionId: { $in: sessionIds }, featureVersion })
+      .select('sessionId label')
+      .lean();
+    labelById = new Map(labelled.map(s => [s.sessionId, s.label]));
+  }
+
+  for (const summary of summaries) {
+    const label = level === 'round' ? labelById.get(summary.sessionId) : summary.label;
+    yield toRow(columns, summary, sessionById.get(summary.sessionId), label);
+  }
+}
+
+export default {
+  exportColumns,
+  exportRows,
+};
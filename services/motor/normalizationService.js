@@ -0,0 +1,119 @@
+import Session from '../../models/Session.js';
+import { MotorSessionSummary } from '../../models/MotorSummary.js';
+import MotorReferenceModel from '../../models/MotorReferenceModel.js';
+import { buildReferenceCohorts, normalizeFeatures } from '../../utils/featureNormalization.js';
+import { logger } from '../logging/logger.js';
+
+/**
+ * Feature Normalization Service
+ *
+ * Builds the reference cohort model of a feature version from stored
+ * session summaries, and adds device- and perf-adjusted features
+ * (`normalizedFeatures`) to session summaries.
+ */
+
+const MIN_NORMAL_SESSIONS = 50;  // below this, every session is the reference
+
+// Session fields the cohorts and perf adjustment read
+const SESSION_FIELDS = 'sessionId device screen viewportWidth viewportHeight screenResolution devicePixelRatio perf';
+
+/**
+ * Build (or rebuild) the reference model of a feature version
+ *
+ * @param {String} featureVersion
+ * @returns {Object} Saved model
+ */
+export async function buildReferenceModel(featureVersion) {
+  const nNormal = await MotorSessionSummary.countDocuments({ featureVersion, 'label.level': 'normal' });
+  const reference = nNormal >= MIN_NORMAL_SESSIONS ? 'normal' : 'all';
+
+  const query = reference === 'normal' ? { featureVersion, 'label.level': 'normal' } : { featureVersion };
+  const summaries = await MotorSessionSummary.find(query).select('sessionId features').lean();
+
+  const sessions = await Session.find({ sessionId: { $in: summaries.map(s => s.sessionId) } })
+    .select(SESSION_FIELDS)
+    .lean();
+  const sessionById = new Map(sessions.map(s => [s.sessionId, s]));
+
+  const references = summaries
+    .filter(s => sessionById.has(s.sessionId))
+    .map(s => ({ features: s.features, session: sessionById.get(s.sessionId) }));
+
+  const model = await MotorReferenceModel.findOneAndUpdate(
+    { featureVersion },
+    {
+      featureVersion,
+      reference,
+      nSessions: references.length,
+      cohorts: buildReferenceCohorts(references),
+      builtAt: new Date(),
+    },
+    { upsert: true, new: true }
+  );
+
+  logger.info('Reference model built', {
+    featureVersion,
+    reference,
+    nSessions: references.length,
+    cohorts: Object.keys(model.cohorts || {}).length,
+  });
+
+  return model;
+}
+
+/**
+ * Normalized features of one session
+ *
+ * @param {String} sessionId
+ * @param {Object} features - raw session summary features
+ * @param {String} featureVersion
+ * @param {Object} model - reference model (optional, loaded when omitted)
+ * @returns {Object|null} { normalizedFeatures, normalization }, or null without a reference model
+ */
+export async function normalizeSessionFeatures(sessionId, features, featureVersion, model = null) {
+  model = model || await MotorReferenceModel.findOne({ featureVersion }).lean();
+  if (!model) return null;
+
+  const session = await Session.findOne({ sessionId }).select(SESSION_FIELDS).lean();
+  const { features: normalizedFeatures, cohorts } = normalizeFeatures(features, session, model.cohorts);
+
+  return {
+    normalizedFeatures,
+    normalization: {
+      reference: model.reference,
+      referenceBuiltAt: model.builtAt,
+      cohorts,
+    },
+  };
+}
+
+/**
+ * Re-normalize every stored session summary of a feature version
+ * (after the reference model was rebuilt)
+ *
+ * @param {String} featureVersion
+ * @returns {Object} { seen, normalized }
+ */
+export async function renormalizeSummaries(featureVersion) {
+  const model = await MotorReferenceModel.findOne({ featureVersion }).lean();
+  const results = { seen: 0, normalized: 0 };
+  if (!model) return results;
+
+  const cursor = MotorSessionSummary.find({ featureVersion }).select('sessionId features').lean().cursor();
+  for await (const summary of cursor) {
+    results.seen++;
+    const update = await normalizeSessionFeatures(summary.sessionId, summary.features, featureVersion, model);
+    if (!update) continue;
+
+    await MotorSessionSummary.updateOne({ _id: summary._id }, { $set: update });
+    results.normalized++;
+  }
+
+  return results;
+}
+
+export default {
+  buildReferenceModel,
+  normalizeSessionFeatures,
+  renormalizeSummaries,
+};
@@ -0,0 +1,128 @@
+import Session from '../../models/Session.js';
+import { MotorSessionSummary } from '../../models/MotorSummary.js';
+import MotorNorm from '../../models/MotorNorm.js';
+import {
+  NORM_FEATURES,
+  normValues,
+  sessionStrata,
+  buildDistribution,
+  percentileRank,
+} from '../../utils/norms.js';
+import { getFeatureVersion, currentFeatureVersion } from '../../utils/featureVersions.js';
+import { logger } from '../logging/logger.js';
+
+/**
+ * Motor Norms Service
+ *
+ * Builds population norms (per ageBucket x pointerPrimary stratum) from
+ * stored session summaries and ranks a session against its stratum.
+ */
+
+/**
+ * Rebuild the norms of a feature version
+ *
+ * @param {String} featureVersion - defaults to the current version
+ * @returns {Object} { featureVersion, nSessions, strata }
+ */
+export async function buildNorms(featureVersion = currentFeatureVersion()) {
+  getFeatureVersion(featureVersion);
+
+  const summaries = await MotorSessionSummary.find({ featureVersion }).select('sessionId features').lean();
+  const sessions = await Session.find({ sessionId: { $in: summaries.map(s => s.sessionId) } })
+    .select('sessionId userInfo.ageBucket device.pointerPrimary')
+    .lean();
+  const sessionById = new Map(sessions.map(s => [s.sessionId, s]));
+
+  // Collect each session's values into all of its strata
+  const strata = new Map();
+  let nSessions = 0;
+  for (const summary of summaries) {
+    const session = sessionById.get(summary.sessionId);
+    if (!session) continue;
+    nSessions++;
+
+    const values = normValues(summary.features);
+    for (const { ageBucket, pointerPrimary } of sessionStrata(session)) {
+      const key = `${ageBucket}|${pointerPrimary}`;
+      if (!strata.has(key)) {
+        strata.set(key, { ageBucket, pointerPrimary, n: 0, values: Object.fromEntries(Object.keys(NORM_FEATURES).map(f => [f, []])) });
+      }
+      const stratum = strata.get(key);
+      stratum.n++;
+      for (const [name, value] of Object.entries(values)) {
+        if (value != null) stratum.values[name].push(value);
+      }
+    }
+  }
+
+  const builtAt = new Date();
+  for (const { ageBucket, pointerPrimary, n, values } of strata.values()) {
+    const features = Object.fromEntries(Object.entries(values).map(([name, list]) => [name, buildDistribution(list)]));
+    await MotorNorm.findOneAndUpdate(
+      { featureVersion, ageBucket, pointerPrimary },
+      { featureVersion, ageBucket, pointerPrimary, n, features, builtAt },
+      { upsert: true }
+    );
+  }
+
+  // Strata that no longer have sessions
+  await MotorNorm.deleteMany({ featureVersion, builtAt: { $lt: builtAt } });
+
+  const result = { featureVersion, nSessions, strata: strata.size };
+  logger.info('Motor norms built', result);
+  return result;
+}
+
+/**
+ * Percentile ranks of a session's norm features against its stratum
+ * (the exact ageBucket x pointerPrimary stratum; marginal strata when the
+ * exact one has no norms yet)
+ *
+ * @param {String} sessionId
+ * @param {String} featureVersion - defaults to the current version
+ * @returns {Object|null} null if the session or its summary does not exist
+ */
+export async function getSessionPercentiles(sessionId, featureVersion = currentFeatureVersion()) {
+  getFeatureVersion(featureVersion);
+
+  const session = await Session.findOne({ sessionId }).select('userInfo.ageBucket device.pointerPrimary').lean();
+  if (!session) return null;
+
+  const summary = await MotorSessionSummary.findOne({ sessionId, featureVersion }).select('features').lean();
+  if (!summary) return null;
+
+  const candidates = sessionStrata(session);
+  const norms = await MotorNorm.find({ featureVersion, $or: candidates }).lean();
+  const normFor = ({ ageBucket, pointerPrimary }) => norms.find(
+    n => n.ageBucket === ageBucket && n.pointerPrimary === pointerPrimary
+  );
+
+  const values = normValues(summary.features);
+  const features = {};
+  for (const [name, value] of Object.entries(values)) {
+    const stratum = candidates.find(s => normFor(s)?.features?.[name]?.n > 0);
+    const distribution = stratum ? normFor(stratum).features[name] : null;
+
+    features[name] = {
+      value,
+      percentile: distribution ? percentileRank(value, distribution) : null,
+      higherIsBetter: NORM_FEATURES[name].higherIsBetter,
+      stratum: stratum ? { ageBucket: stratum.ageBucket, pointerPrimary: stratum.pointerPrimary } : null,
+      stratumSize: distribution?.n ?? 0,
+    };
+  }
+
+  return {
+    sessionId,
+    featureVersion,
+    ageBucket: candidates[0].ageBucket,
+    pointerPrimary: candidates[0].pointerPrimary,
+    builtAt: norms[0]?.builtAt || null,
+    features,
+  };
+}
+
+export default {
+  buildNorms,
+  getSessionPercentiles,
+};
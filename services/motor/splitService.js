@@ -0,0 +1,122 @@
+import Session from '../../models/Session.js';
+import { MotorSessionSummary } from '../../models/MotorSummary.js';
+import MotorSplitManifest from '../../models/MotorSplitManifest.js';
+import { SPLIT_NAMES, splitConfigError, resolveRatios, assignSplits } from '../../utils/datasetSplits.js';
+import { getFeatureVersion, currentFeatureVersion } from '../../utils/featureVersions.js';
+import { logger } from '../logging/logger.js';
+
+/**
+ * Motor Split Service
+ *
+ * Builds named, participant-grouped train/validation/test manifests over
+ * the sessions that have a summary for a feature version.
+ */
+
+export const SPLIT_GROUP_KEYS = ['participantId', 'userId'];
+export const SPLIT_STRATA = ['labelLevel', 'ageBucket'];
+
+/**
+ * Build and store a split manifest
+ *
+ * @param {Object} params
+ * @param {String} params.name - unique manifest name
+ * @param {String|Number} params.seed - same seed and sessions give the same splits
+ * @param {Object} params.ratios - { train, validation, test } summing to 1
+ * @param {String} params.groupBy - 'participantId' (default) or 'userId'
+ * @param {Array} params.stratifyBy - any of 'labelLevel', 'ageBucket'
+ * @param {String} params.featureVersion - defaults to the current version
+ * @param {String} params.labelLevel - only sessions with this label level (optional)
+ * @returns {Object} Saved manifest; throws 'SplitExistsError' if the name is taken
+ */
+export async function createSplitManifest({
+  name,
+  seed,
+  ratios,
+  groupBy = 'participantId',
+  stratifyBy = [],
+  featureVersion = currentFeatureVersion(),
+  labelLevel = null,
+}) {
+  getFeatureVersion(featureVersion);
+
+  if (!name) throw splitConfigError('name is required');
+  if (seed == null || seed === '') throw splitConfigError('seed is required');
+  if (!SPLIT_GROUP_KEYS.includes(groupBy)) {
+    throw splitConfigError(`groupBy must be one of ${SPLIT_GROUP_KEYS.join(', ')}`);
+  }
+  if (!Array.isArray(stratifyBy)) {
+    throw splitConfigError(`stratifyBy must be a list of ${SPLIT_STRATA.join(', ')}`);
+  }
+  const unknownStrata = stratifyBy.filter(s => !SPLIT_STRATA.includes(s));
+  if (unknownStrata.length > 0) {
+    throw splitConfigError(`unknown stratifyBy: ${unknownStrata.join(', ')} (allowed: ${SPLIT_STRATA.join(', ')})`);
+  }
+  const resolvedRatios = resolveRatios(ratios);
+
+  if (await MotorSplitManifest.exists({ name })) {
+    const error = new Error(`Split manifest '${name}' already exists`);
+    error.name = 'SplitExistsError';
+    throw error;
+  }
+
+  const query = { featureVersion };
+  if (labelLevel) query['label.level'] = labelLevel;
+
+  const summaries = await MotorSessionSummary.find(query).select('sessionId participantId userId label.level').lean();
+  const sessions = await Session.find({ sessionId: { $in: summaries.map(s => s.sessionId) } })
+    .select('sessionId participantId userId userInfo.ageBucket')
+    .lean();
+  const sessionById = new Map(sessions.map(s => [s.sessionId, s]));
+
+  // Sessions without the group key stay on their own
+  const rows = summaries.map(summary => {
+    const session = sessionById.get(summary.sessionId);
+    const key = summary[groupBy] || session?.[groupBy];
+    return {
+      sessionId: summary.sessionId,
+      group: key ? `${groupBy}:${key}` : `sessionId:${summary.sessionId}`,
+      strata: {
+        labelLevel: summary.label?.level || 'unknown',
+        ageBucket: session?.userInfo?.ageBucket || 'unknown',
+      },
+    };
+  });
+
+  const splits = assignSplits(rows, { seed: String(seed), ratios: resolvedRatios, stratifyBy });
+
+  const groupOf = new Map(rows.map(r => [r.sessionId, r.group]));
+  const counts = Object.fromEntries(SPLIT_NAMES.map(split => [split, {
+    sessions: splits[split].length,
+    groups: new Set(splits[split].map(id => groupOf.get(id))).size,
+  }]));
+
+  try {
+    const manifest = await MotorSplitManifest.create({
+      name,
+      featureVersion,
+      seed: String(seed),
+      groupBy,
+      stratifyBy,
+      ratios: resolvedRatios,
+      labelLevel: labelLevel || undefined,
+      splits,
+      counts,
+    });
+
+    logger.info('Split manifest created', { name, featureVersion, counts });
+    return manifest;
+  } catch (error) {
+    // Created concurrently under the same name
+    if (error.code === 11000) {
+      error.name = 'SplitExistsError';
+      error.message = `Split manifest '${name}' already exists`;
+    }
+    throw error;
+  }
+}
+
+export default {
+  SPLIT_GROUP_KEYS,
+  SPLIT_STRATA,
+  createSplitManifest,
+};
@@ -0,0 +1,181 @@
+import Session from '../../models/Session.js';
+import {
+  MotorRoundSummary,
+  MotorSessionSummary,
+  computeRoundFeatures,
+  computeSessionFeatures,
+} from '../../models/MotorSummary.js';
+import { getFeatureVersion, keepsFlaggedAttempts, currentFeatureVersion } from '../../utils/featureVersions.js';
+import { analyzeSessionTrace } from './traceQualityService.js';
+import { normalizeSessionFeatures } from './normalizationService.js';
+import { logger } from '../logging/logger.js';
+
+/**
+ * Motor Summary Service
+ *
+ * Computes and stores round/session summaries for one feature version.
+ * Used by the summary endpoints and the backfill script.
+ */
+
+/**
+ * Compute and save one round summary
+ *
+ * @param {Object} params
+ * @param {String} params.sessionId
+ * @param {String} params.participantId
+ * @param {Number} params.round
+ * @param {String} params.featureVersion - defaults to the current version
+ * @param {Boolean} params.includeFlagged - keep outlier-flagged attempts (default false; always kept before v6)
+ * @returns {Object|null} Saved summary, or null if the round has no attempts
+ */
+export async function saveRoundSummary({
+  sessionId,
+  participantId,
+  round,
+  featureVersion = currentFeatureVersion(),
+  includeFlagged = false,
+}) {
+  getFeatureVersion(featureVersion);
+
+  const session = await Session.findOne({ sessionId }).select('userId');
+  const userId = session?.userId || null;
+
+  const features = await computeRoundFeatures(sessionId, round, featureVersion, null, { includeFlagged });
+
+  if (!features) {
+    return null;
+  }
+
+  const summary = await MotorRoundSummary.findOneAndUpdate(
+    { sessionId, round, featureVersion },
+    {
+      sessionId,
+      userId,
+      participantId,
+      round,
+      counts: {
+        nTargets: features.nAttempts,
+        nHits: features.nHits,
+        nMisses: features.nMisses,
+        hitRate: features.hitRate,
+        nFlagged: features.nFlagged,
+      },
+      features,
+      featureVersion,
+      includeFlagged: includeFlagged || keepsFlaggedAttempts(featureVersion),
+    },
+    { upsert: true, new: true }
+  );
+
+  logger.info('Round summary computed', {
+    sessionId,
+    round,
+    featureVersion,
+    hitRate: features.hitRate,
+  });
+
+  return summary;
+}
+
+/**
+ * Compute and save a session summary
+ *
+ * @param {Object} params
+ * @param {String} params.sessionId
+ * @param {String} params.participantId
+ * @param {Object} params.label - label to set (optional; else kept from any stored version)
+ * @param {String} params.featureVersion - defaults to the current version
+ * @param {Boolean} params.includeFlagged - keep outlier-flagged attempts (default false; always kept before v6)
+ * @param {Boolean} params.measureTrace - re-measure sampling rate/gaps first (default true)
+ * @returns {Object} Saved summary
+ */
+export async function saveSessionSummary({
+  sessionId,
+  participantId,
+  label = null,
+  featureVersion = currentFeatureVersion(),
+  includeFlagged = false,
+  measureTrace = true,
+}) {
+  getFeatureVersion(featureVersion);
+
+  const session = await Session.findOne({ sessionId }).select('userId');
+  const userId = session?.userId || null;
+
+  // Measure real sampling rate/gaps and record them on the session
+  if (measureTrace) {
+    try {
+      await analyzeSessionTrace(sessionId, { persist: true });
+    } catch (error) {
+      logger.error('Error measuring trace quality:', { sessionId, error: error.message });
+    }
+  }
+
+  const features = await computeSessionFeatures(sessionId, featureVersion, { includeFlagged });
+
+  // Device/perf-adjusted variants, once a reference model exists for the version
+  let normalized = null;
+  try {
+    normalized = await normalizeSessionFeatures(sessionId, features, featureVersion);
+  } catch (error) {
+    logger.error('Error normalizing session features:', { sessionId, error: error.message });
+  }
+
+  // The label belongs to the session, not to a feature version
+  let sessionLabel = label;
+  if (!sessionLabel) {
+    const labelled = await MotorSessionSummary.findOne({ sessionId, 'label.level': { $ne: 'unknown' } })
+      .select('label')
+      .lean();
+    sessionLabel = labelled?.label || { level: 'unknown', source: 'none' };
+  }
+
+  const update = {
+    sessionId,
+    userId,
+    participantId,
+    features,
+    featureVersion,
+    includeFlagged: includeFlagged || keepsFlaggedAttempts(featureVersion),
+    label: sessionLabel,
+  };
+  if (normalized) {
+    Object.assign(update, normalized);
+  } else {
+    // Z-scores of the previous features would no longer match
+    update.$unset = { normalizedFeatures: 1, normalization: 1 };
+  }
+
+  const summary = await MotorSessionSummary.findOneAndUpdate(
+    { sessionId, featureVersion },
+    update,
+    { upsert: true, new: true }
+  );
+
+  logger.info('Session summary computed', {
+    sessionId,
+    featureVersion,
+    featureCount: Object.keys(features).length,
+  });
+
+  return summary;
+}
+
+/**
+ * Find a stored summary: the requested version, else the current one,
+ * else the most recently updated version
+ */
+export async function findSummary(Model, query, featureVersion = null) {
+  if (featureVersion) {
+    return Model.findOne({ ...query, featureVersion });
+  }
+
+  return (await Model.findOne({ ...query, featureVersion: currentFeatureVersion() }))
+    || Model.findOne(query).sort({ updatedAt: -1 });
+}
+
+export default {
+  saveRoundSummary,
+  saveSessionSummary,
+  findSummary,
+};
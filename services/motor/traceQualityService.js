@@ -0,0 +1,73 @@
+import MotorPointerTraceBucket from '../../models/MotorPointerTraceBucket.js';
+import Session from '../../models/Session.js';
+import { analyzeTraceQuality, DEFAULT_GAP_THRESHOLD_MS } from '../../utils/traceQuality.js';
+import { logger } from '../logging/logger.js';
+
+/**
+ * Trace Quality Service
+ *
+ * Measures a session's real sampling rate, jitter and gaps from its stored
+ * pointer trace and (optionally) writes them to the session's `perf` block,
+ * next to the client-reported values.
+ */
+
+/**
+ * Analyze a session's pointer trace
+ *
+ * @param {String} sessionId
+ * @param {Object} options
+ * @param {Number} options.gapThresholdMs - intervals above this count as gaps
+ * @param {Boolean} options.persist - write the measured values to Session.perf
+ * @returns {Object|null} Quality report, or null if the session does not exist
+ */
+export async function analyzeSessionTrace(sessionId, { gapThresholdMs = DEFAULT_GAP_THRESHOLD_MS, persist = false } = {}) {
+  const session = await Session.findOne({ sessionId }).select('_id');
+
+  if (!session) {
+    return null;
+  }
+
+  // Only timing is needed - keep memory low for long sessions
+  const samples = [];
+  for await (const s of MotorPointerTraceBucket.streamSessionSamples(sessionId)) {
+    samples.push({ round: s.round, tms: s.tms });
+  }
+
+  const report = analyzeTraceQuality(samples, { gapThresholdMs });
+
+  if (persist && samples.length > 0) {
+    const qualityByRound = {};
+    for (const [round, q] of Object.entries(report.rounds)) {
+      const { gaps, ...metrics } = q;
+      qualityByRound[round] = metrics;
+    }
+
+    await Session.updateOne(
+      { sessionId },
+      {
+        $set: {
+          'perf.samplingHzMeasured': report.overall.samplingHz,
+          'perf.samplingJitterMs': report.overall.jitterMs,
+          'perf.p95IntervalMs': report.overall.p95IntervalMs,
+          'perf.gapCount': report.overall.gapCount,
+          'perf.maxGapMs': report.overall.maxGapMs,
+          'perf.qualityByRound': qualityByRound,
+          'perf.qualityAnalyzedAt': new Date(),
+        },
+      }
+    );
+
+    logger.info('Trace quality measured', {
+      sessionId,
+      samplingHz: report.overall.samplingHz,
+      jitterMs: report.overall.jitterMs,
+      gapCount: report.overall.gapCount,
+    });
+  }
+
+  return { sessionId, ...report };
+}
+
+export default {
+  analyzeSessionTrace,
+};
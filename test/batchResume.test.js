@@ -0,0 +1,118 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { appendToBuckets, batchProgress } from '../utils/bucketAppend.js';
+import { fakeBucketModel } from './helpers/fakeBucketModel.js';
+
+const MAX = 10;
+const items = n => Array.from({ length: n }, (_, i) => ({ i }));
+
+// Fails the `failAt`-th write (1-based), like a function frozen mid-batch
+function crashingModel(failAt) {
+  let writes = 0;
+  return fakeBucketModel({
+    beforeWrite() {
+      writes++;
+      if (writes === failAt) throw new Error('function frozen');
+    },
+  });
+}
+
+const append = (Bucket, batchItems, batchId) => appendToBuckets(Bucket, {
+  sessionId: 's1',
+  userId: 'u1',
+  field: 'samples',
+  items: batchItems,
+  maxPerBucket: MAX,
+  batchId,
+});
+
+test('records how many items each bucket took for a batch', async () => {
+  const Bucket = fakeBucketModel();
+  await append(Bucket, items(4), 'a');
+  await append(Bucket, items(13), 'b');
+
+  assert.deepEqual(Bucket.docs.map(d => d.batchWrites), [
+    [{ batchId: 'a', n: 4 }, { batchId: 'b', n: 6 }],
+    [{ batchId: 'b', n: 7 }],
+  ]);
+  assert.deepEqual(await batchProgress(Bucket, 's1', 'b'), { written: 13, bucketNumber: 2, legacy: false });
+  assert.deepEqual(await batchProgress(Bucket, 's1', 'c'), { written: 0, bucketNumber: null, legacy: false });
+});
+
+test('a batch that failed between chunks resumes from its first unwritten item', async () => {
+  const Bucket = crashingModel(2);  // first chunk written, rollover bucket fails
+  const batch = items(25);
+
+  await assert.rejects(append(Bucket, batch, 'b'), /function frozen/);
+
+  const progress = await batchProgress(Bucket, 's1', 'b');
+  assert.equal(progress.written, MAX);
+  assert.ok(progress.written < batch.length, 'not mistaken for a fully written batch');
+
+  await append(Bucket, batch.slice(progress.written), 'b');
+
+  assert.deepEqual(Bucket.items('s1', 'samples'), batch);
+  assert.equal((await batchProgress(Bucket, 's1', 'b')).written, batch.length);
+});
+
+test('a batch that failed inside a partly filled bucket resumes after it', async () => {
+  const Bucket = crashingModel(3);
+  await append(Bucket, items(6), 'a');                     // write 1
+
+  const batch = items(8).map(({ i }) => ({ i: 100 + i }));
+  await assert.rejects(append(Bucket, batch, 'b'), /function frozen/);  // 4 appended (write 2), rollover fails (write 3)
+
+  const { written } = await batchProgress(Bucket, 's1', 'b');
+  assert.equal(written, 4);
+
+  await append(Bucket, batch.slice(written), 'b');
+  assert.deepEqual(Bucket.items('s1', 'samples'), [...items(6), ...batch]);
+});
+
+test('buckets written before per-chunk counts count as complete', async () => {
+  const Bucket = fakeBucketModel();
+  Bucket.insert({ sessionId: 's1', bucketNumber: 1, count: 3, samples: items(3), batchIds: ['old'] });
+
+  assert.deepEqual(await batchProgress(Bucket, 's1', 'old'), { written: 0, bucketNumber: 1, legacy: true });
+});
+
+test('applyBatch retries a half-written batch without losing items', async t => {
+  const [{ default: MotorIngestBatch }, { default: MotorPointerTraceBucket }, { default: MotorAttemptBucket }, { applyBatch }] = await Promise.all([
+    import('../models/MotorIngestBatch.js'),
+    import('../models/MotorPointerTraceBucket.js'),
+    import('../models/MotorAttemptBucket.js'),
+    import('../services/ingest/ingestService.js'),
+  ]);
+
+  const { logger } = await import('../services/logging/logger.js');
+  t.after(() => { logger.silent = false; });
+  logger.silent = true;
+
+  const Bucket = crashingModel(2);
+  const payload = items(25).map(({ i }) => ({ round: 1, tms: i, x: 0.5, y: 0.5 }));
+  const batch = { _id: 1, batchId: 'b', sessionId: 's1', userId: 'u1', kind: 'trace', count: payload.length, payload, tries: 0 };
+  let status = 'queued';
+
+  t.mock.method(MotorIngestBatch, 'findOneAndUpdate', async (filter, update) => {
+    if (filter.batchId) {
+      // Claim
+      if (status !== 'queued') return null;
+      batch.tries++;
+      return { ...batch };
+    }
+    if (update.$set?.status) status = update.$set.status;
+    return { ...batch, status };
+  });
+  t.mock.method(MotorPointerTraceBucket, 'find', filter => Bucket.find(filter));
+  t.mock.method(MotorPointerTraceBucket, 'addSamples', (sessionId, userId, samples, { batchId, skip = 0 }) =>
+    append(Bucket, samples.slice(skip), batchId));
+  t.mock.method(MotorAttemptBucket, 'hasBasicAttemptsInRange', async () => false);
+
+  // First try dies after its first chunk; the batch stays queued
+  assert.equal((await applyBatch('b')).status, 'queued');
+  assert.equal(Bucket.items('s1', 'samples').length, MAX);
+
+  // The retry writes the rest, once
+  assert.equal((await applyBatch('b')).status, 'applied');
+  assert.deepEqual(Bucket.items('s1', 'samples'), payload);
+});
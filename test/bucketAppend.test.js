@@ -0,0 +1,118 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { appendToBuckets } from '../utils/bucketAppend.js';
+import { fakeBucketModel } from './helpers/fakeBucketModel.js';
+
+const items = (from, n) => Array.from({ length: n }, (_, i) => ({ i: from + i }));
+
+const append = (Bucket, list, extra = {}) => appendToBuckets(Bucket, {
+  sessionId: 's1',
+  userId: 'u1',
+  field: 'samples',
+  items: list,
+  maxPerBucket: 4,
+  ...extra,
+});
+
+test('rolls over into numbered buckets at capacity', async () => {
+  const Bucket = fakeBucketModel();
+
+  await append(Bucket, items(0, 3));
+  const last = await append(Bucket, items(3, 7));
+
+  assert.deepEqual(Bucket.docs.map(d => [d.bucketNumber, d.count, d.isFull]), [
+    [1, 4, true],
+    [2, 4, true],
+    [3, 2, false],
+  ]);
+  assert.equal(last.bucketNumber, 3);
+  assert.deepEqual(Bucket.items('s1', 'samples'), items(0, 10));
+});
+
+test('passes the chunk to chunkFields and chunkUpdate', async () => {
+  const Bucket = fakeBucketModel();
+  const updates = [];
+
+  await append(Bucket, items(0, 6), {
+    chunkFields: chunk => ({ firstI: chunk[0].i }),
+    chunkUpdate: (chunk, isEmpty) => {
+      updates.push({ first: chunk[0].i, isEmpty });
+      return { $max: { lastI: chunk[chunk.length - 1].i } };
+    },
+  });
+  await append(Bucket, items(6, 1), {
+    chunkUpdate: (chunk, isEmpty) => {
+      updates.push({ first: chunk[0].i, isEmpty });
+      return { $max: { lastI: chunk[0].i } };
+    },
+  });
+
+  assert.deepEqual(Bucket.docs.map(d => d.firstI), [0, 4]);
+  assert.deepEqual(updates, [{ first: 6, isEmpty: false }]);
+  assert.equal(Bucket.docs[1].lastI, 6);
+});
+
+test('a lost creation race (11000) appends to the winner\'s bucket', async () => {
+  let raced = false;
+  const Bucket = fakeBucketModel({
+    beforeWrite(op, Model) {
+      if (op.type === 'create' && !raced) {
+        raced = true;
+        Model.insert({ sessionId: 's1', bucketNumber: 1, count: 1, samples: [{ i: 'other' }] });
+      }
+    },
+  });
+
+  await append(Bucket, items(0, 3));
+
+  assert.deepEqual(Bucket.docs.map(d => [d.bucketNumber, d.count]), [[1, 4]]);
+  assert.deepEqual(Bucket.items('s1', 'samples'), [{ i: 'other' }, ...items(0, 3)]);
+});
+
+test('an append that lost its room re-reads and rolls over', async () => {
+  const Bucket = fakeBucketModel();
+  Bucket.insert({ sessionId: 's1', bucketNumber: 1, count: 2, samples: items(100, 2) });
+
+  let raced = false;
+  Bucket.findOneAndUpdate = (original => async (filter, update) => {
+    if (!raced) {
+      raced = true;
+      // Another writer fills the bucket between our read and our update
+      Object.assign(Bucket.docs[0], { count: 4, samples: items(100, 4) });
+    }
+    return original(filter, update);
+  })(Bucket.findOneAndUpdate);
+
+  await append(Bucket, items(0, 2));
+
+  assert.deepEqual(Bucket.docs.map(d => [d.bucketNumber, d.count, d.isFull]), [
+    [1, 4, true],
+    [2, 2, false],
+  ]);
+  assert.deepEqual(Bucket.items('s1', 'samples'), [...items(100, 4), ...items(0, 2)]);
+});
+
+test('gives up after too many lost races', async () => {
+  const Bucket = fakeBucketModel({
+    beforeWrite(op) {
+      if (op.type === 'create') throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+    },
+  });
+
+  await assert.rejects(append(Bucket, items(0, 1)), /too much contention/);
+});
+
+test('other write errors are not retried', async () => {
+  let creates = 0;
+  const Bucket = fakeBucketModel({
+    beforeWrite(op) {
+      if (op.type === 'create') {
+        creates++;
+        throw Object.assign(new Error('validation failed'), { name: 'ValidationError' });
+      }
+    },
+  });
+
+  await assert.rejects(append(Bucket, items(0, 1)), /validation failed/);
+  assert.equal(creates, 1);
+});
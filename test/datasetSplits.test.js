@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SPLIT_NAMES, resolveRatios, assignSplits } from '../utils/datasetSplits.js';
+
+// 120 participants with 1-3 sessions each, two label levels and age buckets
+function makeSessions() {
+  const sessions = [];
+  for (let p = 0; p < 120; p++) {
+    for (let k = 0; k < 1 + (p % 3); k++) {
+      sessions.push({
+        sessionId: `s${p}_${k}`,
+        group: `p${p}`,
+        strata: { labelLevel: p % 4 === 0 ? 'mild' : 'normal', ageBucket: p % 2 ? '18-24' : '25-34' },
+      });
+    }
+  }
+  return sessions;
+}
+
+const groupOf = sessionId => sessionId.split('_')[0];
+const options = { seed: 'seed-1', ratios: resolveRatios(), stratifyBy: ['labelLevel', 'ageBucket'] };
+
+test('is deterministic for a seed, whatever the input order', () => {
+  const sessions = makeSessions();
+  const a = assignSplits(sessions, options);
+  const b = assignSplits([...sessions].reverse(), options);
+  assert.deepEqual(a, b);
+});
+
+test('a different seed gives different splits', () => {
+  const sessions = makeSessions();
+  assert.notDeepEqual(assignSplits(sessions, options), assignSplits(sessions, { ...options, seed: 'seed-2' }));
+});
+
+test('never puts one participant in two splits', () => {
+  const splits = assignSplits(makeSessions(), options);
+  const seen = new Map();
+  for (const name of SPLIT_NAMES) {
+    for (const sessionId of splits[name]) {
+      const previous = seen.get(groupOf(sessionId));
+      assert.ok(previous === undefined || previous === name, `${groupOf(sessionId)} in ${previous} and ${name}`);
+      seen.set(groupOf(sessionId), name);
+    }
+  }
+});
+
+test('assigns every session once, close to the ratios', () => {
+  const sessions = makeSessions();
+  const splits = assignSplits(sessions, options);
+  const all = SPLIT_NAMES.flatMap(name => splits[name]);
+
+  assert.equal(all.length, sessions.length);
+  assert.equal(new Set(all).size, sessions.length);
+
+  for (const name of SPLIT_NAMES) {
+    const share = splits[name].length / sessions.length;
+    assert.ok(Math.abs(share - options.ratios[name]) < 0.05, `${name}: ${share}`);
+  }
+});
+
+test('stratifies by label level', () => {
+  const sessions = makeSessions();
+  const splits = assignSplits(sessions, options);
+  const level = new Map(sessions.map(s => [s.sessionId, s.strata.labelLevel]));
+
+  for (const name of ['validation', 'test']) {
+    assert.ok(splits[name].some(id => level.get(id) === 'mild'), `${name} has mild sessions`);
+  }
+});
+
+test('skips splits with a zero ratio', () => {
+  const splits = assignSplits(makeSessions(), { seed: 1, ratios: resolveRatios({ train: 0.8, validation: 0, test: 0.2 }) });
+  assert.equal(splits.validation.length, 0);
+});
+
+test('rejects ratios that do not sum to 1 or are negative', () => {
+  assert.throws(() => resolveRatios({ train: 0.5, validation: 0.1, test: 0.1 }), { name: 'SplitConfigError' });
+  assert.throws(() => resolveRatios({ train: 1.2, validation: -0.2, test: 0 }), { name: 'SplitConfigError' });
+  assert.deepEqual(resolveRatios({ train: '0.6', validation: 0.2, test: 0.2 }), { train: 0.6, validation: 0.2, test: 0.2 });
+});
@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { effectiveFitts, fittsRegression, WE_FACTOR } from '../utils/fittsMetrics.js';
+
+const close = (actual, expected, eps = 1e-9) => assert.ok(Math.abs(actual - expected) <= eps, `${actual} != ${expected}`);
+
+const clicked = (endpointDx, Ae, movementTimeMs, hit = true) => ({
+  click: { clicked: true, hit },
+  fitts: { endpointDx, Ae },
+  timing: { movementTimeMs },
+});
+
+test('effective width is 4.133 sample SDs of the endpoint deviations', () => {
+  // Deviations -0.02, 0, 0.02: sample SD 0.02
+  const attempts = [clicked(-0.02, 0.4, 500), clicked(0, 0.5, 600), clicked(0.02, 0.6, 700)];
+  const { We, Ae, IDe, TPe, nEffective } = effectiveFitts(attempts);
+
+  close(We, WE_FACTOR * 0.02);
+  close(Ae, 0.5);
+  close(IDe, Math.log2(0.5 / We + 1));
+  close(TPe, IDe / 0.6);
+  assert.equal(nEffective, 3);
+});
+
+test('misses count, unclicked attempts and missing data do not', () => {
+  const attempts = [
+    clicked(-0.02, 0.5, 600),
+    clicked(0.02, 0.5, 600, false),
+    { click: { clicked: false }, fitts: { endpointDx: 5, Ae: 5 }, timing: { movementTimeMs: 1 } },
+    { click: { clicked: true, hit: true }, fitts: { endpointDx: 5 }, timing: { movementTimeMs: 1 } },
+  ];
+  const { We, nEffective } = effectiveFitts(attempts);
+
+  assert.equal(nEffective, 2);
+  close(We, WE_FACTOR * Math.sqrt(0.0008));
+});
+
+test('effective measures need two endpoints and some spread', () => {
+  assert.deepEqual(effectiveFitts([clicked(0.01, 0.5, 600)]), { We: null, Ae: 0.5, IDe: null, TPe: null, nEffective: 1 });
+  assert.equal(effectiveFitts([clicked(0.01, 0.5, 600), clicked(0.01, 0.5, 600)]).IDe, null);
+  assert.equal(effectiveFitts([]).nEffective, 0);
+});
+
+const hit = (ID, movementTimeMs) => ({ click: { clicked: true, hit: true }, fitts: { ID }, timing: { movementTimeMs } });
+
+test('regression recovers an exact MT = a + b * ID', () => {
+  const attempts = [1, 2, 3, 4, 5].map(id => hit(id, 200 + 150 * id));
+  const { a, b, r2, residualSD, n } = fittsRegression(attempts);
+
+  close(a, 200);
+  close(b, 150);
+  close(r2, 1);
+  close(residualSD, 0);
+  assert.equal(n, 5);
+});
+
+test('regression fit and residual SD of noisy points', () => {
+  // MT = 100 + 100 * ID with residuals +10, -20, +10
+  const { a, b, r2, residualSD } = fittsRegression([hit(1, 210), hit(2, 280), hit(3, 410)]);
+
+  close(a, 100);
+  close(b, 100);
+  close(residualSD, Math.sqrt(600 / 1));
+  close(r2, 1 - 600 / 20600);
+});
+
+test('regression uses hits only and needs three points with different IDs', () => {
+  const miss = { click: { clicked: true, hit: false }, fitts: { ID: 9 }, timing: { movementTimeMs: 9999 } };
+
+  assert.deepEqual(fittsRegression([hit(1, 300), hit(2, 400), miss]), { a: null, b: null, r2: null, residualSD: null, n: 2 });
+  assert.equal(fittsRegression([hit(2, 300), hit(2, 400), hit(2, 500)]).b, null);
+  assert.equal(fittsRegression([hit(1, 300), hit(2, 400), hit(3, 500), miss]).n, 3);
+});
@@ -0,0 +1,99 @@
+/**
+ * In-memory stand-in for a bucket model: just the queries
+ * utils/bucketAppend.js makes, with the unique (sessionId, bucketNumber)
+ * index. `hooks.beforeWrite(op)` runs before every write and may throw
+ * (a crash) or insert a competing bucket (a race).
+ */
+
+const copy = doc => (doc ? structuredClone(doc) : null);
+
+// Chainable result of findOne/find (sort, select and lean are no-ops)
+function query(run) {
+  const chain = {
+    sort: () => chain,
+    select: () => chain,
+    lean: () => chain,
+    then: (resolve, reject) => Promise.resolve().then(run).then(resolve, reject),
+  };
+  return chain;
+}
+
+function matchesCount(doc, condition) {
+  if (condition === undefined) return true;
+  if (typeof condition === 'number') return doc.count === condition;
+  return doc.count <= condition.$lte;
+}
+
+export function fakeBucketModel(hooks = {}) {
+  const docs = [];
+  let nextId = 1;
+  const beforeWrite = async op => hooks.beforeWrite?.(op, Model);
+
+  const Model = {
+    docs,
+
+    // Insert without hooks (for setting up races and fixtures)
+    insert(doc) {
+      if (docs.some(d => d.sessionId === doc.sessionId && d.bucketNumber === doc.bucketNumber)) {
+        throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+      }
+      const stored = { _id: nextId++, count: 0, isFull: false, batchWrites: [], ...structuredClone(doc) };
+      docs.push(stored);
+      return copy(stored);
+    },
+
+    findOne(filter) {
+      return query(() => copy(
+        docs
+          .filter(d => d.sessionId === filter.sessionId)
+          .sort((a, b) => b.bucketNumber - a.bucketNumber)[0]
+      ));
+    },
+
+    find(filter) {
+      const batchId = filter.$or?.[0]?.['batchWrites.batchId'];
+      return query(() => docs
+        .filter(d => d.sessionId === filter.sessionId)
+        .filter(d => batchId === undefined
+          || d.batchWrites.some(w => w.batchId === batchId)
+          || d.batchIds?.includes(batchId))
+        .map(copy));
+    },
+
+    async create(doc) {
+      await beforeWrite({ type: 'create', doc });
+      return Model.insert(doc);
+    },
+
+    async findOneAndUpdate(filter, update) {
+      await beforeWrite({ type: 'append', filter, update });
+      const doc = docs.find(d => d._id === filter._id && matchesCount(d, filter.count));
+      if (!doc) return null;
+
+      for (const [key, value] of Object.entries(update.$push || {})) {
+        doc[key] = [...(doc[key] || []), ...(value.$each || [value])];
+      }
+      for (const [key, value] of Object.entries(update.$inc || {})) doc[key] += value;
+      for (const [key, value] of Object.entries(update.$set || {})) doc[key] = value;
+      for (const [key, value] of Object.entries(update.$min || {})) doc[key] = Math.min(doc[key] ?? value, value);
+      for (const [key, value] of Object.entries(update.$max || {})) doc[key] = Math.max(doc[key] ?? value, value);
+      return copy(doc);
+    },
+
+    async updateOne(filter, update) {
+      const doc = docs.find(d => d._id === filter._id);
+      if (doc) Object.assign(doc, update.$set);
+      return { modifiedCount: doc ? 1 : 0 };
+    },
+
+    // Stored items of a session, in bucket order
+    items(sessionId, field) {
+      return docs
+        .filter(d => d.sessionId === sessionId)
+        .sort((a, b) => a.bucketNumber - b.bucketNumber)
+        .flatMap(d => d[field] || []);
+    },
+  };
+
+  return Model;
+}
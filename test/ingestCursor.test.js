@@ -0,0 +1,80 @@
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import Session from '../models/Session.js';
+import MotorIngestBatch from '../models/MotorIngestBatch.js';
+import { advanceCursor } from '../services/ingest/ingestService.js';
+
+// In-memory stand-ins for the two queries advanceCursor makes
+let cursor;
+let settled;
+
+const PATH = 'ingest.trace';
+
+// Settle batch `seq` (status applied/rejected), then advance as applyBatch does
+async function settle(seq) {
+  settled.add(seq);
+  await advanceCursor('s1', 'trace', seq);
+}
+
+beforeEach(() => {
+  cursor = { lastAppliedSeq: null, highestAppliedSeq: null };
+  settled = new Set();
+
+  mock.method(Session, 'updateOne', async (filter, update) => {
+    if (update.$max) {
+      const seq = update.$max[`${PATH}.highestAppliedSeq`];
+      cursor.highestAppliedSeq = Math.max(cursor.highestAppliedSeq ?? 0, seq);
+      return { modifiedCount: 1 };
+    }
+
+    const expected = filter[`${PATH}.lastAppliedSeq`];
+    const matches = expected?.$in
+      ? expected.$in.includes(cursor.lastAppliedSeq ?? null)
+      : cursor.lastAppliedSeq === expected;
+    if (!matches) return { modifiedCount: 0 };
+
+    cursor.lastAppliedSeq = update.$set[`${PATH}.lastAppliedSeq`];
+    return { modifiedCount: 1 };
+  });
+
+  mock.method(MotorIngestBatch, 'exists', async ({ seq }) => (settled.has(seq) ? { _id: seq } : null));
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+test('advances over batches settled in order', async () => {
+  await settle(1);
+  await settle(2);
+  await settle(3);
+  assert.equal(cursor.lastAppliedSeq, 3);
+  assert.equal(cursor.highestAppliedSeq, 3);
+});
+
+test('stops at a gap and closes it when the missing batch settles', async () => {
+  await settle(1);
+  await settle(3);
+  await settle(4);
+  assert.equal(cursor.lastAppliedSeq, 1);
+  assert.equal(cursor.highestAppliedSeq, 4);
+
+  await settle(2);
+  assert.equal(cursor.lastAppliedSeq, 4);
+});
+
+test('does not move before batch 1 is settled', async () => {
+  await settle(2);
+  assert.equal(cursor.lastAppliedSeq, null);
+  assert.equal(cursor.highestAppliedSeq, 2);
+
+  await settle(1);
+  assert.equal(cursor.lastAppliedSeq, 2);
+});
+
+test('settling a batch twice does not move the cursor back', async () => {
+  await settle(1);
+  await settle(2);
+  await settle(1);
+  assert.equal(cursor.lastAppliedSeq, 2);
+});
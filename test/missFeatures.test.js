@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { missFeatures } from '../utils/missFeatures.js';
+
+const close = (actual, expected, eps = 1e-9) => assert.ok(Math.abs(actual - expected) <= eps, `${actual} != ${expected}`);
+
+const target = { x: 0.5, y: 0.5, radius: 0.1 };
+
+const attempt = ({ hit = false, missType = null, clicked = true, x = 0.5, y = 0.5, column = 0, speedNorm = null }) => ({
+  column,
+  speedNorm,
+  target,
+  click: { hit, clicked, missType: hit ? 'hit' : missType, x: clicked ? x : undefined, y: clicked ? y : undefined },
+});
+
+test('miss mix rates are per attempt', () => {
+  const features = missFeatures([
+    attempt({ hit: true }),
+    attempt({ hit: true }),
+    attempt({ missType: 'bubble_miss', x: 0.65 }),
+    attempt({ missType: 'stage_miss', x: 0.9, y: 0.1 }),
+    attempt({ missType: 'timeout', clicked: false }),
+    attempt({ clicked: false }),
+    attempt({ missType: 'unknown', x: 0.55 }),
+    attempt({ hit: true }),
+  ]);
+
+  close(features.bubbleMissRate, 1 / 8);
+  close(features.stageMissRate, 1 / 8);
+  // An unclicked attempt without a miss type is a timeout too
+  close(features.timeoutRate, 2 / 8);
+  close(features.otherMissRate, 1 / 8);
+});
+
+test('near misses are clicked misses in target radii', () => {
+  const features = missFeatures([
+    attempt({ missType: 'bubble_miss', x: 0.65 }),
+    attempt({ missType: 'bubble_miss', x: 0.5, y: 0.25 }),
+    attempt({ missType: 'stage_miss', x: 0.9, y: 0.8 }),
+    attempt({ missType: 'timeout', clicked: false }),
+    attempt({ hit: true, x: 0.51 }),
+  ]);
+
+  // 1.5, 2.5 and 5 radii
+  assert.equal(features.nearMiss_n, 3);
+  close(features.nearMiss_mean, 3);
+  close(features.nearMiss_median, 2.5);
+  close(features.nearMiss_within2R, 1 / 3);
+});
+
+test('stage misses are clustered around their centroid', () => {
+  const features = missFeatures([
+    attempt({ missType: 'stage_miss', x: 0.2, y: 0.2 }),
+    attempt({ missType: 'stage_miss', x: 0.4, y: 0.2 }),
+    attempt({ hit: true }),
+  ]);
+
+  assert.equal(features.stageMiss_n, 2);
+  close(features.stageMiss_centroidX, 0.3);
+  close(features.stageMiss_centroidY, 0.2);
+  close(features.stageMiss_dispersion, 0.1);
+  close(features.stageMiss_meanNNDist, 0.2);
+  close(features.stageMiss_biasX, -0.2);
+  close(features.stageMiss_biasY, -0.3);
+});
+
+test('without stage misses the clustering features are null', () => {
+  const features = missFeatures([attempt({ hit: true })]);
+
+  assert.equal(features.stageMiss_n, 0);
+  assert.equal(features.stageMiss_centroidX, null);
+  assert.equal(features.stageMiss_meanNNDist, null);
+  assert.equal(features.nearMiss_mean, null);
+});
+
+test('timeouts by column and by speed', () => {
+  const timeout = extra => attempt({ missType: 'timeout', clicked: false, ...extra });
+  const features = missFeatures([
+    attempt({ hit: true, column: 0, speedNorm: 0.1 }),
+    attempt({ hit: true, column: 0, speedNorm: 0.2 }),
+    timeout({ column: 1, speedNorm: 0.3 }),
+    attempt({ hit: true, column: 1, speedNorm: 0.4 }),
+    timeout({ column: 2, speedNorm: 0.5 }),
+    timeout({ column: 2, speedNorm: 0.6 }),
+  ]);
+
+  assert.equal(features.timeoutRate_col0, 0);
+  assert.equal(features.timeoutRate_col1, 0.5);
+  assert.equal(features.timeoutRate_col2, 1);
+  assert.equal(features.timeoutRate_col3, undefined);
+  close(features.timeoutRate_slow, 1 / 3);
+  close(features.timeoutRate_fast, 2 / 3);
+  assert.ok(features.timeoutSpeedCorr > 0.5);
+});
+
+test('an empty set has null rates', () => {
+  const features = missFeatures([]);
+
+  assert.equal(features.timeoutRate, null);
+  assert.equal(features.timeoutRate_slow, null);
+  assert.equal(features.timeoutSpeedCorr, null);
+});
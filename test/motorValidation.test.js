@@ -0,0 +1,123 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateSamples, validateAttempts } from '../utils/motorValidation.js';
+
+const sample = (extra = {}) => ({ round: 1, tms: 100, x: 0.5, y: 0.5, ...extra });
+
+const attempt = (extra = {}) => ({
+  round: 2,
+  attemptId: 'a1',
+  bubbleId: 'b1',
+  spawnTms: 1000,
+  target: { x: 0.5, y: 0.2, radius: 0.05 },
+  click: { clicked: true, hit: true, tms: 1500, x: 0.51, y: 0.2 },
+  ...extra,
+});
+
+test('keeps valid samples and reports invalid ones by index', () => {
+  const { valid, rejected } = validateSamples([
+    sample(),
+    sample({ round: 4 }),
+    sample({ x: 1.5, pointerType: 'stylus' }),
+    null,
+    sample({ tms: 101 }),
+  ]);
+
+  assert.deepEqual(valid.map(s => s.tms), [100, 101]);
+  assert.deepEqual(rejected.map(r => r.index), [1, 2, 3]);
+  assert.match(rejected[0].reasons[0], /round must be one of 1, 2, 3 \(got 4\)/);
+  assert.equal(rejected[1].reasons.length, 2);
+  assert.match(rejected[1].reasons.join('; '), /x must be a number in 0\.\.1.*pointerType must be one of/);
+  assert.deepEqual(rejected[2].reasons, ['sample must be an object']);
+});
+
+test('casts the values the schema would cast', () => {
+  const { valid, rejected } = validateSamples([
+    sample({ round: '2', tms: '12.5', x: '0.25', y: '0', isDown: 'true', coalesced: [{ tms: '12', x: '0.2', y: '0.1' }] }),
+  ]);
+
+  assert.deepEqual(rejected, []);
+  assert.deepEqual(valid[0], {
+    round: 2,
+    tms: 12.5,
+    x: 0.25,
+    y: 0,
+    isDown: true,
+    coalesced: [{ tms: 12, x: 0.2, y: 0.1 }],
+  });
+});
+
+test('does not cast what the schema would reject', () => {
+  const { valid, rejected } = validateSamples([
+    sample({ tms: '' }),
+    sample({ x: 'abc' }),
+    sample({ isDown: 'yes' }),
+    sample({ tms: 'Infinity' }),
+  ]);
+
+  assert.deepEqual(valid, []);
+  assert.deepEqual(rejected.map(r => r.index), [0, 1, 2, 3]);
+});
+
+test('checks coalesced events', () => {
+  const { rejected } = validateSamples([
+    sample({ coalesced: [{ tms: 1, x: 0.1, y: 2 }, 'x'] }),
+    sample({ coalesced: Array.from({ length: 65 }, () => ({ tms: 1, x: 0, y: 0 })) }),
+  ]);
+
+  assert.deepEqual(rejected[0].reasons, [
+    'coalesced[0].y must be a number in 0..1 (got 2)',
+    'coalesced[1] must be an object',
+  ]);
+  assert.match(rejected[1].reasons[0], /at most 64 entries/);
+});
+
+test('keeps valid attempts and reports invalid ones by index', () => {
+  const { valid, rejected } = validateAttempts([
+    attempt(),
+    attempt({ attemptId: '', target: { x: 0.5, y: 0.2 } }),
+    attempt({ click: { clicked: true, missType: 'late' } }),
+    attempt({ spawn: { x: 'left' } }),
+  ]);
+
+  assert.equal(valid.length, 1);
+  assert.deepEqual(rejected[0], { index: 1, reasons: ['attemptId is required', 'target.radius must be a number (got undefined)'] });
+  assert.deepEqual(rejected[1].reasons, [
+    'click.missType must be one of hit, bubble_miss, stage_miss, timeout, unknown (got "late")',
+    'click.tms is required when click.clicked is true',
+  ]);
+  assert.deepEqual(rejected[2].reasons, ['spawn.x must be a number (got "left")']);
+});
+
+test('casts attempt IDs, numbers and click booleans', () => {
+  const { valid, rejected } = validateAttempts([
+    attempt({
+      round: '3',
+      attemptId: 17,
+      bubbleId: 4,
+      spawnTms: '1000',
+      column: '2',
+      target: { x: '0.5', y: '0.2', radius: '0.05' },
+      click: { clicked: 'true', hit: 'false', tms: '1500', x: '0.4', y: '0.2' },
+    }),
+  ]);
+
+  assert.deepEqual(rejected, []);
+  const [a] = valid;
+  assert.equal(a.round, 3);
+  assert.equal(a.attemptId, '17');
+  assert.equal(a.bubbleId, '4');
+  assert.equal(a.spawnTms, 1000);
+  assert.equal(a.column, 2);
+  assert.deepEqual(a.target, { x: 0.5, y: 0.2, radius: 0.05 });
+  assert.deepEqual(a.click, { clicked: true, hit: false, tms: 1500, x: 0.4, y: 0.2 });
+});
+
+test('casting leaves the uploaded items untouched', () => {
+  const raw = attempt({ round: '1', click: { clicked: 'false' } });
+  const before = structuredClone(raw);
+
+  validateAttempts([raw]);
+
+  assert.deepEqual(raw, before);
+});
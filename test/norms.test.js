@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normValues, sessionStrata, buildDistribution, percentileRank, ALL } from '../utils/norms.js';
+
+const range = n => Array.from({ length: n }, (_, i) => i);
+
+test('percentile rank follows the grid of a uniform distribution', () => {
+  const distribution = buildDistribution(range(101));  // quantiles are 0..100
+
+  assert.equal(distribution.n, 101);
+  assert.equal(percentileRank(0, distribution), 0);
+  assert.equal(percentileRank(50, distribution), 50);
+  assert.equal(percentileRank(100, distribution), 100);
+  assert.equal(percentileRank(25.5, distribution), 25.5);
+});
+
+test('percentile rank clamps outside the distribution', () => {
+  const distribution = buildDistribution(range(101));
+  assert.equal(percentileRank(-5, distribution), 0);
+  assert.equal(percentileRank(500, distribution), 100);
+});
+
+test('ties get the middle of their stretch', () => {
+  const distribution = buildDistribution([1, 1, 1, 1, 2]);
+  // p0..p75 are all 1
+  assert.equal(percentileRank(1, distribution), 37.5);
+
+  const constant = buildDistribution([3, 3, 3]);
+  assert.equal(percentileRank(3, constant), 50);
+});
+
+test('percentile rank is monotonic', () => {
+  const distribution = buildDistribution([5, 1, 9, 3, 3, 7, 2, 8]);
+  let previous = -1;
+  for (let v = 0; v <= 10; v += 0.25) {
+    const rank = percentileRank(v, distribution);
+    assert.ok(rank >= previous, `rank(${v}) = ${rank} < ${previous}`);
+    previous = rank;
+  }
+});
+
+test('no rank without a value or a distribution', () => {
+  assert.equal(percentileRank(null, buildDistribution([1, 2])), null);
+  assert.equal(percentileRank(1, buildDistribution([])), null);
+  assert.equal(percentileRank(1, null), null);
+});
+
+test('norm values average the rounds that were played', () => {
+  const values = normValues({ r1_throughput_mean: 2, r2_throughput_mean: 4, r3_throughput_mean: null, r1_hitRate: 0.5 });
+  assert.equal(values.throughput, 3);
+  assert.equal(values.hitRate, 0.5);
+  assert.equal(values.jerkRMS, null);
+});
+
+test('strata go from exact to all x all', () => {
+  const strata = sessionStrata({ userInfo: { ageBucket: '25-34' }, device: { pointerPrimary: 'touch' } });
+  assert.deepEqual(strata, [
+    { ageBucket: '25-34', pointerPrimary: 'touch' },
+    { ageBucket: '25-34', pointerPrimary: ALL },
+    { ageBucket: ALL, pointerPrimary: 'touch' },
+    { ageBucket: ALL, pointerPrimary: ALL },
+  ]);
+  assert.deepEqual(sessionStrata({})[0], { ageBucket: 'unknown', pointerPrimary: 'unknown' });
+});
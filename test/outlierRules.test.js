@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveOutlierRules, flagAttempt, selectAttempts, OUTLIER_RULE_DEFAULTS } from '../utils/outlierRules.js';
+import { keepsFlaggedAttempts } from '../utils/featureVersions.js';
+
+const attempt = (extra = {}) => ({
+  spawnTms: 1000,
+  ttlMs: 3000,
+  featureStatus: 'full',
+  click: { clicked: true, hit: true, tms: 1800 },
+  timing: { reactionTimeMs: 350 },
+  spatial: { pathLengthNorm: 0.3 },
+  ...extra,
+});
+
+const rules = resolveOutlierRules('default');
+
+test('parses rule specs', () => {
+  assert.deepEqual(resolveOutlierRules('default'), OUTLIER_RULE_DEFAULTS);
+  assert.deepEqual(resolveOutlierRules(''), OUTLIER_RULE_DEFAULTS);
+  assert.deepEqual(resolveOutlierRules('none'), {});
+  assert.deepEqual(resolveOutlierRules('fastReaction:minMs=120; zeroPath'), {
+    fastReaction: { minMs: 120 },
+    zeroPath: { minPathNorm: 0.001 },
+  });
+  assert.deepEqual(resolveOutlierRules({ clickAfterTtl: { graceMs: 0 } }), { clickAfterTtl: { graceMs: 0 } });
+  assert.throws(() => resolveOutlierRules('slowClick'), /Unknown outlier rule "slowClick"/);
+  assert.throws(() => resolveOutlierRules('fastReaction:maxMs=5'), /Invalid fastReaction parameter/);
+});
+
+test('a normal attempt is not flagged', () => {
+  assert.deepEqual(flagAttempt(attempt(), rules), []);
+});
+
+test('flags anticipated clicks', () => {
+  const flags = flagAttempt(attempt({ timing: { reactionTimeMs: 60.4 } }), rules);
+  assert.deepEqual(flags, [{ rule: 'fastReaction', reason: 'reactionTimeMs 60 < 100' }]);
+
+  // Timeouts have no reaction to anticipate
+  assert.deepEqual(flagAttempt(attempt({ click: { clicked: false }, timing: { reactionTimeMs: 60 } }), rules), []);
+});
+
+test('flags clicks after the bubble expired, with a grace period', () => {
+  assert.deepEqual(flagAttempt(attempt({ click: { clicked: true, tms: 4040 } }), rules), []);
+  assert.deepEqual(flagAttempt(attempt({ click: { clicked: true, tms: 4100 } }), rules), [
+    { rule: 'clickAfterTtl', reason: 'clicked 3100 ms after spawn (ttlMs 3000)' },
+  ]);
+  assert.deepEqual(flagAttempt(attempt({ ttlMs: undefined, click: { clicked: true, tms: 9000 } }), rules), []);
+});
+
+test('flags clicks without pointer movement, only with full features', () => {
+  const still = { spatial: { pathLengthNorm: 0.0002 } };
+
+  assert.deepEqual(flagAttempt(attempt(still), rules).map(f => f.rule), ['zeroPath']);
+  assert.deepEqual(flagAttempt(attempt({ ...still, featureStatus: 'basic' }), rules), []);
+});
+
+test('only the configured rules apply', () => {
+  const junk = attempt({ timing: { reactionTimeMs: 20 }, spatial: { pathLengthNorm: 0 } });
+
+  assert.deepEqual(flagAttempt(junk, rules).map(f => f.rule), ['fastReaction', 'zeroPath']);
+  assert.deepEqual(flagAttempt(junk, resolveOutlierRules('zeroPath')).map(f => f.rule), ['zeroPath']);
+  assert.deepEqual(flagAttempt(junk, resolveOutlierRules('none')), []);
+});
+
+test('flagged attempts are left out unless included', () => {
+  const attempts = [attempt(), attempt({ flags: [{ rule: 'zeroPath' }] }), attempt({ flags: [] })];
+
+  assert.equal(selectAttempts(attempts).length, 2);
+  assert.equal(selectAttempts(attempts, { includeFlagged: true }).length, 3);
+});
+
+test('versions before v6 keep flagged attempts', () => {
+  assert.equal(keepsFlaggedAttempts('v5'), true);
+  assert.equal(keepsFlaggedAttempts('v6'), false);
+  assert.equal(keepsFlaggedAttempts('v7'), false);
+});
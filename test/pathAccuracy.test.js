@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { pathAccuracy } from '../utils/pathAccuracy.js';
+import { buildTargetPath } from '../utils/targetMotion.js';
+
+const close = (actual, expected, eps = 1e-9) => assert.ok(Math.abs(actual - expected) <= eps, `${actual} != ${expected}`);
+
+const stationary = (x, y) => buildTargetPath({ target: { x, y }, spawnTms: 0, clickTms: 0 });
+
+// Samples 10 ms apart through the given points
+const seg = points => points.map(([x, y], i) => ({ tms: i * 10, x, y }));
+
+test('a straight path has no errors', () => {
+  const moveSeg = seg([[0.1, 0.5], [0.3, 0.5], [0.5, 0.5], [0.7, 0.5], [0.9, 0.5]]);
+  const result = pathAccuracy(moveSeg, { path: stationary(0.9, 0.5), radius: 0.05, clickTms: 40 });
+
+  assert.deepEqual(result, { TRE: 0, TAC: 0, MDC: 0, ODC: 0, MV: 0, ME: 0, MO: 0 });
+});
+
+test('measures off-axis deviation along a horizontal axis', () => {
+  // Off-axis: +0.02, -0.02, +0.04, 0
+  const moveSeg = seg([[0.1, 0.5], [0.3, 0.52], [0.5, 0.48], [0.7, 0.54], [0.9, 0.5]]);
+  const result = pathAccuracy(moveSeg, { path: stationary(0.9, 0.5), radius: 0.05, clickTms: 40 });
+
+  assert.equal(result.TAC, 2);
+  assert.equal(result.MDC, 3);
+  assert.equal(result.ODC, 0);
+  close(result.MO, 0.01);
+  close(result.ME, 0.02);
+  close(result.MV, Math.sqrt((0.01 ** 2 + 0.03 ** 2 + 0.03 ** 2 + 0.01 ** 2) / 3));
+});
+
+test('counts re-entries and backtracking', () => {
+  // Overshoots the target, comes back
+  const moveSeg = seg([[0.1, 0.5], [0.5, 0.5], [0.88, 0.5], [1, 0.5], [0.9, 0.5]]);
+  const result = pathAccuracy(moveSeg, { path: stationary(0.9, 0.5), radius: 0.05, clickTms: 40 });
+
+  assert.equal(result.TRE, 1);
+  assert.equal(result.ODC, 1);
+});
+
+test('target entries follow a rising target', () => {
+  // The bubble rises from y 0.6 to 0.2 over 40 ms and is clicked at (0.5, 0.2)
+  const path = buildTargetPath({
+    target: { x: 0.5, y: 0.2 },
+    spawn: { x: 0.5, y: 0.6 },
+    spawnTms: 0,
+    clickTms: 40,
+  });
+  // Passes the click position before the bubble got there, then meets it on its way up
+  const moveSeg = seg([[0.1, 0.2], [0.5, 0.2], [0.5, 0.45], [0.5, 0.3], [0.5, 0.2]]);
+
+  assert.equal(pathAccuracy(moveSeg, { path, radius: 0.02, clickTms: 40 }).TRE, 0);
+  assert.equal(pathAccuracy(moveSeg, { path: stationary(0.5, 0.2), radius: 0.02, clickTms: 40 }).TRE, 1);
+});
+
+test('degenerate movements give no measures', () => {
+  assert.deepEqual(pathAccuracy(seg([[0.5, 0.5]]), { path: stationary(0.9, 0.5), radius: 0.05, clickTms: 0 }), {});
+  assert.deepEqual(pathAccuracy(seg([[0.9, 0.5], [0.9, 0.5]]), { path: stationary(0.9, 0.5), radius: 0.05, clickTms: 10 }), {});
+});
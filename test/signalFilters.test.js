@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyFilter, resolveFilterConfig, formatFilterConfig } from '../utils/signalFilters.js';
+
+const close = (actual, expected, eps = 1e-9) => assert.ok(Math.abs(actual - expected) <= eps, `${actual} != ${expected}`);
+
+const sine = (hz, fs, n) => Array.from({ length: n }, (_, i) => Math.sin((2 * Math.PI * hz * i) / fs));
+
+// Helper: amplitude of `values` against a unit sine/cosine of `hz` (middle half only, away from the edges)
+function response(values, hz, fs) {
+  const from = Math.floor(values.length / 4);
+  const to = Math.floor((3 * values.length) / 4);
+  let s = 0;
+  let c = 0;
+  for (let i = from; i < to; i++) {
+    s += values[i] * Math.sin((2 * Math.PI * hz * i) / fs);
+    c += values[i] * Math.cos((2 * Math.PI * hz * i) / fs);
+  }
+  const n = to - from;
+  return { gain: (2 * Math.hypot(s, c)) / n, phase: Math.atan2(c, s) };
+}
+
+test('parses and formats filter specs', () => {
+  assert.deepEqual(resolveFilterConfig('savgol'), { type: 'savgol', window: 7, order: 2 });
+  assert.deepEqual(resolveFilterConfig('butterworth:cutoffHz=8,order=4'), { type: 'butterworth', cutoffHz: 8, order: 4 });
+  assert.equal(formatFilterConfig(resolveFilterConfig('savgol:window=9')), 'savgol:window=9,order=2');
+  assert.equal(formatFilterConfig(null), 'none');
+  assert.throws(() => resolveFilterConfig('kalman'), /Unknown filter "kalman"/);
+  assert.throws(() => resolveFilterConfig('savgol:cutoffHz=3'), /Invalid savgol filter parameter/);
+});
+
+test('savgol has the textbook 5-point quadratic weights', () => {
+  const impulse = new Array(21).fill(0);
+  impulse[10] = 1;
+  const out = applyFilter(impulse, { type: 'savgol', window: 5, order: 2 });
+
+  [-3, 12, 17, 12, -3].forEach((w, k) => close(out[8 + k], w / 35, 1e-12));
+  assert.ok(out.slice(0, 8).every(v => v === 0));
+});
+
+test('savgol keeps polynomials up to its order, edges included', () => {
+  const quadratic = Array.from({ length: 30 }, (_, i) => 0.5 - 0.02 * i + 0.003 * i * i);
+  const out = applyFilter(quadratic, { type: 'savgol', window: 7, order: 2 });
+
+  out.forEach((v, i) => close(v, quadratic[i], 1e-9));
+});
+
+test('butterworth passes low frequencies and keeps DC', () => {
+  const fs = 100;
+  const flat = applyFilter(new Array(50).fill(0.4), { type: 'butterworth', cutoffHz: 10, order: 2 }, fs);
+  flat.forEach(v => close(v, 0.4, 1e-9));
+
+  const { gain } = response(applyFilter(sine(1, fs, 400), { type: 'butterworth', cutoffHz: 10, order: 2 }, fs), 1, fs);
+  close(gain, 1, 0.01);
+});
+
+test('butterworth filtfilt halves the amplitude at the cutoff without phase lag', () => {
+  const fs = 100;
+  for (const order of [2, 4]) {
+    const out = applyFilter(sine(10, fs, 400), { type: 'butterworth', cutoffHz: 10, order }, fs);
+    const { gain, phase } = response(out, 10, fs);
+
+    // |H|^2 of a Butterworth is 1/2 at the cutoff; forward-backward squares it
+    close(gain, 0.5, 0.02);
+    close(phase, 0, 0.02);
+  }
+});
+
+test('butterworth attenuates the stopband, more at order 4', () => {
+  const fs = 100;
+  const input = sine(30, fs, 400);
+  const order2 = response(applyFilter(input, { type: 'butterworth', cutoffHz: 10, order: 2 }, fs), 30, fs).gain;
+  const order4 = response(applyFilter(input, { type: 'butterworth', cutoffHz: 10, order: 4 }, fs), 30, fs).gain;
+
+  // Bilinear transform: (tan(0.3 pi) / tan(0.1 pi))^(2 * order) = 4.236^(2 * order)
+  close(order2, 1 / (1 + 4.2361 ** 4), 0.001);
+  assert.ok(order4 < order2 / 100, `order 4 gain ${order4}`);
+});
+
+test('filters leave unusable input unchanged', () => {
+  const values = [0.1, 0.5, 0.2];
+  assert.deepEqual(applyFilter(values, { type: 'butterworth', cutoffHz: 10 }, 100), values);
+  assert.deepEqual(applyFilter(sine(1, 20, 40), { type: 'butterworth', cutoffHz: 10 }, 20), sine(1, 20, 40));
+  assert.deepEqual(applyFilter(values, { type: 'none' }), values);
+  assert.notEqual(applyFilter(values, { type: 'none' }), values);
+});
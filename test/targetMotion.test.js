@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildTargetPath } from '../utils/targetMotion.js';
+
+const close = (actual, expected, eps = 1e-9) => assert.ok(Math.abs(actual - expected) <= eps, `${actual} != ${expected}`);
+
+test('without speed or spawn the target is stationary', () => {
+  const path = buildTargetPath({ target: { x: 0.3, y: 0.4 }, spawnTms: 0, clickTms: 800 });
+
+  assert.equal(path.model, 'stationary');
+  assert.deepEqual(path.at(0), { x: 0.3, y: 0.4 });
+  assert.deepEqual(path.at(5000), { x: 0.3, y: 0.4 });
+});
+
+test('rises at speedNorm, anchored at the click position', () => {
+  const path = buildTargetPath({ target: { x: 0.3, y: 0.4 }, spawnTms: 0, clickTms: 1000, speedNorm: 0.1 });
+
+  assert.equal(path.model, 'moving');
+  assert.equal(path.vx, 0);
+  close(path.vy, -0.1);
+  const start = path.at(0);
+  close(start.x, 0.3);
+  close(start.y, 0.5);
+  close(path.at(1000).y, 0.4);
+});
+
+test('speedNorm is scaled by the screen aspect', () => {
+  // speedNorm is in smaller-side units: on a 600 x 1200 stage that is half the height
+  const wide = buildTargetPath({ target: { x: 0, y: 0 }, spawnTms: 0, clickTms: 1, speedNorm: 1, screen: { width: 1000, height: 600 } });
+  const tall = buildTargetPath({ target: { x: 0, y: 0 }, spawnTms: 0, clickTms: 1, speedNorm: 1, screen: { width: 600, height: 1200 } });
+
+  close(wide.vy, -1);
+  close(tall.vy, -0.5);
+});
+
+test('anchors at the spawn position when known', () => {
+  const path = buildTargetPath({
+    target: { x: 0.5, y: 0.2 },
+    spawn: { x: 0.5, y: 1 },
+    spawnTms: 1000,
+    clickTms: 2000,
+    speedNorm: 0.5,
+  });
+
+  assert.deepEqual(path.at(1000), { x: 0.5, y: 1 });
+  close(path.at(1500).y, 0.75);
+});
+
+test('derives the velocity from the spawn position without a speed', () => {
+  const path = buildTargetPath({
+    target: { x: 0.6, y: 0.2 },
+    spawn: { x: 0.4, y: 1 },
+    spawnTms: 0,
+    clickTms: 2000,
+  });
+
+  assert.equal(path.model, 'moving');
+  close(path.vx, 0.1);
+  close(path.vy, -0.4);
+  const mid = path.at(1000);
+  close(mid.x, 0.5);
+  close(mid.y, 0.6);
+});
+
+test('positions are clamped to the bubble lifetime', () => {
+  const path = buildTargetPath({
+    target: { x: 0.5, y: 0.5 },
+    spawn: { x: 0.5, y: 1 },
+    spawnTms: 0,
+    clickTms: 1000,
+    speedNorm: 0.5,
+    ttlMs: 1500,
+  });
+
+  assert.deepEqual(path.at(-200), path.at(0));
+  assert.deepEqual(path.at(4000), path.at(1500));
+  close(path.at(1500).y, 0.25);
+});
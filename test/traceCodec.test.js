@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeSamples, decodeSamples, CODEC_VERSION } from '../utils/traceCodec.js';
+
+// Quantization steps of the codec (see utils/traceCodec.js)
+const TMS_STEP = 0.01;
+const COORD_STEP = 1 / 65535;
+
+function makeSamples(n) {
+  const samples = [];
+  let tms = 1234.5;
+  for (let i = 0; i < n; i++) {
+    tms += 8 + (i % 5) * 0.37;
+    samples.push({
+      round: 1 + Math.floor((i * 3) / n),
+      tms,
+      x: (Math.sin(i / 7) + 1) / 2,
+      y: (Math.cos(i / 11) + 1) / 2,
+      isDown: i % 9 === 0,
+      pointerType: i < n / 2 ? 'mouse' : 'touch',
+    });
+  }
+  return samples;
+}
+
+test('round-trips required fields within the quantization', () => {
+  const samples = makeSamples(500);
+  const packed = encodeSamples(samples);
+  const decoded = decodeSamples(packed);
+
+  assert.equal(packed.v, CODEC_VERSION);
+  assert.equal(packed.count, samples.length);
+  assert.equal(decoded.length, samples.length);
+
+  decoded.forEach((d, i) => {
+    const s = samples[i];
+    assert.equal(d.round, s.round);
+    assert.equal(d.isDown, s.isDown);
+    assert.equal(d.pointerType, s.pointerType);
+    assert.ok(Math.abs(d.tms - s.tms) <= TMS_STEP / 2 + 1e-9, `tms ${i}`);
+    assert.ok(Math.abs(d.x - s.x) <= COORD_STEP / 2 + 1e-9, `x ${i}`);
+    assert.ok(Math.abs(d.y - s.y) <= COORD_STEP / 2 + 1e-9, `y ${i}`);
+  });
+});
+
+test('keeps optional pointer fields only where present', () => {
+  const samples = makeSamples(20);
+  samples[3] = { ...samples[3], pressure: 0.5, tiltX: -30, tiltY: 45, buttons: 1, width: 12.3, height: 8.1 };
+  samples[7] = {
+    ...samples[7],
+    coalesced: [
+      { tms: samples[7].tms - 4, x: 0.25, y: 0.75 },
+      { tms: samples[7].tms - 2, x: 0.3, y: 0.7, pressure: 0.4 },
+    ],
+  };
+
+  const packed = encodeSamples(samples);
+  assert.ok(packed.pressure, 'pressure column written');
+
+  const decoded = decodeSamples(packed);
+  assert.ok(Math.abs(decoded[3].pressure - 0.5) < 1e-4);
+  assert.equal(decoded[3].tiltX, -30);
+  assert.equal(decoded[3].tiltY, 45);
+  assert.equal(decoded[3].buttons, 1);
+  assert.ok(Math.abs(decoded[3].width - 12.3) < 0.051);
+  assert.ok(Math.abs(decoded[3].height - 8.1) < 0.051);
+  assert.equal(decoded[4].pressure, undefined);
+
+  assert.equal(decoded[7].coalesced.length, 2);
+  assert.ok(Math.abs(decoded[7].coalesced[0].tms - (samples[7].tms - 4)) < TMS_STEP);
+  assert.ok(Math.abs(decoded[7].coalesced[1].pressure - 0.4) < 1e-4);
+  assert.equal(decoded[7].coalesced[0].pressure, undefined);
+  assert.equal(decoded[6].coalesced, undefined);
+});
+
+test('writes no optional columns for plain samples', () => {
+  const packed = encodeSamples(makeSamples(10));
+  for (const key of ['pressure', 'tiltX', 'tiltY', 'buttons', 'width', 'height', 'coalesced']) {
+    assert.equal(packed[key], undefined, key);
+  }
+});
+
+test('maps unknown pointer types to unknown and decodes empty buckets', () => {
+  const [sample] = makeSamples(1);
+  const decoded = decodeSamples(encodeSamples([{ ...sample, pointerType: 'stylus' }]));
+  assert.equal(decoded[0].pointerType, 'unknown');
+
+  assert.deepEqual(decodeSamples(encodeSamples([])), []);
+  assert.deepEqual(decodeSamples(null), []);
+});
@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { measureSampling, analyzeTraceQuality, resampleUniform } from '../utils/traceQuality.js';
+
+// Samples every `interval` ms from `start`, x moving linearly
+function run(n, interval, start = 0, round = 1) {
+  return Array.from({ length: n }, (_, i) => ({ round, tms: start + i * interval, x: i / n, y: 0.5 }));
+}
+
+const close = (actual, expected, eps = 1e-9) => assert.ok(Math.abs(actual - expected) <= eps, `${actual} != ${expected}`);
+
+test('measures the rate of an even trace', () => {
+  const q = measureSampling(run(101, 10));
+
+  close(q.samplingHz, 100);
+  close(q.effectiveHz, 100);
+  assert.equal(q.medianIntervalMs, 10);
+  assert.equal(q.durationMs, 1000);
+  assert.equal(q.jitterMs, 0);
+  assert.equal(q.gapCount, 0);
+});
+
+test('gaps are counted but do not lower the sampling rate', () => {
+  const samples = [...run(50, 16), ...run(50, 16, 49 * 16 + 500)];
+  const q = measureSampling(samples);
+
+  close(q.samplingHz, 62.5);
+  assert.equal(q.gapCount, 1);
+  assert.deepEqual(q.gaps, [{ startTms: 49 * 16, endTms: 49 * 16 + 500, durationMs: 500 }]);
+  assert.equal(q.maxGapMs, 500);
+  // Without the gap, the effective rate matches the sampling rate
+  close(q.effectiveHz, 62.5);
+});
+
+test('jitter is the SD of the intervals', () => {
+  const samples = [0, 8, 24, 32, 48].map(tms => ({ tms }));
+  const q = measureSampling(samples);
+
+  assert.equal(q.medianIntervalMs, 12);
+  assert.equal(q.meanIntervalMs, 12);
+  assert.ok(q.jitterMs > 3 && q.jitterMs < 5);
+});
+
+test('too few samples give empty metrics', () => {
+  const q = measureSampling([{ tms: 5 }]);
+  assert.equal(q.samplingHz, null);
+  assert.equal(q.gapCount, 0);
+});
+
+test('round breaks are not gaps overall', () => {
+  const samples = [...run(30, 10, 0, 1), ...run(30, 10, 5000, 2)];
+  const quality = analyzeTraceQuality(samples);
+
+  assert.equal(quality.overall.gapCount, 0);
+  close(quality.overall.samplingHz, 100);
+  assert.deepEqual(Object.keys(quality.rounds), ['1', '2']);
+});
+
+test('resamples onto a uniform grid by linear interpolation', () => {
+  const samples = [
+    { tms: 0, x: 0, y: 0, pointerType: 'mouse' },
+    { tms: 7, x: 0.7, y: 0.14, pointerType: 'mouse' },
+    { tms: 23, x: 0.1, y: 0.46, pointerType: 'touch' },
+    { tms: 30, x: 0.8, y: 0.6, pointerType: 'touch' },
+  ];
+  const out = resampleUniform(samples, 100);
+
+  assert.deepEqual(out.map(s => s.tms), [0, 10, 20, 30]);
+  close(out[1].x, 0.7 + (0.1 - 0.7) * (3 / 16));
+  close(out[2].y, 0.14 + (0.46 - 0.14) * (13 / 16));
+  close(out[3].x, 0.8);
+  // Other fields come from the earlier neighbour
+  assert.deepEqual(out.map(s => s.pointerType), ['mouse', 'mouse', 'mouse', 'touch']);
+});
+
+test('does not interpolate across gaps', () => {
+  const samples = [...run(3, 10), ...run(3, 10, 505)];
+  const out = resampleUniform(samples, 100);
+
+  assert.deepEqual(out.map(s => s.tms), [0, 10, 20, 510, 520]);
+});
+
+test('leaves short traces and invalid rates alone', () => {
+  const samples = run(1, 10);
+  assert.deepEqual(resampleUniform(samples, 60), samples);
+  assert.deepEqual(resampleUniform(run(5, 10), 0), run(5, 10));
+});
@@ -0,0 +1,143 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  FEATURE_VERSIONS,
+  featureCatalog,
+  computeRoundFeatureSet,
+  computeSessionFeatureSet,
+} from '../utils/featureVersions.js';
+import { metadataColumns, featureColumns, toRow, csvLine } from '../utils/trainingExport.js';
+
+function makeAttempts(round) {
+  const attempts = [];
+  for (let i = 0; i < 12; i++) {
+    const hit = i % 3 !== 0;
+    const missType = hit ? null : ['bubble_miss', 'stage_miss', 'timeout'][(i / 3) % 3];
+    attempts.push({
+      round,
+      column: i % 4,
+      speedNorm: 0.1 + (i % 5) * 0.05,
+      spawnTms: i * 1000,
+      target: { x: 0.5, y: 0.4, radius: 0.05 },
+      click: {
+        hit,
+        clicked: missType !== 'timeout',
+        missType,
+        x: 0.5 + (i % 4) * 0.03,
+        y: 0.4 - (i % 3) * 0.02,
+        tms: i * 1000 + 600,
+      },
+      timing: { reactionTimeMs: 300 + i * 7, movementTimeMs: 250 + i * 5, interTapMs: 900 + i },
+      spatial: { errorDistNorm: 0.01 * (i % 4), pathLengthNorm: 0.4 + i * 0.01, straightness: 0.9 - i * 0.01 },
+      kinematics: { meanSpeed: 1 + i * 0.1, peakSpeed: 2 + i * 0.1, jerkRMS: 30 + i, submovementCount: i % 3, overshootCount: i % 2 },
+      fitts: { ID: 2 + (i % 4) * 0.5, throughput: 4 + i * 0.1, ID_intercept: 2.2, throughput_intercept: 4.4, targetModel: 'moving' },
+      pathAccuracy: { TRE: i % 2, TAC: 1, MDC: 2, ODC: 1, MV: 0.01, ME: 0.02, MO: 0.005 },
+      contact: { meanPressure: 0.5, pressureCV: 0.1, meanContactArea: 40, contactAreaCV: 0.2 },
+      tremor: { ratio: 0.3, bandPower: 0.01 },
+      filter: { type: 'savgol', window: 7, order: 2 },
+    });
+  }
+  return attempts;
+}
+
+const ctx = { loadTrace: async () => [] };
+
+for (const versionId of Object.keys(FEATURE_VERSIONS)) {
+  test(`${versionId}: the catalog lists every computed feature`, async () => {
+    const roundCatalog = featureCatalog(versionId, 'round').map(c => c.name);
+    const sessionCatalog = featureCatalog(versionId, 'session').map(c => c.name);
+
+    const rounds = [];
+    const attempts = [];
+    for (const round of [1, 2, 3]) {
+      const roundAttempts = makeAttempts(round);
+      const features = await computeRoundFeatureSet(roundAttempts, versionId, ctx);
+      rounds.push(features);
+      attempts.push(...roundAttempts);
+
+      assert.deepEqual(Object.keys(features).filter(k => !roundCatalog.includes(k)), []);
+      // Every fixed round column is produced (columns beyond the attempts' are optional)
+      const missing = roundCatalog.filter(k => !(k in features) && !/^timeoutRate_col\d+$/.test(k) && k !== 'nFlagged');
+      assert.deepEqual(missing, []);
+    }
+
+    const session = computeSessionFeatureSet(rounds, versionId, { attempts });
+    assert.deepEqual(Object.keys(session).filter(k => !sessionCatalog.includes(k)), []);
+  });
+}
+
+test('catalog names are unique and typed', () => {
+  for (const versionId of Object.keys(FEATURE_VERSIONS)) {
+    for (const level of ['round', 'session']) {
+      const catalog = featureCatalog(versionId, level);
+      assert.equal(new Set(catalog.map(c => c.name)).size, catalog.length, `${versionId} ${level}`);
+      for (const column of catalog) {
+        assert.ok(['number', 'string', 'boolean'].includes(column.type), column.name);
+        assert.ok(column.description, column.name);
+      }
+    }
+  }
+});
+
+test('timeout columns are a fixed set', () => {
+  const names = featureCatalog('v5', 'round').map(c => c.name).filter(n => n.startsWith('timeoutRate_col'));
+  assert.deepEqual(names, Array.from({ length: 10 }, (_, i) => `timeoutRate_col${i}`));
+  assert.ok(featureCatalog('v4', 'round').every(c => !c.name.startsWith('timeoutRate')));
+});
+
+test('outlier-excluding versions add nFlagged', () => {
+  assert.ok(!featureCatalog('v5', 'session').some(c => c.name === 'nFlagged'));
+  const names = featureCatalog('v6', 'session').map(c => c.name);
+  assert.ok(names.includes('nFlagged'));
+  assert.ok(names.includes('r2_nFlagged'));
+});
+
+test('features never shadow metadata columns', () => {
+  const metadata = metadataColumns('session').map(c => c.name);
+  const columns = featureColumns([{ name: 'gender', type: 'number', description: 'x' }, { name: 'We', type: 'number', description: 'y' }], metadata);
+  assert.deepEqual(columns.map(c => c.name), ['feature_gender', 'We']);
+  assert.deepEqual(columns.map(c => c.feature), ['gender', 'We']);
+});
+
+test('toRow reads metadata and features and coerces to the column type', () => {
+  const columns = [
+    ...metadataColumns('round'),
+    ...featureColumns([
+      { name: 'hitRate', type: 'number' },
+      { name: 'filterConfig', type: 'string' },
+      { name: 'tremor_lowSamplingRate', type: 'boolean' },
+      { name: 'gender', type: 'number' },
+    ], metadataColumns('round').map(c => c.name)),
+  ];
+  const summary = {
+    sessionId: 's1',
+    participantId: 'p1',
+    round: 2,
+    featureVersion: 'v7',
+    updatedAt: new Date('2026-01-02T03:04:05Z'),
+    features: { hitRate: 0.5, filterConfig: 'none', tremor_lowSamplingRate: 'yes', gender: NaN },
+  };
+  const session = { userInfo: { gender: 'female' }, screen: { width: 1280, height: 720 }, devicePixelRatio: 2 };
+  const label = { level: 'normal', score: 3 };
+
+  const row = toRow(columns, summary, session, label);
+
+  assert.deepEqual(Object.keys(row), columns.map(c => c.name));
+  assert.equal(row.sessionId, 's1');
+  assert.equal(row.round, 2);
+  assert.equal(row.includeFlagged, false);
+  assert.equal(row.summaryUpdatedAt, '2026-01-02T03:04:05.000Z');
+  assert.equal(row.label_level, 'normal');
+  assert.equal(row.gender, 'female');
+  assert.equal(row.screen_dpr, 2);
+  assert.equal(row.pointerPrimary, null);
+  assert.equal(row.hitRate, 0.5);
+  assert.equal(row.filterConfig, 'none');
+  assert.equal(row.tremor_lowSamplingRate, null);
+  assert.equal(row.feature_gender, null);
+});
+
+test('csvLine quotes only fields that need it', () => {
+  assert.equal(csvLine(['a', 1, null, true, undefined]), 'a,1,,true,\n');
+  assert.equal(csvLine(['x,y', 'say "hi"', 'two\nlines']), '"x,y","say ""hi""","two\nlines"\n');
+});
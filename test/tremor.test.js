@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { attemptTremor, traceTremor } from '../utils/tremor.js';
+
+// Sine tremor of `hz` on x (plus a slow drift on y) sampled at `fs` for `sec` seconds
+function sineTrace(hz, { fs = 60, sec = 1, amplitude = 0.01, start = 0 } = {}) {
+  return Array.from({ length: Math.round(fs * sec) }, (_, i) => {
+    const t = i / fs;
+    return {
+      tms: start + t * 1000,
+      x: 0.5 + amplitude * Math.sin(2 * Math.PI * hz * t),
+      y: 0.3 + 0.1 * t,
+    };
+  });
+}
+
+test('an attempt recovers the peak of an 8 Hz tremor', () => {
+  const tremor = attemptTremor(sineTrace(8, { fs: 60, sec: 1.5 }));
+
+  // Resolution is fs / nfft = 60 / 128 Hz
+  assert.ok(Math.abs(tremor.peakHz - 8) <= 60 / 128, `peakHz ${tremor.peakHz}`);
+  assert.ok(Math.abs(tremor.dominantFreqHz - 8) <= 60 / 128, `dominantFreqHz ${tremor.dominantFreqHz}`);
+  assert.equal(tremor.lowSamplingRate, false);
+  assert.ok(tremor.bandPower > 0);
+});
+
+test('tremor makes the band dominate the movement power', () => {
+  const tremor = attemptTremor(sineTrace(8, { sec: 1.5 }));
+  const slow = attemptTremor(sineTrace(1.5, { sec: 1.5, amplitude: 0.05 }));
+
+  assert.ok(tremor.ratio > 10, `ratio ${tremor.ratio}`);
+  assert.ok(slow.ratio < 1, `ratio ${slow.ratio}`);
+});
+
+test('a linear movement has no tremor power', () => {
+  const line = Array.from({ length: 90 }, (_, i) => ({ tms: (i * 1000) / 60, x: i / 100, y: 0.2 + i / 200 }));
+  const tremor = attemptTremor(line);
+
+  assert.ok(tremor.bandPower < 1e-20, `bandPower ${tremor.bandPower}`);
+});
+
+test('segments shorter than half a second give no features', () => {
+  assert.deepEqual(attemptTremor(sineTrace(8, { sec: 0.3 })), {});
+  assert.deepEqual(attemptTremor([]), {});
+});
+
+test('slow sampling is flagged', () => {
+  const tremor = attemptTremor(sineTrace(5, { fs: 20, sec: 2 }));
+
+  assert.equal(tremor.lowSamplingRate, true);
+  assert.equal(tremor.samplingHz, 20);
+});
+
+test('a round trace is Welch-averaged over its gap-free stretches', () => {
+  const samples = [
+    ...sineTrace(8, { fs: 60, sec: 5 }),
+    ...sineTrace(8, { fs: 60, sec: 3, start: 10000 }),
+  ];
+  const tremor = traceTremor(samples);
+
+  // 2 s windows with 50% overlap: 4 in the 5 s stretch, 2 in the 3 s stretch
+  assert.equal(tremor.nWindows, 6);
+  assert.ok(Math.abs(tremor.peakHz - 8) <= 60 / 128, `peakHz ${tremor.peakHz}`);
+});
+
+test('a round trace too short for a window reports its sampling only', () => {
+  const tremor = traceTremor(sineTrace(8, { fs: 60, sec: 1 }));
+
+  assert.equal(tremor.nWindows, 0);
+  assert.equal(tremor.lowSamplingRate, false);
+  assert.equal(tremor.peakHz, undefined);
+  assert.deepEqual(traceTremor([]), {});
+});
@@ -0,0 +1,169 @@
+/**
+ * Concurrency-safe Bucket Appends
+ *
+ * Appends items to the newest bucket of a session with a single atomic
+ * update instead of read-modify-save, so overlapping batches for the same
+ * session cannot overwrite each other:
+ *
+ * - The append only matches while the bucket still has room for the whole
+ *   chunk (`count <= max - n`), so two writers can never overfill it.
+ * - A new bucket is created with its first chunk already inside. The
+ *   unique (sessionId, bucketNumber) index makes the loser of a creation
+ *   race fail with a duplicate key error; it re-reads and appends instead.
+ * - Each chunk of an ingest batch is recorded on its bucket in the same
+ *   update (`batchWrites: [{ batchId, n }]`), so a batch that failed half
+ *   way can be resumed from its first unwritten item (see batchProgress).
+ */
+
+// Consecutive lost races before giving up (the caller may retry later)
+const MAX_CONTENTION_RETRIES = 25;
+
+/**
+ * Append items to a session's buckets, rolling over at maxPerBucket.
+ *
+ * @param {Model} Bucket - Mongoose bucket model
+ * @param {Object} params
+ * @param {String} params.sessionId
+ * @param {String} params.userId - stored on buckets that do not have one yet
+ * @param {String} params.field - array field holding the items ('samples' / 'attempts')
+ * @param {Array} params.items - items to append, in order
+ * @param {Number} params.maxPerBucket - bucket capacity
+ * @param {String} params.batchId - ingest batch whose chunks are recorded in batchWrites (optional)
+ * @param {Function} params.chunkFields - (chunk) => extra fields for a new bucket (optional)
+ * @param {Function} params.chunkUpdate - (chunk, isEmpty) => extra update operators (optional)
+ *
+ * @returns {Object} The last bucket written to
+ */
+export async function appendToBuckets(Bucket, {
+  sessionId,
+  userId,
+  field,
+  items,
+  maxPerBucket,
+  batchId = null,
+  chunkFields = () => ({}),
+  chunkUpdate = () => ({}),
+}) {
+  let remaining = items;
+  let lastBucket = null;
+  let lostRaces = 0;
+
+  while (remaining.length > 0) {
+    if (lostRaces > MAX_CONTENTION_RETRIES) {
+      throw new Error(`Could not append to buckets for session "${sessionId}" (too much contention)`);
+    }
+
+    const head = await Bucket.findOne({ sessionId })
+      .sort({ bucketNumber: -1 })
+      .select('bucketNumber count isFull userId');
+
+    // 1) Room left in the newest bucket: append atomically
+    if (head && head.count < maxPerBucket) {
+      const take = Math.min(maxPerBucket - head.count, remaining.length);
+      const chunk = remaining.slice(0, take);
+      const isEmpty = head.count === 0;
+
+      const extra = chunkUpdate(chunk, isEmpty);
+      const update = {
+        ...extra,
+        $push: { [field]: { $each: chunk } },
+        $inc: { count: take },
+      };
+      if (batchId) update.$push.batchWrites = { batchId, n: take };
+      if (userId && !head.userId) update.$set = { ...update.$set, userId };
+
+      const updated = await Bucket.findOneAndUpdate(
+        {
+          _id: head._id,
+          count: isEmpty ? 0 : { $lte: maxPerBucket - take },
+        },
+        update,
+        // Skip sending the (large) item array back
+        { new: true, runValidators: true, projection: { [field]: 0 } }
+      );
+
+      if (!updated) {
+        // Another writer got there first - re-read the newest bucket
+        lostRaces++;
+        continue;
+      }
+
+      if (updated.count >= maxPerBucket) {
+        await Bucket.updateOne({ _id: updated._id }, { $set: { isFull: true } });
+        updated.isFull = true;
+      }
+
+      remaining = remaining.slice(take);
+      lastBucket = updated;
+      lostRaces = 0;
+      continue;
+    }
+
+    // 2) Newest bucket is full (or there is none): create the next one
+    if (head && !head.isFull) {
+      await Bucket.updateOne({ _id: head._id }, { $set: { isFull: true } });
+    }
+
+    const chunk = remaining.slice(0, maxPerBucket);
+
+    try {
+      lastBucket = await Bucket.create({
+        sessionId,
+        userId,
+        bucketNumber: head ? head.bucketNumber + 1 : 1,
+        count: chunk.length,
+        isFull: chunk.length >= maxPerBucket,
+        batchWrites: batchId ? [{ batchId, n: chunk.length }] : [],
+        [field]: chunk,
+        ...chunkFields(chunk),
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+
+      // Someone else created this bucket number - append to it instead
+      lostRaces++;
+      continue;
+    }
+
+    remaining = remaining.slice(chunk.length);
+    lostRaces = 0;
+  }
+
+  return lastBucket;
+}
+
+/**
+ * How much of an ingest batch a session's buckets already hold
+ *
+ * @param {Model} Bucket - Mongoose bucket model
+ * @param {String} sessionId
+ * @param {String} batchId
+ * @returns {Object} { written, bucketNumber, legacy }
+ *   written      - items of the batch already stored (in batch order)
+ *   bucketNumber - last bucket written to (null if none)
+ *   legacy       - written before per-chunk counts were kept (batchIds
+ *                  only); such a batch was always written in full
+ */
+export async function batchProgress(Bucket, sessionId, batchId) {
+  const buckets = await Bucket.find({ sessionId, $or: [{ 'batchWrites.batchId': batchId }, { batchIds: batchId }] })
+    .select('bucketNumber batchWrites batchIds')
+    .lean();
+
+  let written = 0;
+  let bucketNumber = null;
+  let legacy = false;
+  for (const bucket of buckets) {
+    bucketNumber = Math.max(bucketNumber ?? 0, bucket.bucketNumber);
+    for (const write of bucket.batchWrites || []) {
+      if (write.batchId === batchId) written += write.n;
+    }
+    if (bucket.batchIds?.includes(batchId)) legacy = true;
+  }
+
+  return { written, bucketNumber, legacy };
+}
+
+export default {
+  appendToBuckets,
+  batchProgress,
+};
@@ -0,0 +1,131 @@
+import crypto from 'crypto';
+
+/**
+ * Participant-Grouped Dataset Splits
+ *
+ * Sessions are assigned to train/validation/test by group (participant),
+ * so one person's sessions never end up in two splits. The assignment is
+ * deterministic for a seed: groups are ordered by key, shuffled with a
+ * seeded PRNG, then each group joins the split furthest below its target
+ * share of sessions. With stratification this runs per stratum (e.g. label
+ * level x age bucket), a group's stratum being its most common one.
+ */
+
+export const SPLIT_NAMES = ['train', 'validation', 'test'];
+export const DEFAULT_RATIOS = { train: 0.7, validation: 0.15, test: 0.15 };
+
+// Helper: PRNG (mulberry32) seeded from a string
+function seededRandom(seed) {
+  let state = crypto.createHash('sha256').update(String(seed)).digest().readUInt32LE(0);
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Validate and normalize split ratios (they must sum to 1)
+ *
+ * @param {Object} ratios - { train, validation, test }
+ * @returns {Object} Ratios, or throws an error named 'SplitConfigError'
+ */
+export function resolveRatios(ratios = DEFAULT_RATIOS) {
+  const resolved = {};
+  for (const name of SPLIT_NAMES) {
+    const value = Number(ratios?.[name] ?? 0);
+    if (!Number.isFinite(value) || value < 0) {
+      throw splitConfigError(`ratio for ${name} must be a number >= 0`);
+    }
+    resolved[name] = value;
+  }
+
+  const total = SPLIT_NAMES.reduce((sum, name) => sum + resolved[name], 0);
+  if (Math.abs(total - 1) > 1e-6) {
+    throw splitConfigError(`ratios must sum to 1 (got ${total})`);
+  }
+  return resolved;
+}
+
+/**
+ * Error for an invalid split configuration (name 'SplitConfigError')
+ */
+export function splitConfigError(message) {
+  const error = new Error(message);
+  error.name = 'SplitConfigError';
+  return error;
+}
+
+// Helper: most common value (ties broken alphabetically)
+function mode(values) {
+  const counts = new Map();
+  for (const v of values) counts.set(v, (counts.get(v) || 0) + 1);
+  return [...counts.entries()].sort((a, b) => b[1] - a[1] || String(a[0]).localeCompare(String(b[0])))[0][0];
+}
+
+/**
+ * Assign sessions to splits by group
+ *
+ * @param {Array} sessions - [{ sessionId, group, strata: { key: value } }]
+ * @param {Object} options
+ * @param {String|Number} options.seed
+ * @param {Object} options.ratios - from resolveRatios
+ * @param {Array} options.stratifyBy - strata keys to balance (e.g. ['labelLevel', 'ageBucket'])
+ * @returns {Object} { train: [sessionId], validation: [...], test: [...] }
+ */
+export function assignSplits(sessions, { seed, ratios = DEFAULT_RATIOS, stratifyBy = [] }) {
+  // Groups, each with its sessions and stratum
+  const groups = new Map();
+  for (const s of sessions) {
+    if (!groups.has(s.group)) groups.set(s.group, []);
+    groups.get(s.group).push(s);
+  }
+
+  const strata = new Map();
+  for (const key of [...groups.keys()].sort()) {
+    const members = groups.get(key);
+    const stratum = stratifyBy.map(field => mode(members.map(m => m.strata?.[field] ?? 'unknown'))).join('|');
+    if (!strata.has(stratum)) strata.set(stratum, []);
+    strata.get(stratum).push(members);
+  }
+
+  const random = seededRandom(seed);
+  const splits = Object.fromEntries(SPLIT_NAMES.map(name => [name, []]));
+
+  for (const stratum of [...strata.keys()].sort()) {
+    const stratumGroups = strata.get(stratum);
+
+    // Fisher-Yates with the seeded PRNG
+    for (let i = stratumGroups.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [stratumGroups[i], stratumGroups[j]] = [stratumGroups[j], stratumGroups[i]];
+    }
+
+    // Each group goes to the split furthest below its share of sessions
+    const counts = Object.fromEntries(SPLIT_NAMES.map(name => [name, 0]));
+    let assigned = 0;
+    for (const members of stratumGroups) {
+      assigned += members.length;
+      const target = SPLIT_NAMES
+        .filter(name => ratios[name] > 0)
+        .map(name => ({ name, deficit: ratios[name] * assigned - counts[name] }))
+        .sort((a, b) => b.deficit - a.deficit)[0].name;
+
+      counts[target] += members.length;
+      splits[target].push(...members.map(m => m.sessionId));
+    }
+  }
+
+  for (const name of SPLIT_NAMES) splits[name].sort();
+  return splits;
+}
+
+export default {
+  SPLIT_NAMES,
+  DEFAULT_RATIOS,
+  splitConfigError,
+  resolveRatios,
+  assignSplits,
+};
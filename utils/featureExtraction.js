@@ -1,3 +1,10 @@
+import { resampleUniform, measureSampling } from './traceQuality.js';
+import { mean, std } from './stats.js';
+import { buildTargetPath } from './targetMotion.js';
+import { attemptTremor } from './tremor.js';
+import { applyFilter } from './signalFilters.js';
+import { pathAccuracy } from './pathAccuracy.js';
+
 /**
  * Feature Extraction for Motor Skills Assessment
  * 
@@ -6,7 +13,13 @@
  * - jerkRMS (Root Mean Square jerk)
  * - Submovement count (corrections)
  * - Overshoot count (direction reversals)
- * - Fitts' law throughput
+ * - Fitts' law throughput (stationary and moving-target variants)
+ * - Pressure / contact-size variability (pen and touch, when reported)
+ * - Tremor band power / dominant frequency (see utils/tremor.js)
+ * - Path accuracy measures TRE, TAC, MDC, ODC, MV, ME, MO (see utils/pathAccuracy.js)
+ *
+ * x/y can be smoothed before differentiation (see utils/signalFilters.js);
+ * the filter used is returned as `filter` with the features.
  */
 
 // Helper: Distance between two points
@@ -33,15 +46,63 @@ function movingAverage(arr, w = 3) {
   return out;
 }
 
+// Helper: coefficient of variation
+function cv(arr) {
+  const m = mean(arr);
+  return m ? std(arr) / m : null;
+}
+
+/**
+ * Pressure and contact-size features for one attempt segment.
+ * Pressure 0 means "not in contact" and is skipped; mouse pointers
+ * report a fixed 1x1 contact so they are skipped for contact size.
+ *
+ * @param {Array} seg - raw samples in [spawn, click]
+ * @returns {Object} Contact features (null where the data is missing)
+ */
+function extractContactFeatures(seg) {
+  const pressures = [];
+  for (const s of seg) {
+    if (s.pressure > 0) pressures.push(s.pressure);
+    for (const c of s.coalesced || []) {
+      if (c.pressure > 0) pressures.push(c.pressure);
+    }
+  }
+
+  const contacts = seg.filter(s => s.pointerType !== 'mouse' && s.width > 0 && s.height > 0);
+  const areas = contacts.map(s => s.width * s.height);
+
+  return {
+    nPressureSamples: pressures.length,
+    meanPressure: mean(pressures),
+    pressureSD: std(pressures),
+    pressureCV: cv(pressures),
+    pressureRange: pressures.length ? Math.max(...pressures) - Math.min(...pressures) : null,
+    nContactSamples: contacts.length,
+    meanContactWidth: mean(contacts.map(s => s.width)),
+    meanContactHeight: mean(contacts.map(s => s.height)),
+    meanContactArea: mean(areas),
+    contactAreaSD: std(areas),
+    contactAreaCV: cv(areas),
+  };
+}
+
 /**
  * Extracts kinematic + Fitts features for one attempt.
  * 
  * @param {Object} params
- * @param {Array} params.samples - [{tms, x, y}, ...] normalized 0..1, sorted by tms
+ * @param {Array} params.samples - [{tms, x, y, pressure?, width?, height?}, ...] normalized 0..1, sorted by tms
  * @param {Number} params.spawnTms - When bubble spawned (ms)
  * @param {Number} params.clickTms - When user clicked (ms)
  * @param {Object} params.target - {x, y, radius} normalized
  * @param {Number} params.prevClickTms - Previous click time for interTap (optional)
+ * @param {Number} params.resampleHz - Resample the segment to this uniform rate first (optional)
+ * @param {Number} params.speedNorm - Bubble rise speed (optional, see utils/targetMotion.js)
+ * @param {Number} params.ttlMs - Bubble lifetime (optional)
+ * @param {Object} params.spawn - {x, y} spawn position normalized (optional)
+ * @param {Object} params.screen - {width, height} the coordinates were normalized with (optional)
+ * @param {Object} params.filter - filter config applied before differentiation (default none)
+ * @param {Object} params.clickPoint - {x, y} reported click position (optional, else last sample)
  * 
  * @returns {Object} Computed features
  */
@@ -51,9 +112,35 @@ export function extractAttemptFeatures({
   clickTms,
   target,
   prevClickTms,
+  resampleHz = null,
+  speedNorm = null,
+  ttlMs = null,
+  spawn = null,
+  screen = null,
+  filter = { type: 'none' },
+  clickPoint = null,
 }) {
   // 1) Segment samples in [spawn, click] interval
-  const seg = samples.filter(s => s.tms >= spawnTms && s.tms <= clickTms);
+  let seg = samples.filter(s => s.tms >= spawnTms && s.tms <= clickTms);
+  
+  // Pressure/contact from the raw samples (resampling would smear them)
+  const contact = extractContactFeatures(seg);
+  
+  // Throttled/uneven input: put the segment on a uniform time grid
+  // (filters need one too - without resampleHz the measured rate is used)
+  let fs = resampleHz || null;
+  if (!fs && filter.type !== 'none') {
+    fs = measureSampling(seg).samplingHz;
+  }
+  if (fs) {
+    seg = resampleUniform(seg, fs);
+  }
+  const appliedFilter = fs || filter.type === 'none'
+    ? { ...filter, samplingHz: fs }
+    : { type: 'none', samplingHz: null };
+  
+  // Tremor needs the unfiltered trace (a low-pass removes the band)
+  const tremorSeg = seg;
   
   if (seg.length < 4) {
     // Not enough samples for meaningful feature extraction
@@ -65,10 +152,21 @@ export function extractAttemptFeatures({
       },
       spatial: {},
       kinematics: {},
-      fitts: {}
+      fitts: {},
+      pathAccuracy: {},
+      contact,
+      tremor: {},
+      filter: appliedFilter,
     };
   }
   
+  // Smooth x/y before differentiation
+  if (appliedFilter.type !== 'none') {
+    const xs = applyFilter(seg.map(s => s.x), appliedFilter, fs);
+    const ys = applyFilter(seg.map(s => s.y), appliedFilter, fs);
+    seg = seg.map((s, i) => ({ ...s, x: xs[i], y: ys[i] }));
+  }
+  
   // 2) Detect movement start
   // First point where displacement from initial position exceeds epsilon
   const p0 = { x: seg[0].x, y: seg[0].y };
@@ -177,23 +275,10 @@ export function extractAttemptFeatures({
   }
   
   // 6) Overshoot count (distance-to-target reversals near target)
-  // For MOVING targets (like rising bubbles), we need to interpolate
-  // the target position at each sample time
-  const clickTime = moveSeg[moveSeg.length - 1].tms;
-  const spawnTime = moveSeg[0].tms;
-  const totalDuration = clickTime - spawnTime;
-  
-  // Calculate distance to target at each sample
-  // For moving targets, interpolate target position based on time
-  // The bubble rises (y decreases) from spawn to click
-  const d = moveSeg.map(s => {
-    // If we have timing info, interpolate target position
-    // Bubbles rise linearly, so target.y at time t is:
-    // targetY(t) = spawnY + (clickY - spawnY) * (t - spawnTime) / totalDuration
-    // Since we only have final target position, use it directly for now
-    // (this gives correct results for stationary targets)
-    return dist(s, target);
-  });
+  // Bubbles rise, so distances are taken to the target's position at
+  // each sample time (stationary when speed/spawn are unknown)
+  const path = buildTargetPath({ target, spawnTms, clickTms, speedNorm, ttlMs, spawn, screen });
+  const d = moveSeg.map(s => dist(s, path.at(s.tms)));
   
   let overshootCount = 0;
   // Increased gate from 2x to 4x radius for more sensitive detection
@@ -218,8 +303,7 @@ export function extractAttemptFeatures({
   let finalPhaseOvershoots = 0;
   
   if (moveSeg.length > 5) {
-    const finalSeg = moveSeg.slice(finalPhaseStart);
-    const finalD = finalSeg.map(s => dist(s, target));
+    const finalD = d.slice(finalPhaseStart);
     
     for (let i = 2; i < finalD.length; i++) {
       const ddPrev = finalD[i-1] - finalD[i-2];
@@ -264,6 +348,26 @@ export function extractAttemptFeatures({
   const mtSec = movementTimeMs != null ? Math.max(movementTimeMs / 1000, 0.05) : null;
   const throughput = (ID != null && mtSec != null) ? (ID / mtSec) : null;
   
+  // 7.1 Moving-target variants: distance to where the bubble was when the
+  // movement started, and to where it was intercepted (at the click)
+  const D_initial = dist(moveStart, path.at(moveSeg[0].tms));
+  const D_intercept = dist(moveStart, path.at(clickTms));
+  const ID_initial = (W > 0) ? Math.log2(D_initial / W + 1) : null;
+  const ID_intercept = (W > 0) ? Math.log2(D_intercept / W + 1) : null;
+  
+  // 7.2 ISO 9241-9 inputs: endpoint deviation along the task axis
+  // (movement start -> intercepted target) and the effective amplitude
+  const endpoint = clickPoint && Number.isFinite(clickPoint.x) && Number.isFinite(clickPoint.y) ? clickPoint : moveEnd;
+  const intercept = path.at(clickTms);
+  let endpointDx = null;
+  let Ae = null;
+  if (D_intercept > 0) {
+    const ux = (intercept.x - moveStart.x) / D_intercept;
+    const uy = (intercept.y - moveStart.y) / D_intercept;
+    endpointDx = (endpoint.x - intercept.x) * ux + (endpoint.y - intercept.y) * uy;
+    Ae = D_intercept + endpointDx;
+  }
+  
   return {
     timing: {
       reactionTimeMs,
@@ -291,7 +395,21 @@ export function extractAttemptFeatures({
       W,
       ID,
       throughput,
-    }
+      targetModel: path.model,
+      targetSpeedNorm: Math.hypot(path.vx, path.vy),
+      D_initial,
+      ID_initial,
+      throughput_initial: (ID_initial != null && mtSec != null) ? (ID_initial / mtSec) : null,
+      D_intercept,
+      ID_intercept,
+      throughput_intercept: (ID_intercept != null && mtSec != null) ? (ID_intercept / mtSec) : null,
+      endpointDx,
+      Ae,
+    },
+    pathAccuracy: pathAccuracy(moveSeg, { path, radius: target.radius, clickTms }),
+    contact,
+    tremor: attemptTremor(tremorSeg, { fs }),
+    filter: appliedFilter,
   };
 }
 
@@ -315,6 +433,10 @@ export function extractBatchFeatures(attempts, allSamples) {
       clickTms: attempt.click.tms,
       target: attempt.target,
       prevClickTms,
+      speedNorm: attempt.speedNorm,
+      ttlMs: attempt.ttlMs,
+      spawn: attempt.spawn,
+      clickPoint: attempt.click,
     });
     
     // Merge features into attempt
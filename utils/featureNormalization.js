@@ -0,0 +1,197 @@
+import { mean, sampleStd, solveLinear } from './stats.js';
+
+/**
+ * Device- and Performance-Aware Feature Normalization
+ *
+ * Raw motor features depend on the setup as much as on the participant:
+ * a laggy touchpad laptop looks "impaired" next to a gaming mouse. Each
+ * session feature is expressed relative to a reference cohort of sessions
+ * on comparable devices:
+ *
+ *   z = (value - cohortMean - b . (perf - cohortPerfMean)) / residualSD
+ *
+ * - Cohorts: pointerPrimary x screen size class x DPR class, falling back
+ *   to coarser cohorts (pointer x screen, pointer, all) while a cohort has
+ *   fewer than MIN_COHORT_SIZE reference values for the feature
+ * - Perf: within the cohort, a ridge regression on avgFrameMs,
+ *   inputLagMsEstimate and droppedFrames removes what frame time and lag
+ *   explain (missing perf values count as the cohort mean)
+ *
+ * Normalized values are z-scores: 0 is typical for the cohort, and the
+ * sign follows the raw feature.
+ */
+
+export const PERF_COVARIATES = ['avgFrameMs', 'inputLagMsEstimate', 'droppedFrames'];
+export const MIN_COHORT_SIZE = 20;
+
+const RIDGE_LAMBDA = 0.1;  // relative to each covariate's variance
+
+// Helper: screen description from the session (CSS px and DPR)
+function sessionScreen(session) {
+  const width = session?.screen?.width || session?.viewportWidth || session?.screenResolution?.width || null;
+  const height = session?.screen?.height || session?.viewportHeight || session?.screenResolution?.height || null;
+  const dpr = session?.screen?.dpr || session?.devicePixelRatio || null;
+  return { width, height, dpr };
+}
+
+/**
+ * Device cohort of a session
+ *
+ * @param {Object} session - Session document (device, screen, viewport)
+ * @returns {Object} { pointerPrimary, screenClass, dprClass }
+ */
+export function deviceCohort(session) {
+  const { width, height, dpr } = sessionScreen(session);
+  const shortSide = width && height ? Math.min(width, height) : null;
+
+  let screenClass = 'unknown';
+  if (shortSide) {
+    if (shortSide < 600) screenClass = 'small';
+    else if (shortSide < 1000) screenClass = 'medium';
+    else screenClass = 'large';
+  }
+
+  let dprClass = 'unknown';
+  if (dpr) {
+    dprClass = dpr < 1.5 ? 'standard' : 'high';
+  }
+
+  return {
+    pointerPrimary: session?.device?.pointerPrimary || 'unknown',
+    screenClass,
+    dprClass,
+  };
+}
+
+/**
+ * Cohort keys of a session, most specific first
+ */
+export function cohortKeys(session) {
+  const { pointerPrimary, screenClass, dprClass } = deviceCohort(session);
+  return [
+    `${pointerPrimary}|${screenClass}|${dprClass}`,
+    `${pointerPrimary}|${screenClass}`,
+    pointerPrimary,
+    'all',
+  ];
+}
+
+// Helper: perf covariates of a session (null when not reported)
+function sessionPerf(session) {
+  const perf = {};
+  for (const key of PERF_COVARIATES) {
+    const value = session?.perf?.[key];
+    perf[key] = Number.isFinite(value) ? value : null;
+  }
+  return perf;
+}
+
+// Helper: reference statistics of one feature within one cohort
+// rows: [{ value, perf }]
+function fitFeature(rows) {
+  const values = rows.map(r => r.value);
+
+  // Centre the covariates; missing values sit at the mean
+  const perfMean = {};
+  for (const key of PERF_COVARIATES) {
+    perfMean[key] = mean(rows.map(r => r.perf[key]).filter(v => v != null)) ?? 0;
+  }
+  const X = rows.map(r => PERF_COVARIATES.map(key => (r.perf[key] ?? perfMean[key]) - perfMean[key]));
+  const valueMean = mean(values);
+  const y = values.map(v => v - valueMean);
+
+  // Ridge regression; constant covariates get no coefficient
+  const p = PERF_COVARIATES.length;
+  const XtX = Array.from({ length: p }, (_, i) => Array.from({ length: p }, (_, j) => X.reduce((s, row) => s + row[i] * row[j], 0)));
+  const Xty = Array.from({ length: p }, (_, i) => X.reduce((s, row, k) => s + row[i] * y[k], 0));
+  for (let i = 0; i < p; i++) {
+    XtX[i][i] = XtX[i][i] > 0 ? XtX[i][i] * (1 + RIDGE_LAMBDA) : 1;
+  }
+  const b = solveLinear(XtX, Xty);
+
+  const residuals = y.map((v, k) => v - X[k].reduce((s, x, i) => s + x * b[i], 0));
+  const residualSD = sampleStd(residuals);
+
+  return {
+    n: rows.length,
+    mean: valueMean,
+    sd: sampleStd(values),
+    residualSD,
+    perfMean,
+    coef: Object.fromEntries(PERF_COVARIATES.map((key, i) => [key, b[i]])),
+  };
+}
+
+/**
+ * Build reference cohort statistics from stored session summaries
+ *
+ * @param {Array} references - [{ features, session }] (raw summary features and their Session)
+ * @returns {Object} { cohortKey: { featureName: stats } }
+ */
+export function buildReferenceCohorts(references) {
+  const grouped = {};
+
+  for (const { features, session } of references) {
+    const perf = sessionPerf(session);
+    for (const key of cohortKeys(session)) {
+      grouped[key] = grouped[key] || {};
+      for (const [name, value] of Object.entries(features || {})) {
+        if (typeof value !== 'number' || !Number.isFinite(value)) continue;
+        (grouped[key][name] = grouped[key][name] || []).push({ value, perf });
+      }
+    }
+  }
+
+  const cohorts = {};
+  for (const [key, byFeature] of Object.entries(grouped)) {
+    const stats = {};
+    for (const [name, rows] of Object.entries(byFeature)) {
+      if (rows.length < MIN_COHORT_SIZE) continue;
+      const fit = fitFeature(rows);
+      if (fit.residualSD > 0) stats[name] = fit;
+    }
+    if (Object.keys(stats).length > 0) cohorts[key] = stats;
+  }
+  return cohorts;
+}
+
+/**
+ * Normalize a session's features against reference cohorts
+ *
+ * @param {Object} features - raw summary features
+ * @param {Object} session - Session document
+ * @param {Object} cohorts - from buildReferenceCohorts
+ * @returns {Object} { features: { name: z }, cohorts: { cohortKey: number of features } }
+ */
+export function normalizeFeatures(features, session, cohorts) {
+  const keys = cohortKeys(session);
+  const perf = sessionPerf(session);
+  const normalized = {};
+  const usedCohorts = {};
+
+  for (const [name, value] of Object.entries(features || {})) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) continue;
+
+    const key = keys.find(k => cohorts?.[k]?.[name]);
+    if (!key) continue;
+
+    const stats = cohorts[key][name];
+    const perfEffect = PERF_COVARIATES.reduce(
+      (sum, cov) => sum + stats.coef[cov] * ((perf[cov] ?? stats.perfMean[cov]) - stats.perfMean[cov]),
+      0
+    );
+    normalized[name] = (value - stats.mean - perfEffect) / stats.residualSD;
+    usedCohorts[key] = (usedCohorts[key] || 0) + 1;
+  }
+
+  return { features: normalized, cohorts: usedCohorts };
+}
+
+export default {
+  PERF_COVARIATES,
+  MIN_COHORT_SIZE,
+  deviceCohort,
+  cohortKeys,
+  buildReferenceCohorts,
+  normalizeFeatures,
+};
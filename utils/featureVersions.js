@@ -0,0 +1,555 @@
+import { mean, std, median } from './stats.js';
+import { traceTremor } from './tremor.js';
+import { formatFilterConfig } from './signalFilters.js';
+import { effectiveFitts, fittsRegression } from './fittsMetrics.js';
+import { missFeatures, TIMEOUT_RATE_COLUMNS } from './missFeatures.js';
+
+/**
+ * Feature Extractor Versions
+ *
+ * Round and session summaries are built from named feature groups. A
+ * version is a fixed list of groups; once published its groups must not
+ * change meaning - a formula change gets a new group and a new version.
+ * Summaries are stored per (session, featureVersion), so several versions
+ * can coexist and be backfilled side by side.
+ *
+ * Attempt-level inputs the groups read (filter, targetModel) are recorded
+ * on each attempt and, as filterConfig/targetModel, in every version.
+ * Versions with `excludeFlagged` leave outlier-flagged attempts out (see
+ * utils/outlierRules.js); earlier ones use every attempt.
+ */
+
+// Helper: non-null values of a field over attempts
+const pick = (attempts, get) => attempts.map(get).filter(v => v != null);
+
+// ===== Round feature groups: (attempts, ctx) => features =====
+
+const ROUND_GROUPS = {
+  // Timing, spatial, kinematics, stationary Fitts and counts (original set)
+  base(attempts) {
+    const hits = attempts.filter(a => a.click.hit);
+    const misses = attempts.filter(a => !a.click.hit);
+    
+    // Timing
+    const reactionTimes = pick(attempts, a => a.timing.reactionTimeMs);
+    const movementTimes = pick(hits, a => a.timing.movementTimeMs);
+    const interTapTimes = pick(attempts, a => a.timing.interTapMs);
+    
+    // Spatial, kinematics and Fitts (hits only)
+    const errorDists = pick(hits, a => a.spatial.errorDistNorm);
+    const pathLengths = pick(hits, a => a.spatial.pathLengthNorm);
+    const straightness = pick(hits, a => a.spatial.straightness);
+    const meanSpeeds = pick(hits, a => a.kinematics.meanSpeed);
+    const peakSpeeds = pick(hits, a => a.kinematics.peakSpeed);
+    const jerkRMS = pick(hits, a => a.kinematics.jerkRMS);
+    const submovements = pick(hits, a => a.kinematics.submovementCount);
+    const overshoots = pick(hits, a => a.kinematics.overshootCount);
+    const throughputs = pick(hits, a => a.fitts.throughput);
+    const IDs = pick(hits, a => a.fitts.ID);
+    
+    return {
+      // Timing
+      reactionTime_mean: mean(reactionTimes),
+      reactionTime_std: std(reactionTimes),
+      reactionTime_median: median(reactionTimes),
+      movementTime_mean: mean(movementTimes),
+      movementTime_std: std(movementTimes),
+      movementTime_median: median(movementTimes),
+      interTapTime_mean: mean(interTapTimes),
+      interTapTime_std: std(interTapTimes),
+      
+      // Spatial
+      errorDist_mean: mean(errorDists),
+      errorDist_std: std(errorDists),
+      pathLength_mean: mean(pathLengths),
+      straightness_mean: mean(straightness),
+      straightness_std: std(straightness),
+      
+      // Kinematics
+      meanSpeed_mean: mean(meanSpeeds),
+      peakSpeed_mean: mean(peakSpeeds),
+      jerkRMS_mean: mean(jerkRMS),
+      jerkRMS_std: std(jerkRMS),
+      submovementCount_mean: mean(submovements),
+      submovementCount_std: std(submovements),
+      overshootCount_mean: mean(overshoots),
+      overshootCount_std: std(overshoots),
+      
+      // Fitts
+      throughput_mean: mean(throughputs),
+      throughput_std: std(throughputs),
+      ID_mean: mean(IDs),
+      
+      // Counts
+      nAttempts: attempts.length,
+      nHits: hits.length,
+      nMisses: misses.length,
+      hitRate: attempts.length > 0 ? hits.length / attempts.length : 0,
+    };
+  },
+  
+  // Moving-target Fitts (distance to where the bubble was intercepted)
+  movingFitts(attempts) {
+    const hits = attempts.filter(a => a.click.hit);
+    const throughputs = pick(hits, a => a.fitts.throughput_intercept);
+    
+    return {
+      throughput_intercept_mean: mean(throughputs),
+      throughput_intercept_std: std(throughputs),
+      ID_intercept_mean: mean(pick(hits, a => a.fitts.ID_intercept)),
+    };
+  },
+  
+  // ISO 9241-9 effective width, ID and throughput
+  effectiveFitts(attempts) {
+    return effectiveFittsFeatures(attempts);
+  },
+  
+  // Fitts' law regression MT = a + b * ID over the round's hits
+  fittsRegression(attempts) {
+    return regressionFeatures(attempts);
+  },
+  
+  // Miss mix, near-miss distances, stage-miss clustering, timeouts by column/speed
+  misses(attempts) {
+    return missFeatures(attempts);
+  },
+  
+  // MacKenzie path accuracy measures (hits only)
+  pathAccuracy(attempts) {
+    const hits = attempts.filter(a => a.click.hit);
+    const features = {};
+    for (const key of ['TRE', 'TAC', 'MDC', 'ODC', 'MV', 'ME', 'MO']) {
+      const values = pick(hits, a => a.pathAccuracy?.[key]);
+      features[`${key}_mean`] = mean(values);
+      features[`${key}_std`] = std(values);
+    }
+    return features;
+  },
+  
+  // Pressure / contact size (pen & touch only)
+  contact(attempts) {
+    const hits = attempts.filter(a => a.click.hit);
+    const meanPressures = pick(hits, a => a.contact?.meanPressure);
+    const contactAreas = pick(hits, a => a.contact?.meanContactArea);
+    
+    return {
+      pressure_mean: mean(meanPressures),
+      pressure_std: std(meanPressures),
+      pressureCV_mean: mean(pick(hits, a => a.contact?.pressureCV)),
+      contactArea_mean: mean(contactAreas),
+      contactArea_std: std(contactAreas),
+      contactAreaCV_mean: mean(pick(hits, a => a.contact?.contactAreaCV)),
+    };
+  },
+  
+  // Attempt tremor averages and the round's whole-trace spectrum
+  async tremor(attempts, ctx) {
+    const hits = attempts.filter(a => a.click.hit);
+    const tremor = traceTremor(await ctx.loadTrace());
+    
+    return {
+      tremorRatio_mean: mean(pick(hits, a => a.tremor?.ratio)),
+      tremorBandPower_mean: mean(pick(hits, a => a.tremor?.bandPower)),
+      tremor_bandPower: tremor.bandPower ?? null,
+      tremor_ratio: tremor.ratio ?? null,
+      tremor_dominantFreqHz: tremor.dominantFreqHz ?? null,
+      tremor_peakHz: tremor.peakHz ?? null,
+      tremor_samplingHz: tremor.samplingHz ?? null,
+      tremor_lowSamplingRate: tremor.lowSamplingRate ?? null,
+      tremor_nWindows: tremor.nWindows ?? 0,
+    };
+  },
+  
+  // Kinematics filter ("|"-separated when attempts differ)
+  filter(attempts) {
+    const hits = attempts.filter(a => a.click.hit);
+    const configs = [...new Set(hits.map(a => formatFilterConfig(a.filter?.type ? a.filter : null)))];
+    
+    return {
+      filterConfig: configs.sort().join('|') || null,
+    };
+  },
+  
+  // Target model distances were measured against ("|"-separated when attempts
+  // differ; attempts stored before moving targets count as stationary)
+  targetModel(attempts) {
+    const hits = attempts.filter(a => a.click.hit);
+    const models = [...new Set(hits.map(a => a.fitts?.targetModel || 'stationary'))];
+    
+    return {
+      targetModel: models.sort().join('|') || null,
+    };
+  },
+};
+
+// Helper: effective Fitts measures as flat features
+function effectiveFittsFeatures(attempts) {
+  const { We, Ae, IDe, TPe, nEffective } = effectiveFitts(attempts);
+  return {
+    We,
+    Ae_mean: Ae,
+    IDe,
+    TPe,
+    nEffective,
+  };
+}
+
+// Helper: regression as flat features
+function regressionFeatures(attempts) {
+  const { a, b, r2, residualSD, n } = fittsRegression(attempts);
+  return {
+    fitts_a: a,
+    fitts_b: b,
+    fitts_r2: r2,
+    fitts_residualSD: residualSD,
+    fitts_n: n,
+  };
+}
+
+// ===== Session feature groups: (rounds, ctx) => features =====
+// rounds: [round1, round2, round3] feature objects (null when missing)
+// ctx.attempts: all of the session's attempts
+
+const SESSION_GROUPS = {
+  // Per-round features (r1_, r2_, r3_) and cross-round trends
+  base(rounds) {
+    const features = {};
+    
+    rounds.forEach((rf, i) => {
+      if (!rf) return;
+      for (const [key, value] of Object.entries(rf)) {
+        features[`r${i + 1}_${key}`] = value;
+      }
+    });
+    
+    // Does performance improve/degrade across rounds?
+    const hitRates = pick(rounds, rf => rf?.hitRate);
+    if (hitRates.length > 1) {
+      features.hitRate_trend = hitRates[hitRates.length - 1] - hitRates[0];
+    }
+    
+    const throughputs = pick(rounds, rf => rf?.throughput_mean);
+    if (throughputs.length > 1) {
+      features.throughput_trend = throughputs[throughputs.length - 1] - throughputs[0];
+    }
+    
+    return features;
+  },
+  
+  // Tremor across rounds
+  tremor(rounds) {
+    const present = rounds.filter(Boolean);
+    const features = {
+      tremor_lowSamplingRate: present.some(rf => rf.tremor_lowSamplingRate === true),
+    };
+    
+    const ratios = pick(present, rf => rf.tremor_ratio);
+    if (ratios.length > 0) features.tremorRatio_mean = mean(ratios);
+    
+    const powers = pick(present, rf => rf.tremor_bandPower);
+    if (powers.length > 0) features.tremorBandPower_mean = mean(powers);
+    
+    return features;
+  },
+};
+
+// Effective measures pooled over all rounds (per-round values come with r1_..)
+SESSION_GROUPS.effectiveFitts = (rounds, ctx) => {
+  const pooled = effectiveFittsFeatures(ctx.attempts);
+  const roundTPe = pick(rounds, rf => rf?.TPe);
+  
+  return {
+    We: pooled.We,
+    IDe: pooled.IDe,
+    TPe: pooled.TPe,
+    TPe_roundMean: mean(roundTPe),
+  };
+};
+
+// Regression over all of the session's hits
+SESSION_GROUPS.fittsRegression = (rounds, ctx) => regressionFeatures(ctx.attempts);
+
+// Miss features pooled over all rounds
+SESSION_GROUPS.misses = (rounds, ctx) => missFeatures(ctx.attempts);
+
+// ===== Feature columns: [name, type, description] of every feature a group returns =====
+// Exports take their columns from here (see featureCatalog), so every
+// export of a version has the same columns. Types: 'number', 'string', 'boolean'
+
+const STAT_NAMES = { mean: 'Mean', std: 'SD of', median: 'Median' };
+
+// Helper: <prefix>_<stat> columns
+const statColumns = (prefix, what, stats = ['mean', 'std']) =>
+  stats.map(stat => [`${prefix}_${stat}`, 'number', `${STAT_NAMES[stat]} ${what}`]);
+
+const REGRESSION_COLUMNS = [
+  ['fitts_a', 'number', 'Fitts regression intercept a (ms)'],
+  ['fitts_b', 'number', 'Fitts regression slope b (ms/bit)'],
+  ['fitts_r2', 'number', 'Fitts regression R²'],
+  ['fitts_residualSD', 'number', 'SD of the Fitts regression residuals (ms)'],
+  ['fitts_n', 'number', 'Hits in the Fitts regression'],
+];
+
+const MISS_COLUMNS = [
+  ['bubbleMissRate', 'number', 'Clicks on a wrong bubble per attempt'],
+  ['stageMissRate', 'number', 'Clicks on no bubble per attempt'],
+  ['timeoutRate', 'number', 'Bubbles left unclicked per attempt'],
+  ['otherMissRate', 'number', 'Other misses per attempt'],
+  ['nearMiss_n', 'number', 'Clicked misses with a known distance'],
+  ...statColumns('nearMiss', 'clicked miss distance (target radii)', ['mean', 'median']),
+  ['nearMiss_p25', 'number', '25th percentile clicked miss distance (target radii)'],
+  ['nearMiss_p75', 'number', '75th percentile clicked miss distance (target radii)'],
+  ['nearMiss_within2R', 'number', 'Share of clicked misses within 2 target radii'],
+  ['stageMiss_n', 'number', 'Stage misses'],
+  ['stageMiss_centroidX', 'number', 'Mean x of stage-miss clicks (normalized)'],
+  ['stageMiss_centroidY', 'number', 'Mean y of stage-miss clicks (normalized)'],
+  ['stageMiss_dispersion', 'number', 'RMS distance of stage-miss clicks from their centroid'],
+  ['stageMiss_meanNNDist', 'number', 'Mean nearest-neighbour distance between stage-miss clicks'],
+  ['stageMiss_biasX', 'number', 'Mean x offset of stage-miss clicks from the target'],
+  ['stageMiss_biasY', 'number', 'Mean y offset of stage-miss clicks from the target'],
+  ...Array.from({ length: TIMEOUT_RATE_COLUMNS }, (_, column) => (
+    [`timeoutRate_col${column}`, 'number', `Timeout rate of bubble column ${column}`]
+  )),
+  ['timeoutRate_slow', 'number', 'Timeout rate of the slower half of bubbles'],
+  ['timeoutRate_fast', 'number', 'Timeout rate of the faster half of bubbles'],
+  ['timeoutSpeedCorr', 'number', 'Correlation of bubble speed and timing out'],
+];
+
+const ROUND_GROUP_COLUMNS = {
+  base: [
+    ...statColumns('reactionTime', 'reaction time (ms)', ['mean', 'std', 'median']),
+    ...statColumns('movementTime', 'movement time of hits (ms)', ['mean', 'std', 'median']),
+    ...statColumns('interTapTime', 'time between clicks (ms)'),
+    ...statColumns('errorDist', 'click error distance of hits (normalized)'),
+    ...statColumns('pathLength', 'path length of hits (normalized)', ['mean']),
+    ...statColumns('straightness', 'path straightness of hits'),
+    ...statColumns('meanSpeed', 'speed of hits', ['mean']),
+    ...statColumns('peakSpeed', 'peak speed of hits', ['mean']),
+    ...statColumns('jerkRMS', 'RMS jerk of hits'),
+    ...statColumns('submovementCount', 'submovements of hits'),
+    ...statColumns('overshootCount', 'overshoots of hits'),
+    ...statColumns('throughput', 'Fitts throughput of hits (bits/s)'),
+    ...statColumns('ID', 'Fitts index of difficulty of hits (bits)', ['mean']),
+    ['nAttempts', 'number', 'Attempts'],
+    ['nHits', 'number', 'Hits'],
+    ['nMisses', 'number', 'Misses'],
+    ['hitRate', 'number', 'Hits per attempt'],
+  ],
+  movingFitts: [
+    ...statColumns('throughput_intercept', 'throughput to the intercepted target (bits/s)'),
+    ...statColumns('ID_intercept', 'index of difficulty to the intercepted target (bits)', ['mean']),
+  ],
+  effectiveFitts: [
+    ['We', 'number', 'Effective target width (normalized)'],
+    ['Ae_mean', 'number', 'Mean effective amplitude (normalized)'],
+    ['IDe', 'number', 'Effective index of difficulty (bits)'],
+    ['TPe', 'number', 'Effective throughput (bits/s)'],
+    ['nEffective', 'number', 'Hits in the effective measures'],
+  ],
+  fittsRegression: REGRESSION_COLUMNS,
+  misses: MISS_COLUMNS,
+  pathAccuracy: [
+    ...statColumns('TRE', 'target re-entries of hits'),
+    ...statColumns('TAC', 'task-axis crossings of hits'),
+    ...statColumns('MDC', 'movement direction changes of hits'),
+    ...statColumns('ODC', 'orthogonal direction changes of hits'),
+    ...statColumns('MV', 'movement variability of hits (normalized)'),
+    ...statColumns('ME', 'movement error of hits (normalized)'),
+    ...statColumns('MO', 'movement offset of hits (normalized)'),
+  ],
+  contact: [
+    ...statColumns('pressure', 'pressure of hits'),
+    ...statColumns('pressureCV', 'pressure coefficient of variation of hits', ['mean']),
+    ...statColumns('contactArea', 'contact area of hits'),
+    ...statColumns('contactAreaCV', 'contact area coefficient of variation of hits', ['mean']),
+  ],
+  tremor: [
+    ...statColumns('tremorRatio', 'attempt tremor ratio of hits', ['mean']),
+    ...statColumns('tremorBandPower', 'attempt tremor band power of hits', ['mean']),
+    ['tremor_bandPower', 'number', 'Round trace power in the 4-12 Hz band'],
+    ['tremor_ratio', 'number', 'Round trace band power over power below 4 Hz'],
+    ['tremor_dominantFreqHz', 'number', 'Round trace dominant frequency (Hz)'],
+    ['tremor_peakHz', 'number', 'Round trace peak frequency in the band (Hz)'],
+    ['tremor_samplingHz', 'number', 'Round trace sampling rate (Hz)'],
+    ['tremor_lowSamplingRate', 'boolean', 'Round trace sampled too slowly for the band'],
+    ['tremor_nWindows', 'number', 'Welch windows in the round spectrum'],
+  ],
+  filter: [
+    ['filterConfig', 'string', 'Kinematics filter of the hits ("|"-separated when they differ)'],
+  ],
+  targetModel: [
+    ['targetModel', 'string', 'Target model of the hits: moving, stationary ("|"-separated when they differ)'],
+  ],
+};
+
+const SESSION_GROUP_COLUMNS = {
+  // r1_..r3_ columns are added from the round columns (see featureCatalog)
+  base: [
+    ['hitRate_trend', 'number', 'Hit rate of the last round minus the first'],
+    ['throughput_trend', 'number', 'Mean throughput of the last round minus the first'],
+  ],
+  tremor: [
+    ['tremor_lowSamplingRate', 'boolean', 'A round trace was sampled too slowly for the band'],
+    ['tremorRatio_mean', 'number', 'Mean round trace tremor ratio'],
+    ['tremorBandPower_mean', 'number', 'Mean round trace tremor band power'],
+  ],
+  effectiveFitts: [
+    ['We', 'number', 'Effective target width over all hits (normalized)'],
+    ['IDe', 'number', 'Effective index of difficulty over all hits (bits)'],
+    ['TPe', 'number', 'Effective throughput over all hits (bits/s)'],
+    ['TPe_roundMean', 'number', 'Mean of the rounds\' effective throughput'],
+  ],
+  fittsRegression: REGRESSION_COLUMNS,
+  misses: MISS_COLUMNS,
+};
+
+// ===== Registry =====
+
+export const FEATURE_VERSIONS = {
+  // Every version records the attempt-level inputs (filterConfig,
+  // targetModel) its groups were computed from: attempts stored since
+  // moving targets and kinematics filtering were added measure overshoot
+  // and jerk differently than the attempts the first versions saw
+  v1: {
+    description: 'Timing, spatial, kinematic and stationary Fitts aggregates, with filter config and target model',
+    roundGroups: ['base', 'filter', 'targetModel'],
+    sessionGroups: ['base'],
+  },
+  v2: {
+    description: 'v1 plus moving-target Fitts, pressure/contact and tremor spectrum',
+    roundGroups: ['base', 'movingFitts', 'contact', 'tremor', 'filter', 'targetModel'],
+    sessionGroups: ['base', 'tremor'],
+  },
+  v3: {
+    description: 'v2 plus ISO 9241-9 effective width, effective ID and effective throughput',
+    roundGroups: ['base', 'movingFitts', 'effectiveFitts', 'contact', 'tremor', 'filter', 'targetModel'],
+    sessionGroups: ['base', 'effectiveFitts', 'tremor'],
+  },
+  v4: {
+    description: 'v3 plus the Fitts\' law regression MT = a + b * ID per round and per session',
+    roundGroups: ['base', 'movingFitts', 'effectiveFitts', 'fittsRegression', 'contact', 'tremor', 'filter', 'targetModel'],
+    sessionGroups: ['base', 'effectiveFitts', 'fittsRegression', 'tremor'],
+  },
+  v5: {
+    description: 'v4 plus miss taxonomy: miss mix, near-miss distances, stage-miss clustering, timeouts by column and speed',
+    roundGroups: ['base', 'movingFitts', 'effectiveFitts', 'fittsRegression', 'misses', 'contact', 'tremor', 'filter', 'targetModel'],
+    sessionGroups: ['base', 'effectiveFitts', 'fittsRegression', 'misses', 'tremor'],
+  },
+  v6: {
+    description: 'v5 features with outlier-flagged attempts left out (see utils/outlierRules.js)',
+    roundGroups: ['base', 'movingFitts', 'effectiveFitts', 'fittsRegression', 'misses', 'contact', 'tremor', 'filter', 'targetModel'],
+    sessionGroups: ['base', 'effectiveFitts', 'fittsRegression', 'misses', 'tremor'],
+    excludeFlagged: true,
+  },
+  v7: {
+    description: 'v6 plus MacKenzie path accuracy measures (TRE, TAC, MDC, ODC, MV, ME, MO)',
+    roundGroups: ['base', 'movingFitts', 'effectiveFitts', 'fittsRegression', 'misses', 'pathAccuracy', 'contact', 'tremor', 'filter', 'targetModel'],
+    sessionGroups: ['base', 'effectiveFitts', 'fittsRegression', 'misses', 'tremor'],
+    excludeFlagged: true,
+  },
+};
+
+export const DEFAULT_FEATURE_VERSION = 'v7';
+
+/**
+ * Look up a version (throws FeatureVersionError for unknown ids)
+ */
+export function getFeatureVersion(id) {
+  const version = FEATURE_VERSIONS[id];
+  if (!version) {
+    const error = new Error(`Unknown feature version "${id}" (known: ${Object.keys(FEATURE_VERSIONS).join(', ')})`);
+    error.name = 'FeatureVersionError';
+    throw error;
+  }
+  return { id, ...version };
+}
+
+/**
+ * Does the version use outlier-flagged attempts? (versions published
+ * before outlier rules always do)
+ */
+export function keepsFlaggedAttempts(id) {
+  return !getFeatureVersion(id).excludeFlagged;
+}
+
+/**
+ * Version used when none is requested (MOTOR_FEATURE_VERSION or the default)
+ */
+export function currentFeatureVersion() {
+  return process.env.MOTOR_FEATURE_VERSION || DEFAULT_FEATURE_VERSION;
+}
+
+/**
+ * Feature columns of a version: every feature its groups can return, in
+ * group order. timeoutRate_col<N> covers bubble columns 0..9 only.
+ *
+ * @param {String} versionId
+ * @param {String} level - 'session' or 'round'
+ * @returns {Array} [{ name, type, description, group }]
+ */
+export function featureCatalog(versionId, level = 'session') {
+  const version = getFeatureVersion(versionId);
+  const withGroup = (groups, catalog) => groups.flatMap(group => catalog[group].map(column => [...column, group]));
+
+  // Versions that leave flagged attempts out count them (see models/MotorSummary.js)
+  const flagCount = version.excludeFlagged
+    ? [['nFlagged', 'number', 'Outlier-flagged attempts (left out of the features)', 'outliers']]
+    : [];
+
+  let columns = [...withGroup(version.roundGroups, ROUND_GROUP_COLUMNS), ...flagCount];
+
+  if (level !== 'round') {
+    const rounds = [1, 2, 3].flatMap(round => columns.map(([name, type, description, group]) => (
+      [`r${round}_${name}`, type, `Round ${round}: ${description}`, group]
+    )));
+    columns = [...rounds, ...withGroup(version.sessionGroups, SESSION_GROUP_COLUMNS), ...flagCount];
+  }
+
+  return columns.map(([name, type, description, group]) => ({ name, type, description, group }));
+}
+
+/**
+ * Round features of one version
+ *
+ * @param {Array} attempts - the round's attempts
+ * @param {String} versionId
+ * @param {Object} ctx - { loadTrace: async () => round samples }
+ * @returns {Object} Features
+ */
+export async function computeRoundFeatureSet(attempts, versionId, ctx) {
+  const version = getFeatureVersion(versionId);
+  let features = {};
+  for (const group of version.roundGroups) {
+    features = { ...features, ...(await ROUND_GROUPS[group](attempts, ctx)) };
+  }
+  return features;
+}
+
+/**
+ * Session features of one version
+ *
+ * @param {Array} rounds - [round1, round2, round3] features of the same version
+ * @param {String} versionId
+ * @param {Object} ctx - { attempts: all of the session's attempts }
+ * @returns {Object} Features
+ */
+export function computeSessionFeatureSet(rounds, versionId, ctx = { attempts: [] }) {
+  const version = getFeatureVersion(versionId);
+  let features = {};
+  for (const group of version.sessionGroups) {
+    features = { ...features, ...SESSION_GROUPS[group](rounds, ctx) };
+  }
+  return features;
+}
+
+export default {
+  FEATURE_VERSIONS,
+  DEFAULT_FEATURE_VERSION,
+  getFeatureVersion,
+  keepsFlaggedAttempts,
+  currentFeatureVersion,
+  featureCatalog,
+  computeRoundFeatureSet,
+  computeSessionFeatureSet,
+};
@@ -0,0 +1,96 @@
+import { mean, sampleStd } from './stats.js';
+
+/**
+ * Fitts' Law Aggregates
+ *
+ * ISO 9241-9 effective measures over a set of attempts:
+ * - We  = 4.133 x SD of the endpoint deviations along the task axis
+ * - Ae  = mean effective amplitude
+ * - IDe = log2(Ae / We + 1)
+ * - TPe = IDe / mean movement time (s)
+ *
+ * Uses every clicked attempt with endpoint data, misses included, as the
+ * standard prescribes.
+ *
+ * And the Fitts' law regression MT = a + b * ID over hit attempts
+ * (a in ms, b in ms/bit), as reported in the literature.
+ */
+
+export const WE_FACTOR = 4.133;
+
+/**
+ * Effective width, ID and throughput
+ *
+ * @param {Array} attempts - attempts with fitts.endpointDx / fitts.Ae / timing.movementTimeMs
+ * @returns {Object} { We, Ae, IDe, TPe, nEffective } (null where undefined)
+ */
+export function effectiveFitts(attempts) {
+  const points = attempts.filter(a =>
+    a.click?.clicked &&
+    a.fitts?.endpointDx != null &&
+    a.fitts?.Ae != null &&
+    a.timing?.movementTimeMs != null
+  );
+
+  const sd = sampleStd(points.map(a => a.fitts.endpointDx));
+  const We = sd != null ? WE_FACTOR * sd : null;
+  const Ae = mean(points.map(a => a.fitts.Ae));
+  const IDe = We > 0 && Ae != null ? Math.log2(Math.max(Ae, 0) / We + 1) : null;
+  const mtSec = mean(points.map(a => a.timing.movementTimeMs)) / 1000;
+
+  return {
+    We,
+    Ae,
+    IDe,
+    TPe: IDe != null && mtSec > 0 ? IDe / mtSec : null,
+    nEffective: points.length,
+  };
+}
+
+/**
+ * Least-squares fit of MT = a + b * ID over hit attempts (nominal ID)
+ *
+ * @param {Array} attempts - attempts with fitts.ID and timing.movementTimeMs
+ * @returns {Object} { a, b, r2, residualSD, n } (null fields below 3 points
+ *                   or when all IDs are equal)
+ */
+export function fittsRegression(attempts) {
+  const points = attempts
+    .filter(a => a.click?.hit && a.fitts?.ID != null && a.timing?.movementTimeMs != null)
+    .map(a => ({ id: a.fitts.ID, mt: a.timing.movementTimeMs }));
+  const n = points.length;
+  const empty = { a: null, b: null, r2: null, residualSD: null, n };
+
+  if (n < 3) return empty;
+
+  const idMean = mean(points.map(p => p.id));
+  const mtMean = mean(points.map(p => p.mt));
+  let sxx = 0;
+  let sxy = 0;
+  let syy = 0;
+  for (const p of points) {
+    sxx += (p.id - idMean) ** 2;
+    sxy += (p.id - idMean) * (p.mt - mtMean);
+    syy += (p.mt - mtMean) ** 2;
+  }
+
+  if (sxx === 0) return empty;
+
+  const b = sxy / sxx;
+  const a = mtMean - b * idMean;
+  const ssRes = points.reduce((sum, p) => sum + (p.mt - (a + b * p.id)) ** 2, 0);
+
+  return {
+    a,
+    b,
+    r2: syy > 0 ? 1 - ssRes / syy : null,
+    residualSD: Math.sqrt(ssRes / (n - 2)),
+    n,
+  };
+}
+
+export default {
+  WE_FACTOR,
+  effectiveFitts,
+  fittsRegression,
+};
@@ -0,0 +1,144 @@
+import { mean, median, quantile } from './stats.js';
+
+/**
+ * Miss Taxonomy Features
+ *
+ * What kind of misses a player makes separates inaccurate clicking from
+ * slow responding:
+ * - Miss mix: bubble_miss / stage_miss / timeout rates over all attempts
+ * - Near misses: error distance in target radii for clicked non-hits
+ * - Stage-miss clustering: where clicks that hit no bubble land
+ * - Timeouts by bubble column and by speed (slower vs faster half)
+ */
+
+const NEAR_MISS_RADII = 2;  // a miss within 2 radii of the target centre is "near"
+
+// Bubble columns 0..9 have a fixed timeoutRate_col<N> export column
+// (see featureCatalog in utils/featureVersions.js)
+export const TIMEOUT_RATE_COLUMNS = 10;
+
+// Helper: attempt timed out (no click before the bubble left)
+const isTimeout = a => a.click?.missType === 'timeout' || (!a.click?.clicked && !a.click?.hit);
+
+// Helper: click distance from the target centre in radii
+function errorRadii(a) {
+  const { click, target } = a;
+  if (Number.isFinite(click?.x) && Number.isFinite(click?.y) && target?.radius > 0) {
+    return Math.hypot(click.x - target.x, click.y - target.y) / target.radius;
+  }
+  return a.spatial?.errorDistNorm ?? null;
+}
+
+// Helper: Pearson correlation
+function correlation(xs, ys) {
+  if (xs.length < 3) return null;
+  const mx = mean(xs);
+  const my = mean(ys);
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  for (let i = 0; i < xs.length; i++) {
+    sxy += (xs[i] - mx) * (ys[i] - my);
+    sxx += (xs[i] - mx) ** 2;
+    syy += (ys[i] - my) ** 2;
+  }
+  return sxx > 0 && syy > 0 ? sxy / Math.sqrt(sxx * syy) : null;
+}
+
+// Helper: spread of stage-miss click positions
+function stageMissClusters(stageMisses) {
+  const points = stageMisses
+    .filter(a => Number.isFinite(a.click?.x) && Number.isFinite(a.click?.y))
+    .map(a => ({ x: a.click.x, y: a.click.y, dx: a.click.x - a.target.x, dy: a.click.y - a.target.y }));
+
+  if (points.length === 0) {
+    return {
+      stageMiss_centroidX: null,
+      stageMiss_centroidY: null,
+      stageMiss_dispersion: null,
+      stageMiss_meanNNDist: null,
+      stageMiss_biasX: null,
+      stageMiss_biasY: null,
+    };
+  }
+
+  const cx = mean(points.map(p => p.x));
+  const cy = mean(points.map(p => p.y));
+
+  // Mean distance to the nearest other stage miss (small = clustered)
+  const nnDists = points.length > 1
+    ? points.map((p, i) => Math.min(...points.filter((_, j) => j !== i).map(q => Math.hypot(p.x - q.x, p.y - q.y))))
+    : [];
+
+  return {
+    stageMiss_centroidX: cx,
+    stageMiss_centroidY: cy,
+    stageMiss_dispersion: Math.sqrt(mean(points.map(p => (p.x - cx) ** 2 + (p.y - cy) ** 2))),
+    stageMiss_meanNNDist: mean(nnDists),
+    // Systematic offset from the intended target
+    stageMiss_biasX: mean(points.map(p => p.dx)),
+    stageMiss_biasY: mean(points.map(p => p.dy)),
+  };
+}
+
+/**
+ * Miss features of a set of attempts
+ *
+ * @param {Array} attempts
+ * @returns {Object} Flat features
+ */
+export function missFeatures(attempts) {
+  const n = attempts.length;
+  const misses = attempts.filter(a => !a.click?.hit);
+  const bubbleMisses = misses.filter(a => a.click?.missType === 'bubble_miss');
+  const stageMisses = misses.filter(a => a.click?.missType === 'stage_miss');
+  const timeouts = misses.filter(isTimeout);
+
+  const rate = count => (n > 0 ? count / n : null);
+
+  // Near misses: clicked but not hit
+  const nearDists = misses
+    .filter(a => a.click?.clicked)
+    .map(errorRadii)
+    .filter(v => v != null);
+
+  const features = {
+    bubbleMissRate: rate(bubbleMisses.length),
+    stageMissRate: rate(stageMisses.length),
+    timeoutRate: rate(timeouts.length),
+    otherMissRate: rate(misses.length - bubbleMisses.length - stageMisses.length - timeouts.length),
+
+    nearMiss_n: nearDists.length,
+    nearMiss_mean: mean(nearDists),
+    nearMiss_median: median(nearDists),
+    nearMiss_p25: quantile(nearDists, 0.25),
+    nearMiss_p75: quantile(nearDists, 0.75),
+    nearMiss_within2R: nearDists.length ? nearDists.filter(d => d <= NEAR_MISS_RADII).length / nearDists.length : null,
+
+    stageMiss_n: stageMisses.length,
+    ...stageMissClusters(stageMisses),
+  };
+
+  // Timeouts by column
+  const columns = [...new Set(attempts.map(a => a.column).filter(c => c != null))].sort((a, b) => a - b);
+  for (const column of columns) {
+    const inColumn = attempts.filter(a => a.column === column);
+    features[`timeoutRate_col${column}`] = inColumn.filter(isTimeout).length / inColumn.length;
+  }
+
+  // Timeouts by speed: slower vs faster half, and correlation
+  const withSpeed = attempts.filter(a => a.speedNorm != null);
+  const speedMedian = median(withSpeed.map(a => a.speedNorm));
+  const slow = withSpeed.filter(a => a.speedNorm <= speedMedian);
+  const fast = withSpeed.filter(a => a.speedNorm > speedMedian);
+  features.timeoutRate_slow = slow.length ? slow.filter(isTimeout).length / slow.length : null;
+  features.timeoutRate_fast = fast.length ? fast.filter(isTimeout).length / fast.length : null;
+  features.timeoutSpeedCorr = correlation(withSpeed.map(a => a.speedNorm), withSpeed.map(a => (isTimeout(a) ? 1 : 0)));
+
+  return features;
+}
+
+export default {
+  TIMEOUT_RATE_COLUMNS,
+  missFeatures,
+};
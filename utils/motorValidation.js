@@ -0,0 +1,241 @@
+/**
+ * Per-item Validation for Motor Uploads
+ *
+ * Checks every pointer sample / attempt of a batch BEFORE it is accepted,
+ * so one bad item no longer makes Mongoose reject the whole batch in the
+ * background. Valid items are kept; invalid ones are reported by their
+ * index in the uploaded array together with the reasons.
+ *
+ * Values the Mongoose schemas always cast are cast here first, so existing
+ * clients keep working: numeric strings for numbers, 'true'/'false' for
+ * booleans and numbers for string IDs.
+ */
+
+const ROUNDS = [1, 2, 3];
+const POINTER_TYPES = ['mouse', 'touch', 'pen', 'unknown'];
+const MISS_TYPES = ['hit', 'bubble_miss', 'stage_miss', 'timeout', 'unknown'];
+const MAX_COALESCED = 64;
+
+// Helper: finite number (numeric strings are cast before checking)
+const isNum = v => typeof v === 'number' && Number.isFinite(v);
+const isObj = v => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+// ===== Casting (what the Mongoose schemas accept) =====
+
+const toNum = v => (typeof v === 'string' && v.trim() !== '' && Number.isFinite(Number(v)) ? Number(v) : v);
+const toBool = v => (v === 'true' ? true : v === 'false' ? false : v);
+const toStr = v => (isNum(v) ? String(v) : v);
+
+// Helper: copy of obj with the given keys cast (missing keys left out)
+function cast(obj, keys, to) {
+  const copy = { ...obj };
+  for (const key of keys) {
+    if (copy[key] !== undefined && copy[key] !== null) copy[key] = to(copy[key]);
+  }
+  return copy;
+}
+
+/**
+ * Pointer sample with schema-castable values cast (other values untouched)
+ */
+export function castSample(sample) {
+  if (!isObj(sample)) return sample;
+
+  let copy = cast(sample, ['round', 'tms', 'x', 'y', 'pressure', 'tiltX', 'tiltY', 'buttons', 'width', 'height'], toNum);
+  copy = cast(copy, ['isDown'], toBool);
+  if (Array.isArray(copy.coalesced)) {
+    copy.coalesced = copy.coalesced.map(c => (isObj(c) ? cast(c, ['tms', 'x', 'y', 'pressure'], toNum) : c));
+  }
+  return copy;
+}
+
+/**
+ * Attempt with schema-castable values cast (other values untouched)
+ */
+export function castAttempt(attempt) {
+  if (!isObj(attempt)) return attempt;
+
+  let copy = cast(attempt, ['round', 'spawnTms', 'despawnTms', 'ttlMs', 'column', 'speedNorm'], toNum);
+  copy = cast(copy, ['attemptId', 'bubbleId'], toStr);
+  if (isObj(copy.target)) copy.target = cast(copy.target, ['x', 'y', 'radius'], toNum);
+  if (isObj(copy.spawn)) copy.spawn = cast(copy.spawn, ['x', 'y'], toNum);
+  if (isObj(copy.click)) {
+    copy.click = cast(cast(copy.click, ['tms', 'x', 'y'], toNum), ['clicked', 'hit'], toBool);
+  }
+  return copy;
+}
+
+function checkRound(value, reasons) {
+  if (!ROUNDS.includes(value)) {
+    reasons.push(`round must be one of ${ROUNDS.join(', ')} (got ${JSON.stringify(value)})`);
+  }
+}
+
+function checkOptional(obj, key, test, message, reasons, prefix = '') {
+  if (obj[key] !== undefined && obj[key] !== null && !test(obj[key])) {
+    reasons.push(`${prefix}${key} ${message} (got ${JSON.stringify(obj[key])})`);
+  }
+}
+
+/**
+ * Reasons why a pointer sample is invalid (empty if valid)
+ */
+export function checkSample(sample) {
+  if (!isObj(sample)) return ['sample must be an object'];
+
+  const reasons = [];
+  checkRound(sample.round, reasons);
+
+  if (!isNum(sample.tms)) {
+    reasons.push(`tms must be a number (got ${JSON.stringify(sample.tms)})`);
+  }
+  for (const key of ['x', 'y']) {
+    if (!isNum(sample[key]) || sample[key] < 0 || sample[key] > 1) {
+      reasons.push(`${key} must be a number in 0..1 (got ${JSON.stringify(sample[key])})`);
+    }
+  }
+
+  checkOptional(sample, 'isDown', v => typeof v === 'boolean', 'must be a boolean', reasons);
+  checkOptional(sample, 'pointerType', v => POINTER_TYPES.includes(v), `must be one of ${POINTER_TYPES.join(', ')}`, reasons);
+
+  // Optional PointerEvent details
+  const isUnit = v => isNum(v) && v >= 0 && v <= 1;
+  const isTilt = v => isNum(v) && v >= -90 && v <= 90;
+  const isSize = v => isNum(v) && v >= 0;
+  checkOptional(sample, 'pressure', isUnit, 'must be a number in 0..1', reasons);
+  checkOptional(sample, 'tiltX', isTilt, 'must be a number in -90..90', reasons);
+  checkOptional(sample, 'tiltY', isTilt, 'must be a number in -90..90', reasons);
+  checkOptional(sample, 'buttons', v => Number.isInteger(v) && v >= 0, 'must be a non-negative integer', reasons);
+  checkOptional(sample, 'width', isSize, 'must be a non-negative number', reasons);
+  checkOptional(sample, 'height', isSize, 'must be a non-negative number', reasons);
+
+  if (sample.coalesced !== undefined && sample.coalesced !== null) {
+    if (!Array.isArray(sample.coalesced)) {
+      reasons.push('coalesced must be an array');
+    } else if (sample.coalesced.length > MAX_COALESCED) {
+      reasons.push(`coalesced must have at most ${MAX_COALESCED} entries (got ${sample.coalesced.length})`);
+    } else {
+      sample.coalesced.forEach((c, i) => {
+        const prefix = `coalesced[${i}].`;
+        if (!isObj(c)) {
+          reasons.push(`${prefix.slice(0, -1)} must be an object`);
+          return;
+        }
+        if (!isNum(c.tms)) reasons.push(`${prefix}tms must be a number (got ${JSON.stringify(c.tms)})`);
+        for (const key of ['x', 'y']) {
+          if (!isUnit(c[key])) reasons.push(`${prefix}${key} must be a number in 0..1 (got ${JSON.stringify(c[key])})`);
+        }
+        checkOptional(c, 'pressure', isUnit, 'must be a number in 0..1', reasons, prefix);
+      });
+    }
+  }
+
+  return reasons;
+}
+
+/**
+ * Reasons why an attempt is invalid (empty if valid)
+ */
+export function checkAttempt(attempt) {
+  if (!isObj(attempt)) return ['attempt must be an object'];
+
+  const reasons = [];
+  checkRound(attempt.round, reasons);
+
+  for (const key of ['attemptId', 'bubbleId']) {
+    if (typeof attempt[key] !== 'string' || attempt[key].length === 0) {
+      reasons.push(`${key} is required`);
+    }
+  }
+  if (!isNum(attempt.spawnTms)) {
+    reasons.push(`spawnTms must be a number (got ${JSON.stringify(attempt.spawnTms)})`);
+  }
+  for (const key of ['despawnTms', 'ttlMs', 'column', 'speedNorm']) {
+    checkOptional(attempt, key, isNum, 'must be a number', reasons);
+  }
+
+  // Target
+  if (!isObj(attempt.target)) {
+    reasons.push('target is required');
+  } else {
+    for (const key of ['x', 'y', 'radius']) {
+      if (!isNum(attempt.target[key])) {
+        reasons.push(`target.${key} must be a number (got ${JSON.stringify(attempt.target[key])})`);
+      }
+    }
+  }
+
+  // Spawn position (optional, for the moving-target model)
+  if (attempt.spawn !== undefined && attempt.spawn !== null) {
+    if (!isObj(attempt.spawn)) {
+      reasons.push('spawn must be an object');
+    } else {
+      for (const key of ['x', 'y']) {
+        checkOptional(attempt.spawn, key, isNum, 'must be a number', reasons, 'spawn.');
+      }
+    }
+  }
+
+  // Click outcome
+  if (attempt.click !== undefined && attempt.click !== null) {
+    if (!isObj(attempt.click)) {
+      reasons.push('click must be an object');
+    } else {
+      const { click } = attempt;
+      checkOptional(click, 'clicked', v => typeof v === 'boolean', 'must be a boolean', reasons, 'click.');
+      checkOptional(click, 'hit', v => typeof v === 'boolean', 'must be a boolean', reasons, 'click.');
+      checkOptional(click, 'missType', v => MISS_TYPES.includes(v), `must be one of ${MISS_TYPES.join(', ')}`, reasons, 'click.');
+      for (const key of ['tms', 'x', 'y']) {
+        checkOptional(click, key, isNum, 'must be a number', reasons, 'click.');
+      }
+      if (click.clicked && !isNum(click.tms)) {
+        reasons.push('click.tms is required when click.clicked is true');
+      }
+    }
+  }
+
+  return reasons;
+}
+
+// Helper: split items into valid (cast) ones and a rejection report
+function partition(items, castItem, check) {
+  const valid = [];
+  const rejected = [];
+
+  items.forEach((raw, index) => {
+    const item = castItem(raw);
+    const reasons = check(item);
+    if (reasons.length === 0) {
+      valid.push(item);
+    } else {
+      rejected.push({ index, reasons });
+    }
+  });
+
+  return { valid, rejected };
+}
+
+/**
+ * Validate a batch of pointer samples
+ * @returns {Object} { valid: [...samples], rejected: [{ index, reasons }] }
+ */
+export function validateSamples(samples) {
+  return partition(samples, castSample, checkSample);
+}
+
+/**
+ * Validate a batch of attempts
+ * @returns {Object} { valid: [...attempts], rejected: [{ index, reasons }] }
+ */
+export function validateAttempts(attempts) {
+  return partition(attempts, castAttempt, checkAttempt);
+}
+
+export default {
+  castSample,
+  castAttempt,
+  checkSample,
+  checkAttempt,
+  validateSamples,
+  validateAttempts,
+};
@@ -0,0 +1,97 @@
+import { mean, sampleStd, quantile } from './stats.js';
+
+/**
+ * Population Norms for Motor Features
+ *
+ * Reference distributions of a few key session features, stored as
+ * percentile grids (p0..p100) per stratum, and percentile ranks against
+ * them. Strata are ageBucket x pointerPrimary, plus their marginals
+ * ('all') for strata too small to be useful.
+ */
+
+// Session-level values: mean over the rounds the session played
+const roundMean = key => features => mean(
+  [1, 2, 3].map(r => features?.[`r${r}_${key}`]).filter(v => typeof v === 'number' && Number.isFinite(v))
+);
+
+export const NORM_FEATURES = {
+  throughput: { value: roundMean('throughput_mean'), higherIsBetter: true },
+  errorDist: { value: roundMean('errorDist_mean'), higherIsBetter: false },
+  jerkRMS: { value: roundMean('jerkRMS_mean'), higherIsBetter: false },
+  hitRate: { value: roundMean('hitRate'), higherIsBetter: true },
+};
+
+export const ALL = 'all';
+
+/**
+ * Norm feature values of a session summary
+ *
+ * @param {Object} features - session summary features
+ * @returns {Object} { featureName: value|null }
+ */
+export function normValues(features) {
+  return Object.fromEntries(Object.entries(NORM_FEATURES).map(([name, def]) => [name, def.value(features)]));
+}
+
+/**
+ * Strata a session belongs to (exact stratum first, 'all' last)
+ */
+export function sessionStrata(session) {
+  const ageBucket = session?.userInfo?.ageBucket || 'unknown';
+  const pointerPrimary = session?.device?.pointerPrimary || 'unknown';
+  return [
+    { ageBucket, pointerPrimary },
+    { ageBucket, pointerPrimary: ALL },
+    { ageBucket: ALL, pointerPrimary },
+    { ageBucket: ALL, pointerPrimary: ALL },
+  ];
+}
+
+/**
+ * Reference distribution of one feature
+ *
+ * @param {Array} values - non-null values
+ * @returns {Object} { n, mean, sd, quantiles: [p0, p1, ..., p100] }
+ */
+export function buildDistribution(values) {
+  return {
+    n: values.length,
+    mean: mean(values),
+    sd: sampleStd(values),
+    quantiles: values.length ? Array.from({ length: 101 }, (_, p) => quantile(values, p / 100)) : [],
+  };
+}
+
+/**
+ * Percentile rank (0..100) of a value in a distribution
+ * Ties (flat stretches of the grid) get the middle of the stretch.
+ *
+ * @returns {Number|null}
+ */
+export function percentileRank(value, distribution) {
+  const q = distribution?.quantiles;
+  if (value == null || !q?.length) return null;
+  if (value < q[0]) return 0;
+  if (value > q[100]) return 100;
+
+  // First grid point >= value, and first grid point > value
+  let first = 0;
+  while (q[first] < value) first++;
+  let next = first;
+  while (next <= 100 && q[next] === value) next++;
+
+  // On grid points first..next-1 (equal values): their middle
+  if (next > first) return (first + next - 1) / 2;
+
+  // Strictly between q[first - 1] and q[first]
+  return first - 1 + (value - q[first - 1]) / (q[first] - q[first - 1]);
+}
+
+export default {
+  NORM_FEATURES,
+  ALL,
+  normValues,
+  sessionStrata,
+  buildDistribution,
+  percentileRank,
+};
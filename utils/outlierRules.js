@@ -0,0 +1,117 @@
+/**
+ * Attempt Outlier Rules
+ *
+ * Flags impossible or junk attempts so they can be left out of summaries:
+ * - fastReaction:  reaction time below `minMs` (anticipation, double taps)
+ * - clickAfterTtl: click later than the bubble's `ttlMs` (+ `graceMs`)
+ * - zeroPath:      clicked without the pointer moving (path shorter than
+ *                  `minPathNorm`), e.g. a tab that regained focus
+ *
+ * Rule sets are plain objects ({ ruleName: params }) parsed from specs such
+ * as "fastReaction:minMs=120;zeroPath" (as used in MOTOR_OUTLIER_RULES).
+ * Flags are stored on the attempt as [{ rule, reason }].
+ */
+
+export const OUTLIER_RULE_DEFAULTS = {
+  fastReaction: { minMs: 100 },
+  clickAfterTtl: { graceMs: 50 },
+  zeroPath: { minPathNorm: 0.001 },
+};
+
+const RULES = {
+  fastReaction(attempt, { minMs }) {
+    const rt = attempt.timing?.reactionTimeMs;
+    if (!attempt.click?.clicked || rt == null || rt >= minMs) return null;
+    return `reactionTimeMs ${Math.round(rt)} < ${minMs}`;
+  },
+
+  clickAfterTtl(attempt, { graceMs }) {
+    const { click, spawnTms, ttlMs } = attempt;
+    if (!click?.clicked || click.tms == null || spawnTms == null || !(ttlMs > 0)) return null;
+    const elapsed = click.tms - spawnTms;
+    if (elapsed <= ttlMs + graceMs) return null;
+    return `clicked ${Math.round(elapsed)} ms after spawn (ttlMs ${ttlMs})`;
+  },
+
+  // Needs the trace: only attempts with full features have a path length
+  zeroPath(attempt, { minPathNorm }) {
+    const path = attempt.spatial?.pathLengthNorm;
+    if (!attempt.click?.clicked || attempt.featureStatus !== 'full' || path == null || path >= minPathNorm) return null;
+    return `pathLengthNorm ${path.toFixed(4)} < ${minPathNorm}`;
+  },
+};
+
+/**
+ * Parse a rule spec into a rule set. "default" (or empty) enables every rule
+ * with its defaults, "none" disables flagging; otherwise rules are separated
+ * by ";" with optional "key=value" parameters after ":".
+ *
+ * @param {String|Object} spec
+ * @returns {Object} { ruleName: params }
+ */
+export function resolveOutlierRules(spec) {
+  if (spec && typeof spec === 'object') {
+    const rules = {};
+    for (const [name, params] of Object.entries(spec)) {
+      if (!(name in OUTLIER_RULE_DEFAULTS)) throw new Error(`Unknown outlier rule "${name}"`);
+      rules[name] = { ...OUTLIER_RULE_DEFAULTS[name], ...params };
+    }
+    return rules;
+  }
+
+  const text = String(spec || 'default').trim();
+  if (text === 'default') {
+    return resolveOutlierRules(Object.fromEntries(Object.keys(OUTLIER_RULE_DEFAULTS).map(name => [name, {}])));
+  }
+  if (text === 'none') {
+    return {};
+  }
+
+  const rules = {};
+  for (const part of text.split(';').map(p => p.trim()).filter(Boolean)) {
+    const [name, paramPart] = part.split(':');
+    if (!(name in OUTLIER_RULE_DEFAULTS)) {
+      throw new Error(`Unknown outlier rule "${name}" (expected one of ${Object.keys(OUTLIER_RULE_DEFAULTS).join(', ')})`);
+    }
+    rules[name] = { ...OUTLIER_RULE_DEFAULTS[name] };
+    for (const pair of (paramPart || '').split(',').filter(Boolean)) {
+      const [key, value] = pair.split('=');
+      const num = parseFloat(value);
+      if (!(key in OUTLIER_RULE_DEFAULTS[name]) || !Number.isFinite(num)) {
+        throw new Error(`Invalid ${name} parameter "${pair}"`);
+      }
+      rules[name][key] = num;
+    }
+  }
+  return rules;
+}
+
+/**
+ * Apply a rule set to one attempt (with its derived features)
+ *
+ * @param {Object} attempt
+ * @param {Object} rules - from resolveOutlierRules
+ * @returns {Array} [{ rule, reason }], empty if the attempt looks fine
+ */
+export function flagAttempt(attempt, rules) {
+  const flags = [];
+  for (const [rule, params] of Object.entries(rules)) {
+    const reason = RULES[rule](attempt, params);
+    if (reason) flags.push({ rule, reason });
+  }
+  return flags;
+}
+
+/**
+ * Attempts that go into summaries: unflagged ones, unless includeFlagged
+ */
+export function selectAttempts(attempts, { includeFlagged = false } = {}) {
+  return includeFlagged ? attempts : attempts.filter(a => !(a.flags?.length > 0));
+}
+
+export default {
+  OUTLIER_RULE_DEFAULTS,
+  resolveOutlierRules,
+  flagAttempt,
+  selectAttempts,
+};
@@ -0,0 +1,95 @@
+/**
+ * Cursor Path Accuracy Measures
+ *
+ * MacKenzie, Kauppinen & Silfverberg (2001), "Accuracy measures for
+ * evaluating computer pointing devices". The path is expressed in task-axis
+ * coordinates: `along` the line from movement start to the target and `off`
+ * it (signed perpendicular distance). For a rising bubble the axis ends where
+ * it was intercepted; target entries use its position at each sample.
+ *
+ * - TRE: target re-entries (entries into the target after the first)
+ * - TAC: task-axis crossings
+ * - MDC: movement direction changes (perpendicular to the axis)
+ * - ODC: orthogonal direction changes (along the axis)
+ * - MV:  movement variability, SD of `off`
+ * - ME:  movement error, mean |off|
+ * - MO:  movement offset, mean off
+ *
+ * MV, ME and MO are in normalized units.
+ */
+
+// Helper: sign changes in a sequence, zeros skipped
+function signChanges(values) {
+  let changes = 0;
+  let last = 0;
+  for (const v of values) {
+    const sign = Math.sign(v);
+    if (sign === 0) continue;
+    if (last !== 0 && sign !== last) changes++;
+    last = sign;
+  }
+  return changes;
+}
+
+/**
+ * Path accuracy of one movement
+ *
+ * @param {Array} moveSeg - samples from movement start to the click
+ * @param {Object} params
+ * @param {Object} params.path - target path from buildTargetPath
+ * @param {Number} params.radius - target radius (normalized)
+ * @param {Number} params.clickTms - interception time (end of the task axis)
+ * @returns {Object} { TRE, TAC, MDC, ODC, MV, ME, MO }, empty if the axis is degenerate
+ */
+export function pathAccuracy(moveSeg, { path, radius, clickTms }) {
+  if (moveSeg.length < 2) return {};
+
+  const start = moveSeg[0];
+  const end = path.at(clickTms);
+  const length = Math.hypot(end.x - start.x, end.y - start.y);
+  if (!(length > 0)) return {};
+
+  const ux = (end.x - start.x) / length;
+  const uy = (end.y - start.y) / length;
+  const along = moveSeg.map(s => (s.x - start.x) * ux + (s.y - start.y) * uy);
+  const off = moveSeg.map(s => (s.y - start.y) * ux - (s.x - start.x) * uy);
+
+  // Target entries
+  let entries = 0;
+  let inside = false;
+  for (const s of moveSeg) {
+    const target = path.at(s.tms);
+    const isInside = Math.hypot(s.x - target.x, s.y - target.y) <= radius;
+    if (isInside && !inside) entries++;
+    inside = isInside;
+  }
+
+  const offSteps = [];
+  const alongSteps = [];
+  for (let i = 1; i < moveSeg.length; i++) {
+    offSteps.push(off[i] - off[i - 1]);
+    alongSteps.push(along[i] - along[i - 1]);
+  }
+
+  // The start lies on the axis, so it is left out of the off-axis statistics
+  const offPath = off.slice(1);
+  const MO = offPath.reduce((a, b) => a + b, 0) / offPath.length;
+  const ME = offPath.reduce((a, b) => a + Math.abs(b), 0) / offPath.length;
+  const MV = offPath.length > 1
+    ? Math.sqrt(offPath.reduce((a, b) => a + (b - MO) ** 2, 0) / (offPath.length - 1))
+    : null;
+
+  return {
+    TRE: Math.max(entries - 1, 0),
+    TAC: signChanges(offPath),
+    MDC: signChanges(offSteps),
+    ODC: signChanges(alongSteps),
+    MV,
+    ME,
+    MO,
+  };
+}
+
+export default {
+  pathAccuracy,
+};
@@ -0,0 +1,112 @@
+/**
+ * Round Replay Timeline
+ *
+ * Merges a round's pointer samples and bubble attempts into a single
+ * time-ordered event stream a viewer can play back frame by frame:
+ *
+ * - spawn:   bubble appears (target, column, speed, ttl)
+ * - pointer: one pointer sample
+ * - click:   click with its outcome (hit / missType)
+ * - despawn: bubble leaves (popped by a hit, timed out, or despawnTms)
+ *
+ * Events with the same tms keep the order spawn, pointer, click, despawn.
+ */
+
+const TYPE_ORDER = { spawn: 0, pointer: 1, click: 2, despawn: 3 };
+
+// Helper: when and why a bubble left the stage
+function despawnOf(attempt) {
+  const click = attempt.click || {};
+
+  if (click.hit && click.tms != null) {
+    return { tms: attempt.despawnTms ?? click.tms, reason: 'hit' };
+  }
+  if (attempt.despawnTms != null) {
+    return { tms: attempt.despawnTms, reason: click.missType === 'timeout' ? 'timeout' : 'despawn' };
+  }
+  if (attempt.ttlMs != null) {
+    return { tms: attempt.spawnTms + attempt.ttlMs, reason: 'timeout' };
+  }
+  return null;
+}
+
+/**
+ * Build the replay event stream for one round
+ *
+ * @param {Array} samples - pointer samples of the round
+ * @param {Array} attempts - attempts of the round
+ * @returns {Object} { startTms, endTms, counts, events }
+ */
+export function buildReplayTimeline(samples, attempts) {
+  const events = [];
+
+  for (const s of samples) {
+    events.push({
+      type: 'pointer',
+      tms: s.tms,
+      x: s.x,
+      y: s.y,
+      isDown: s.isDown,
+      pointerType: s.pointerType,
+    });
+  }
+
+  for (const a of attempts) {
+    events.push({
+      type: 'spawn',
+      tms: a.spawnTms,
+      attemptId: a.attemptId,
+      bubbleId: a.bubbleId,
+      column: a.column,
+      speedNorm: a.speedNorm,
+      ttlMs: a.ttlMs,
+      target: a.target,
+      spawn: a.spawn,
+    });
+
+    const click = a.click || {};
+    if (click.clicked && click.tms != null) {
+      events.push({
+        type: 'click',
+        tms: click.tms,
+        attemptId: a.attemptId,
+        bubbleId: a.bubbleId,
+        x: click.x,
+        y: click.y,
+        hit: !!click.hit,
+        missType: click.missType,
+        errorDistNorm: a.spatial?.errorDistNorm,
+      });
+    }
+
+    const despawn = despawnOf(a);
+    if (despawn) {
+      events.push({
+        type: 'despawn',
+        tms: despawn.tms,
+        attemptId: a.attemptId,
+        bubbleId: a.bubbleId,
+        reason: despawn.reason,
+      });
+    }
+  }
+
+  events.sort((a, b) => (a.tms - b.tms) || (TYPE_ORDER[a.type] - TYPE_ORDER[b.type]));
+
+  const counts = { spawn: 0, pointer: 0, click: 0, despawn: 0, hits: 0, misses: 0 };
+  for (const e of events) {
+    counts[e.type]++;
+    if (e.type === 'click') e.hit ? counts.hits++ : counts.misses++;
+  }
+
+  return {
+    startTms: events.length ? events[0].tms : null,
+    endTms: events.length ? events[events.length - 1].tms : null,
+    counts,
+    events,
+  };
+}
+
+export default {
+  buildReplayTimeline,
+};
@@ -0,0 +1,207 @@
+import { solveLinear } from './stats.js';
+
+/**
+ * Signal Filters for Kinematic Derivatives
+ *
+ * Finite differences amplify sampling noise (jerk is a third derivative),
+ * so the x/y trace can be smoothed before velocity, acceleration and jerk
+ * are computed. All filters expect uniformly sampled input.
+ *
+ * - none:        no filtering
+ * - savgol:      Savitzky-Golay, local polynomial fit (`window` odd, `order`)
+ * - butterworth: low-pass (`cutoffHz`, `order` 2 or 4) run forward and
+ *                backward (filtfilt) so it adds no phase lag
+ *
+ * Configs are plain objects, e.g. { type: 'savgol', window: 7, order: 2 },
+ * and are stored next to the features they produced.
+ */
+
+export const FILTER_TYPES = ['none', 'savgol', 'butterworth'];
+
+export const FILTER_DEFAULTS = {
+  none: {},
+  savgol: { window: 7, order: 2 },
+  butterworth: { cutoffHz: 10, order: 2 },
+};
+
+/**
+ * Parse a filter spec such as "savgol", "savgol:window=9,order=3" or
+ * "butterworth:cutoffHz=8" (as used in MOTOR_FILTER) into a config.
+ * Missing parameters take their defaults.
+ *
+ * @param {String|Object} spec
+ * @returns {Object} Filter config
+ */
+export function resolveFilterConfig(spec) {
+  if (spec && typeof spec === 'object') {
+    const type = FILTER_TYPES.includes(spec.type) ? spec.type : 'none';
+    return { ...FILTER_DEFAULTS[type], ...spec, type };
+  }
+
+  const [typePart, paramPart] = String(spec || 'none').trim().split(':');
+  const type = typePart.toLowerCase();
+  if (!FILTER_TYPES.includes(type)) {
+    throw new Error(`Unknown filter "${typePart}" (expected one of ${FILTER_TYPES.join(', ')})`);
+  }
+
+  const config = { type, ...FILTER_DEFAULTS[type] };
+  for (const pair of (paramPart || '').split(',').filter(Boolean)) {
+    const [key, value] = pair.split('=');
+    const num = parseFloat(value);
+    if (!(key in FILTER_DEFAULTS[type]) || !Number.isFinite(num)) {
+      throw new Error(`Invalid ${type} filter parameter "${pair}"`);
+    }
+    config[key] = num;
+  }
+  return config;
+}
+
+/**
+ * Format a config back into its spec string, e.g. "butterworth:cutoffHz=8,order=2"
+ * (used to record the filter in summaries)
+ */
+export function formatFilterConfig(config) {
+  const type = config?.type || 'none';
+  const params = Object.keys(FILTER_DEFAULTS[type] || {})
+    .filter(key => config[key] != null)
+    .map(key => `${key}=${config[key]}`);
+  return params.length ? `${type}:${params.join(',')}` : type;
+}
+
+// ===== Savitzky-Golay =====
+
+// Helper: weights that evaluate a least-squares polynomial fit of the
+// window positions [0, w) at position `at`
+function savgolWeights(w, order, at) {
+  const p = Math.min(order, w - 1);
+  // Normal equations: (V^T V) c = V^T y, value at `at` is e(at) . c
+  const VtV = [];
+  for (let i = 0; i <= p; i++) {
+    VtV.push([]);
+    for (let j = 0; j <= p; j++) {
+      let sum = 0;
+      for (let k = 0; k < w; k++) sum += (k - at) ** (i + j);
+      VtV[i].push(sum);
+    }
+  }
+  // With positions centred on `at`, the value is the constant term c0
+  const weights = new Array(w);
+  for (let k = 0; k < w; k++) {
+    const rhs = [];
+    for (let i = 0; i <= p; i++) rhs.push((k - at) ** i);
+    weights[k] = solveLinear(VtV, rhs)[0];
+  }
+  return weights;
+}
+
+function savgol(values, { window = 7, order = 2 }) {
+  const n = values.length;
+  let w = Math.min(Math.round(window), n % 2 === 1 ? n : n - 1);
+  if (w % 2 === 0) w--;
+  if (w < 3 || order < 1) return values.slice();
+
+  const half = (w - 1) / 2;
+  const cache = new Map();
+  const out = new Array(n);
+
+  for (let i = 0; i < n; i++) {
+    // Centred window; at the edges the window stays inside the signal
+    const start = Math.min(Math.max(i - half, 0), n - w);
+    const at = i - start;
+    if (!cache.has(at)) cache.set(at, savgolWeights(w, order, at));
+    const weights = cache.get(at);
+
+    let sum = 0;
+    for (let k = 0; k < w; k++) sum += weights[k] * values[start + k];
+    out[i] = sum;
+  }
+  return out;
+}
+
+// ===== Butterworth =====
+
+// Helper: biquad low-pass sections (bilinear transform)
+function butterworthSections(cutoffHz, fs, order) {
+  // Pole-pair Qs of 2nd / 4th order Butterworth prototypes
+  const qs = order >= 4 ? [0.5411961, 1.3065630] : [Math.SQRT1_2];
+  const w0 = (2 * Math.PI * cutoffHz) / fs;
+  const cos = Math.cos(w0);
+  const sin = Math.sin(w0);
+
+  return qs.map(q => {
+    const alpha = sin / (2 * q);
+    const a0 = 1 + alpha;
+    return {
+      b0: (1 - cos) / 2 / a0,
+      b1: (1 - cos) / a0,
+      b2: (1 - cos) / 2 / a0,
+      a1: (-2 * cos) / a0,
+      a2: (1 - alpha) / a0,
+    };
+  });
+}
+
+// Helper: run one section (transposed direct form II), started in steady state
+function runSection(values, { b0, b1, b2, a1, a2 }) {
+  const x0 = values[0];
+  let z2 = (b2 - a2) * x0;
+  let z1 = (b1 - a1) * x0 + z2;
+  const out = new Array(values.length);
+
+  for (let i = 0; i < values.length; i++) {
+    const x = values[i];
+    const y = b0 * x + z1;
+    z1 = b1 * x - a1 * y + z2;
+    z2 = b2 * x - a2 * y;
+    out[i] = y;
+  }
+  return out;
+}
+
+function butterworth(values, { cutoffHz = 10, order = 2 }, fs) {
+  const n = values.length;
+  if (!fs || n < 4 || !(cutoffHz > 0) || cutoffHz >= fs / 2) return values.slice();
+
+  // Odd reflection at both ends keeps the edges from ringing
+  const pad = Math.min(n - 1, 3 * (order + 1));
+  const head = [];
+  const tail = [];
+  for (let i = pad; i >= 1; i--) head.push(2 * values[0] - values[i]);
+  for (let i = n - 2; i >= n - 1 - pad; i--) tail.push(2 * values[n - 1] - values[i]);
+
+  let signal = [...head, ...values, ...tail];
+  const sections = butterworthSections(cutoffHz, fs, order);
+  for (const section of sections) signal = runSection(signal, section);
+  signal.reverse();
+  for (const section of sections) signal = runSection(signal, section);
+  signal.reverse();
+
+  return signal.slice(pad, pad + n);
+}
+
+/**
+ * Filter one uniformly sampled signal
+ *
+ * @param {Array} values
+ * @param {Object} config - from resolveFilterConfig
+ * @param {Number} fs - sampling rate (Hz), needed for butterworth
+ * @returns {Array} Filtered values (same length)
+ */
+export function applyFilter(values, config, fs) {
+  switch (config?.type) {
+    case 'savgol':
+      return savgol(values, config);
+    case 'butterworth':
+      return butterworth(values, config, fs);
+    default:
+      return values.slice();
+  }
+}
+
+export default {
+  FILTER_TYPES,
+  FILTER_DEFAULTS,
+  resolveFilterConfig,
+  formatFilterConfig,
+  applyFilter,
+};
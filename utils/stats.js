@@ -0,0 +1,61 @@
+/**
+ * Small statistics helpers shared by the motor analysis utilities.
+ * Callers filter out null/NaN values first.
+ */
+
+export const mean = arr => arr.length > 0 ? arr.reduce((a, b) => a + b, 0) / arr.length : null;
+
+// Population standard deviation (same convention as computeRoundFeatures)
+export const std = arr => {
+  if (arr.length < 2) return null;
+  const m = mean(arr);
+  return Math.sqrt(arr.reduce((sum, v) => sum + Math.pow(v - m, 2), 0) / arr.length);
+};
+
+// Sample standard deviation (n - 1)
+export const sampleStd = arr => {
+  if (arr.length < 2) return null;
+  const m = mean(arr);
+  return Math.sqrt(arr.reduce((sum, v) => sum + Math.pow(v - m, 2), 0) / (arr.length - 1));
+};
+
+// Linear-interpolated quantile, q in 0..1
+export const quantile = (arr, q) => {
+  if (arr.length === 0) return null;
+  const sorted = [...arr].sort((a, b) => a - b);
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+};
+
+export const median = arr => quantile(arr, 0.5);
+
+// Solve A x = b for a small dense system (Gaussian elimination, partial
+// pivoting); unknowns without a pivot come out as 0
+export const solveLinear = (A, b) => {
+  const n = b.length;
+  const M = A.map((row, i) => [...row, b[i]]);
+  for (let c = 0; c < n; c++) {
+    let pivot = c;
+    for (let r = c + 1; r < n; r++) {
+      if (Math.abs(M[r][c]) > Math.abs(M[pivot][c])) pivot = r;
+    }
+    [M[c], M[pivot]] = [M[pivot], M[c]];
+    for (let r = 0; r < n; r++) {
+      if (r === c || M[c][c] === 0) continue;
+      const f = M[r][c] / M[c][c];
+      for (let k = c; k <= n; k++) M[r][k] -= f * M[c][k];
+    }
+  }
+  return M.map((row, i) => (row[i] !== 0 ? row[n] / row[i] : 0));
+};
+
+export default {
+  mean,
+  std,
+  sampleStd,
+  quantile,
+  median,
+  solveLinear,
+};
@@ -0,0 +1,87 @@
+/**
+ * Moving Target Model
+ *
+ * Bubbles rise at a constant speed, so the attempt's `target` (its
+ * position when clicked) is only where the bubble ended up. This module
+ * rebuilds the bubble's path so distances can be taken to where the
+ * target actually was at each sample time:
+ *
+ * - Velocity: straight up at `speedNorm` (px/s divided by the smaller
+ *   screen side, see normalizeSpeed) converted to yNorm per second with
+ *   the screen size; without a screen size the stage is taken as square.
+ *   Without `speedNorm` it is derived from the spawn position instead.
+ * - Anchor: the spawn position at `spawnTms` when known, else `target`
+ *   at the click time.
+ * - Lifetime: positions are clamped to [spawnTms, spawnTms + ttlMs].
+ *
+ * With neither a speed nor a spawn position the target is stationary.
+ */
+
+const isNum = v => typeof v === 'number' && Number.isFinite(v);
+
+/**
+ * Build a target path
+ *
+ * @param {Object} params
+ * @param {Object} params.target - {x, y} position at clickTms (normalized)
+ * @param {Number} params.spawnTms - When the bubble spawned (ms)
+ * @param {Number} params.clickTms - When it was clicked (ms)
+ * @param {Number} params.speedNorm - Rise speed, normalized (optional)
+ * @param {Number} params.ttlMs - Bubble lifetime (optional)
+ * @param {Object} params.spawn - {x, y} spawn position, normalized (optional)
+ * @param {Object} params.screen - {width, height} used for normalization (optional)
+ *
+ * @returns {Object} { model, vx, vy, at(tms) => {x, y} } (v in norm units per second)
+ */
+export function buildTargetPath({
+  target,
+  spawnTms,
+  clickTms,
+  speedNorm = null,
+  ttlMs = null,
+  spawn = null,
+  screen = null,
+}) {
+  const hasSpawn = spawn && isNum(spawn.x) && isNum(spawn.y);
+  let vx = 0;
+  let vy = 0;
+
+  if (isNum(speedNorm) && speedNorm > 0) {
+    const { width, height } = screen || {};
+    const yScale = width > 0 && height > 0 ? Math.min(width, height) / height : 1;
+    vy = -speedNorm * yScale;
+  } else if (hasSpawn && clickTms > spawnTms) {
+    const sec = (clickTms - spawnTms) / 1000;
+    vx = (target.x - spawn.x) / sec;
+    vy = (target.y - spawn.y) / sec;
+  }
+
+  if (vx === 0 && vy === 0) {
+    return {
+      model: 'stationary',
+      vx,
+      vy,
+      at: () => ({ x: target.x, y: target.y }),
+    };
+  }
+
+  const anchor = hasSpawn
+    ? { tms: spawnTms, x: spawn.x, y: spawn.y }
+    : { tms: clickTms, x: target.x, y: target.y };
+  const endTms = isNum(ttlMs) ? spawnTms + ttlMs : Infinity;
+
+  return {
+    model: 'moving',
+    vx,
+    vy,
+    at(tms) {
+      const t = Math.min(Math.max(tms, spawnTms), endTms);
+      const sec = (t - anchor.tms) / 1000;
+      return { x: anchor.x + vx * sec, y: anchor.y + vy * sec };
+    },
+  };
+}
+
+export default {
+  buildTargetPath,
+};
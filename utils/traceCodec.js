@@ -0,0 +1,365 @@
+/**
+ * Compact Columnar Encoding for Pointer Samples
+ *
+ * Stores a bucket's samples as binary columns instead of one BSON
+ * subdocument (with repeated keys) per sample:
+ *
+ * - tms:         first value as float64, then zigzag varint deltas
+ *                (quantized to 1/TMS_SCALE ms)
+ * - x, y:        uint16, quantized over 0..1 (resolution ~1.5e-5)
+ * - isDown:      bitset, one bit per sample
+ * - round:       run-length encoded (value, run)
+ * - pointerType: run-length encoded (enum index, run)
+ *
+ * Optional PointerEvent fields (v2) are only written when at least one
+ * sample has them: a presence bitset followed by the present values.
+ *
+ * - pressure:      uint16 over 0..1
+ * - tiltX, tiltY:  int8 degrees
+ * - buttons:       varint
+ * - width, height: uint16 in 0.1 px steps
+ * - coalesced:     per sample a varint count, then per sub-sample the
+ *                  zigzag tms offset from the sample, x, y (uint16) and
+ *                  pressure (0 = absent, else uint16 + 1 as varint)
+ *
+ * Decoding returns the same plain objects the raw `samples` array holds,
+ * up to the quantization above. v1 columns decode unchanged.
+ */
+
+export const CODEC_VERSION = 2;
+
+const TMS_SCALE = 100;       // tms stored in 0.01 ms steps
+const COORD_SCALE = 65535;   // uint16 range for normalized coordinates
+const SIZE_SCALE = 10;       // contact size stored in 0.1 px steps
+
+export const POINTER_TYPES = ['mouse', 'touch', 'pen', 'unknown'];
+
+// ===== Varint helpers (arithmetic, safe beyond 32 bits) =====
+
+function writeVarint(out, value) {
+  let v = value;
+  while (v >= 128) {
+    out.push((v % 128) + 128);
+    v = Math.floor(v / 128);
+  }
+  out.push(v);
+}
+
+function readVarint(buf, state) {
+  let value = 0;
+  let factor = 1;
+  let byte;
+  do {
+    byte = buf[state.pos++];
+    value += (byte & 127) * factor;
+    factor *= 128;
+  } while (byte >= 128);
+  return value;
+}
+
+const zigzag = n => (n >= 0 ? 2 * n : -2 * n - 1);
+const unzigzag = z => (z % 2 === 0 ? z / 2 : -(z + 1) / 2);
+
+// Helper: BSON Binary (lean reads) or Buffer (documents) -> Buffer
+function toBuffer(value) {
+  if (!value) return Buffer.alloc(0);
+  if (Buffer.isBuffer(value)) return value;
+  if (typeof value.length === 'function') {
+    return Buffer.from(value.buffer.buffer, value.buffer.byteOffset, value.length());
+  }
+  return Buffer.from(value.buffer || value);
+}
+
+// ===== Column encoders / decoders =====
+
+function encodeTms(samples) {
+  const head = Buffer.alloc(8);
+  const out = [];
+  let prev = 0;
+
+  samples.forEach((s, i) => {
+    const q = Math.round(s.tms * TMS_SCALE);
+    if (i === 0) {
+      head.writeDoubleLE(q, 0);
+    } else {
+      writeVarint(out, zigzag(q - prev));
+    }
+    prev = q;
+  });
+
+  return Buffer.concat([head, Buffer.from(out)]);
+}
+
+function decodeTms(buf, count) {
+  const values = new Array(count);
+  if (count === 0) return values;
+
+  let q = buf.readDoubleLE(0);
+  const state = { pos: 8 };
+  values[0] = q / TMS_SCALE;
+
+  for (let i = 1; i < count; i++) {
+    q += unzigzag(readVarint(buf, state));
+    values[i] = q / TMS_SCALE;
+  }
+  return values;
+}
+
+function encodeCoord(samples, key) {
+  const buf = Buffer.alloc(samples.length * 2);
+  samples.forEach((s, i) => {
+    const v = Math.min(Math.max(Number(s[key]) || 0, 0), 1);
+    buf.writeUInt16LE(Math.round(v * COORD_SCALE), i * 2);
+  });
+  return buf;
+}
+
+function decodeCoord(buf, count) {
+  const values = new Array(count);
+  for (let i = 0; i < count; i++) {
+    values[i] = buf.readUInt16LE(i * 2) / COORD_SCALE;
+  }
+  return values;
+}
+
+function encodeBits(samples, key) {
+  const buf = Buffer.alloc(Math.ceil(samples.length / 8));
+  samples.forEach((s, i) => {
+    if (s[key]) buf[i >> 3] |= 1 << (i & 7);
+  });
+  return buf;
+}
+
+function decodeBits(buf, count) {
+  const values = new Array(count);
+  for (let i = 0; i < count; i++) {
+    values[i] = (buf[i >> 3] & (1 << (i & 7))) !== 0;
+  }
+  return values;
+}
+
+function encodeRuns(values) {
+  const out = [];
+  let i = 0;
+  while (i < values.length) {
+    let run = 1;
+    while (i + run < values.length && values[i + run] === values[i]) run++;
+    writeVarint(out, values[i]);
+    writeVarint(out, run);
+    i += run;
+  }
+  return Buffer.from(out);
+}
+
+function decodeRuns(buf, count) {
+  const values = [];
+  const state = { pos: 0 };
+  while (values.length < count && state.pos < buf.length) {
+    const value = readVarint(buf, state);
+    const run = readVarint(buf, state);
+    for (let k = 0; k < run; k++) values.push(value);
+  }
+  return values;
+}
+
+// Helper: 0..1 value -> uint16 and back
+const quantUnit = v => Math.round(Math.min(Math.max(Number(v) || 0, 0), 1) * COORD_SCALE);
+const unquantUnit = q => q / COORD_SCALE;
+
+// ===== Optional columns =====
+
+// Per-field value codecs: fixed-width (size/write/read) or varint
+const OPTIONAL_FIELDS = {
+  pressure: {
+    size: 2,
+    write: (buf, v, pos) => buf.writeUInt16LE(quantUnit(v), pos),
+    read: (buf, pos) => unquantUnit(buf.readUInt16LE(pos)),
+  },
+  tiltX: {
+    size: 1,
+    write: (buf, v, pos) => buf.writeInt8(Math.round(Math.min(Math.max(v, -90), 90)), pos),
+    read: (buf, pos) => buf.readInt8(pos),
+  },
+  tiltY: {
+    size: 1,
+    write: (buf, v, pos) => buf.writeInt8(Math.round(Math.min(Math.max(v, -90), 90)), pos),
+    read: (buf, pos) => buf.readInt8(pos),
+  },
+  buttons: {
+    varint: true,
+  },
+  width: {
+    size: 2,
+    write: (buf, v, pos) => buf.writeUInt16LE(Math.min(Math.round(v * SIZE_SCALE), 65535), pos),
+    read: (buf, pos) => buf.readUInt16LE(pos) / SIZE_SCALE,
+  },
+  height: {
+    size: 2,
+    write: (buf, v, pos) => buf.writeUInt16LE(Math.min(Math.round(v * SIZE_SCALE), 65535), pos),
+    read: (buf, pos) => buf.readUInt16LE(pos) / SIZE_SCALE,
+  },
+};
+
+const has = v => v !== undefined && v !== null;
+
+function encodeOptional(samples, key) {
+  const present = samples.filter(s => has(s[key]));
+  if (present.length === 0) return null;
+
+  const codec = OPTIONAL_FIELDS[key];
+  const bits = encodeBits(samples.map(s => ({ p: has(s[key]) })), 'p');
+
+  if (codec.varint) {
+    const out = [];
+    present.forEach(s => writeVarint(out, Math.max(0, Math.round(s[key]))));
+    return Buffer.concat([bits, Buffer.from(out)]);
+  }
+
+  const values = Buffer.alloc(present.length * codec.size);
+  present.forEach((s, i) => codec.write(values, s[key], i * codec.size));
+  return Buffer.concat([bits, values]);
+}
+
+function decodeOptional(buf, count, key) {
+  const codec = OPTIONAL_FIELDS[key];
+  const bitsLen = Math.ceil(count / 8);
+  const present = decodeBits(buf, count);
+  const values = new Array(count);
+  const state = { pos: bitsLen };
+
+  for (let i = 0; i < count; i++) {
+    if (!present[i]) continue;
+    if (codec.varint) {
+      values[i] = readVarint(buf, state);
+    } else {
+      values[i] = codec.read(buf, state.pos);
+      state.pos += codec.size;
+    }
+  }
+  return values;
+}
+
+function encodeCoalesced(samples) {
+  if (!samples.some(s => Array.isArray(s.coalesced) && s.coalesced.length > 0)) return null;
+
+  const out = [];
+  const pushUint16 = v => out.push(v & 255, v >> 8);
+
+  for (const s of samples) {
+    const subs = Array.isArray(s.coalesced) ? s.coalesced : [];
+    writeVarint(out, subs.length);
+    const base = Math.round(s.tms * TMS_SCALE);
+    for (const c of subs) {
+      writeVarint(out, zigzag(Math.round(c.tms * TMS_SCALE) - base));
+      pushUint16(quantUnit(c.x));
+      pushUint16(quantUnit(c.y));
+      writeVarint(out, has(c.pressure) ? quantUnit(c.pressure) + 1 : 0);
+    }
+  }
+  return Buffer.from(out);
+}
+
+function decodeCoalesced(buf, tms) {
+  const values = new Array(tms.length);
+  const state = { pos: 0 };
+
+  for (let i = 0; i < tms.length; i++) {
+    const n = readVarint(buf, state);
+    if (n === 0) continue;
+
+    const base = Math.round(tms[i] * TMS_SCALE);
+    const subs = new Array(n);
+    for (let k = 0; k < n; k++) {
+      const offset = unzigzag(readVarint(buf, state));
+      const x = unquantUnit(buf.readUInt16LE(state.pos));
+      const y = unquantUnit(buf.readUInt16LE(state.pos + 2));
+      state.pos += 4;
+      const p = readVarint(buf, state);
+      subs[k] = { tms: (base + offset) / TMS_SCALE, x, y };
+      if (p > 0) subs[k].pressure = unquantUnit(p - 1);
+    }
+    values[i] = subs;
+  }
+  return values;
+}
+
+// ===== Public API =====
+
+/**
+ * Encode samples into binary columns
+ *
+ * @param {Array} samples - [{round, tms, x, y, isDown, pointerType, ...optional}, ...]
+ * @returns {Object} { v, count, tms, x, y, isDown, round, pointerType, ...optional columns }
+ */
+export function encodeSamples(samples) {
+  const packed = {
+    v: CODEC_VERSION,
+    count: samples.length,
+    tms: encodeTms(samples),
+    x: encodeCoord(samples, 'x'),
+    y: encodeCoord(samples, 'y'),
+    isDown: encodeBits(samples, 'isDown'),
+    round: encodeRuns(samples.map(s => s.round)),
+    pointerType: encodeRuns(samples.map(s => {
+      const idx = POINTER_TYPES.indexOf(s.pointerType || 'mouse');
+      return idx >= 0 ? idx : POINTER_TYPES.indexOf('unknown');
+    })),
+  };
+
+  for (const key of Object.keys(OPTIONAL_FIELDS)) {
+    const column = encodeOptional(samples, key);
+    if (column) packed[key] = column;
+  }
+  const coalesced = encodeCoalesced(samples);
+  if (coalesced) packed.coalesced = coalesced;
+
+  return packed;
+}
+
+/**
+ * Decode binary columns back into sample objects
+ *
+ * @param {Object} packed - output of encodeSamples (as stored)
+ * @returns {Array} [{round, tms, x, y, isDown, pointerType, ...optional}, ...]
+ */
+export function decodeSamples(packed) {
+  const count = packed?.count || 0;
+  if (count === 0) return [];
+
+  const tms = decodeTms(toBuffer(packed.tms), count);
+  const x = decodeCoord(toBuffer(packed.x), count);
+  const y = decodeCoord(toBuffer(packed.y), count);
+  const isDown = decodeBits(toBuffer(packed.isDown), count);
+  const round = decodeRuns(toBuffer(packed.round), count);
+  const pointerType = decodeRuns(toBuffer(packed.pointerType), count);
+
+  const optional = {};
+  for (const key of Object.keys(OPTIONAL_FIELDS)) {
+    if (packed[key]) optional[key] = decodeOptional(toBuffer(packed[key]), count, key);
+  }
+  const coalesced = packed.coalesced ? decodeCoalesced(toBuffer(packed.coalesced), tms) : null;
+
+  const samples = new Array(count);
+  for (let i = 0; i < count; i++) {
+    samples[i] = {
+      round: round[i],
+      tms: tms[i],
+      x: x[i],
+      y: y[i],
+      isDown: isDown[i],
+      pointerType: POINTER_TYPES[pointerType[i]],
+    };
+    for (const key in optional) {
+      if (optional[key][i] !== undefined) samples[i][key] = optional[key][i];
+    }
+    if (coalesced && coalesced[i]) samples[i].coalesced = coalesced[i];
+  }
+  return samples;
+}
+
+export default {
+  CODEC_VERSION,
+  POINTER_TYPES,
+  encodeSamples,
+  decodeSamples,
+};
@@ -0,0 +1,174 @@
+/**
+ * Pointer Trace Quality Analysis
+ *
+ * Browsers throttle pointer events and background tabs stop sending them,
+ * so the real sampling rate can differ a lot from the client's estimate.
+ * This module measures it from the stored samples:
+ * - Sampling rate from the median inter-sample interval (robust to gaps)
+ * - Jitter (SD of intervals, gaps excluded)
+ * - Gaps longer than a threshold
+ *
+ * It also provides linear resampling onto a uniform time grid, used
+ * before feature extraction when an even sample rate is required.
+ */
+
+import { mean, std, quantile, median } from './stats.js';
+
+export const DEFAULT_GAP_THRESHOLD_MS = 100;
+
+/**
+ * Quality metrics for one tms-sorted run of samples
+ *
+ * @param {Array} samples - [{tms, ...}] sorted by tms
+ * @param {Number} gapThresholdMs - intervals longer than this are gaps
+ * @returns {Object} Quality metrics
+ */
+export function measureSampling(samples, gapThresholdMs = DEFAULT_GAP_THRESHOLD_MS) {
+  const n = samples.length;
+
+  if (n < 2) {
+    return {
+      nSamples: n,
+      durationMs: 0,
+      samplingHz: null,
+      effectiveHz: null,
+      meanIntervalMs: null,
+      medianIntervalMs: null,
+      p95IntervalMs: null,
+      jitterMs: null,
+      gapCount: 0,
+      gapTotalMs: 0,
+      maxGapMs: 0,
+      gaps: [],
+    };
+  }
+
+  const intervals = [];
+  const gaps = [];
+
+  for (let i = 1; i < n; i++) {
+    const dt = samples[i].tms - samples[i - 1].tms;
+    if (dt > gapThresholdMs) {
+      gaps.push({
+        startTms: samples[i - 1].tms,
+        endTms: samples[i].tms,
+        durationMs: dt,
+      });
+    } else if (dt > 0) {
+      intervals.push(dt);
+    }
+  }
+
+  const durationMs = samples[n - 1].tms - samples[0].tms;
+  const medianIntervalMs = median(intervals);
+  const gapTotalMs = gaps.reduce((sum, g) => sum + g.durationMs, 0);
+  const activeMs = durationMs - gapTotalMs;
+
+  return {
+    nSamples: n,
+    durationMs,
+    samplingHz: medianIntervalMs ? 1000 / medianIntervalMs : null,
+    effectiveHz: activeMs > 0 ? ((n - 1 - gaps.length) * 1000) / activeMs : null,
+    meanIntervalMs: mean(intervals),
+    medianIntervalMs,
+    p95IntervalMs: quantile(intervals, 0.95),
+    jitterMs: std(intervals),
+    gapCount: gaps.length,
+    gapTotalMs,
+    maxGapMs: gaps.length ? Math.max(...gaps.map(g => g.durationMs)) : 0,
+    gaps,
+  };
+}
+
+/**
+ * Quality metrics for a whole trace, overall and per round
+ *
+ * @param {Array} samples - [{round, tms, ...}] sorted by tms
+ * @param {Object} options
+ * @param {Number} options.gapThresholdMs - gap threshold (default 100 ms)
+ * @returns {Object} { overall, rounds: { 1: {...}, 2: {...}, 3: {...} } }
+ */
+export function analyzeTraceQuality(samples, { gapThresholdMs = DEFAULT_GAP_THRESHOLD_MS } = {}) {
+  const byRound = {};
+  for (const s of samples) {
+    (byRound[s.round] = byRound[s.round] || []).push(s);
+  }
+
+  const rounds = {};
+  for (const [round, roundSamples] of Object.entries(byRound)) {
+    rounds[round] = measureSampling(roundSamples, gapThresholdMs);
+  }
+
+  // Overall: pooled over rounds so breaks between rounds are not counted as gaps
+  const roundStats = Object.values(rounds);
+  const allIntervals = [];
+  for (const roundSamples of Object.values(byRound)) {
+    for (let i = 1; i < roundSamples.length; i++) {
+      const dt = roundSamples[i].tms - roundSamples[i - 1].tms;
+      if (dt > 0 && dt <= gapThresholdMs) allIntervals.push(dt);
+    }
+  }
+  const medianIntervalMs = median(allIntervals);
+
+  return {
+    gapThresholdMs,
+    overall: {
+      nSamples: samples.length,
+      samplingHz: medianIntervalMs ? 1000 / medianIntervalMs : null,
+      medianIntervalMs,
+      p95IntervalMs: quantile(allIntervals, 0.95),
+      jitterMs: std(allIntervals),
+      gapCount: roundStats.reduce((sum, r) => sum + r.gapCount, 0),
+      maxGapMs: roundStats.reduce((max, r) => Math.max(max, r.maxGapMs), 0),
+    },
+    rounds,
+  };
+}
+
+/**
+ * Resample a tms-sorted trace onto a uniform grid by linear interpolation.
+ * Grid points falling inside a gap longer than maxGapMs are skipped, so
+ * missing data is not invented.
+ *
+ * @param {Array} samples - [{tms, x, y, ...}] sorted by tms
+ * @param {Number} hz - target rate
+ * @param {Object} options
+ * @param {Number} options.maxGapMs - do not interpolate across longer gaps
+ * @returns {Array} Resampled samples (other fields copied from the earlier neighbour)
+ */
+export function resampleUniform(samples, hz, { maxGapMs = DEFAULT_GAP_THRESHOLD_MS } = {}) {
+  if (!hz || hz <= 0 || samples.length < 2) return samples.slice();
+
+  const step = 1000 / hz;
+  const out = [];
+  const t0 = samples[0].tms;
+  const tEnd = samples[samples.length - 1].tms;
+  let j = 0;
+
+  for (let t = t0; t <= tEnd + 1e-9; t += step) {
+    while (j < samples.length - 2 && samples[j + 1].tms < t) j++;
+
+    const a = samples[j];
+    const b = samples[j + 1];
+    const span = b.tms - a.tms;
+
+    if (span > maxGapMs) continue;
+
+    const f = span > 0 ? Math.min(Math.max((t - a.tms) / span, 0), 1) : 0;
+    out.push({
+      ...a,
+      tms: t,
+      x: a.x + (b.x - a.x) * f,
+      y: a.y + (b.y - a.y) * f,
+    });
+  }
+
+  return out;
+}
+
+export default {
+  DEFAULT_GAP_THRESHOLD_MS,
+  measureSampling,
+  analyzeTraceQuality,
+  resampleUniform,
+};
@@ -0,0 +1,151 @@
+/**
+ * Training Data Export - Flat Columns
+ *
+ * One row per session (or per round) with fixed metadata columns followed
+ * by the summary's features. Feature columns come from the feature version's
+ * column catalog (featureCatalog in utils/featureVersions.js), not from the
+ * stored summaries, so every export of a version has the same columns
+ * whatever rows it contains.
+ *
+ * Column types: 'string', 'number', 'boolean' (times are ISO 8601 strings).
+ */
+
+export const EXPORT_FORMATS = ['csv', 'ndjson', 'parquet'];
+export const EXPORT_LEVELS = ['session', 'round'];
+
+// ===== Metadata columns: [name, type, description, get(summary, session, label)] =====
+
+const IDENTITY_COLUMNS = [
+  ['sessionId', 'string', 'Session ID', s => s.sessionId],
+  ['participantId', 'string', 'Anonymized participant ID', s => s.participantId],
+  ['featureVersion', 'string', 'Feature version of the features', s => s.featureVersion],
+  ['includeFlagged', 'boolean', 'Outlier-flagged attempts were included', s => s.includeFlagged ?? false],
+  ['summaryUpdatedAt', 'string', 'When the summary was last computed (ISO 8601)', s => s.updatedAt && new Date(s.updatedAt).toISOString()],
+];
+
+const ROUND_COLUMNS = [
+  ['round', 'number', 'Round number (1-3)', s => s.round],
+];
+
+const SESSION_COLUMNS = [
+  ['label_level', 'string', 'normal / mild / moderate / severe / unknown', (s, session, label) => label?.level],
+  ['label_score', 'number', 'Label score', (s, session, label) => label?.score],
+  ['label_source', 'string', 'self_report / percentile / clinician / hybrid / none', (s, session, label) => label?.source],
+  ['label_version', 'number', 'Label version', (s, session, label) => label?.version],
+  ['ageBucket', 'string', 'Age bucket (18-24 ... 65+, unknown)', (s, session) => session?.userInfo?.ageBucket],
+  ['gender', 'string', 'Gender as reported', (s, session) => session?.userInfo?.gender],
+  ['pointerPrimary', 'string', 'mouse / touchpad / touch / pen / unknown', (s, session) => session?.device?.pointerPrimary],
+  ['os', 'string', 'Operating system', (s, session) => session?.device?.os],
+  ['browser', 'string', 'Browser', (s, session) => session?.device?.browser],
+  ['screen_width', 'number', 'Screen width (CSS px)', (s, session) => session?.screen?.width],
+  ['screen_height', 'number', 'Screen height (CSS px)', (s, session) => session?.screen?.height],
+  ['screen_dpr', 'number', 'Device pixel ratio', (s, session) => session?.screen?.dpr ?? session?.devicePixelRatio],
+  ['perf_samplingHzTarget', 'number', 'Target pointer sampling rate (Hz)', (s, session) => session?.perf?.samplingHzTarget],
+  ['perf_samplingHzEstimated', 'number', 'Client-estimated sampling rate (Hz)', (s, session) => session?.perf?.samplingHzEstimated],
+  ['perf_samplingHzMeasured', 'number', 'Measured sampling rate (Hz)', (s, session) => session?.perf?.samplingHzMeasured],
+  ['perf_samplingJitterMs', 'number', 'Measured sampling jitter (ms)', (s, session) => session?.perf?.samplingJitterMs],
+  ['perf_gapCount', 'number', 'Trace gaps', (s, session) => session?.perf?.gapCount],
+  ['perf_avgFrameMs', 'number', 'Average frame time (ms)', (s, session) => session?.perf?.avgFrameMs],
+  ['perf_p95FrameMs', 'number', '95th percentile frame time (ms)', (s, session) => session?.perf?.p95FrameMs],
+  ['perf_droppedFrames', 'number', 'Dropped frames', (s, session) => session?.perf?.droppedFrames],
+  ['perf_inputLagMsEstimate', 'number', 'Estimated input lag (ms)', (s, session) => session?.perf?.inputLagMsEstimate],
+  ['game_gameVersion', 'string', 'Game version', (s, session) => session?.game?.gameVersion],
+  ['game_metricsVersion', 'string', 'Client metrics version', (s, session) => session?.game?.metricsVersion],
+  ['game_difficultyPreset', 'string', 'Difficulty preset', (s, session) => session?.game?.difficultyPreset],
+  ['game_roundCount', 'number', 'Rounds in the game', (s, session) => session?.game?.roundCount],
+  ['game_columns', 'number', 'Bubble columns', (s, session) => session?.game?.columns],
+  ['game_bubbleRadiusPx', 'number', 'Bubble radius (px)', (s, session) => session?.game?.bubbleRadiusPx],
+  ['game_bubbleTTLms', 'number', 'Bubble lifetime (ms)', (s, session) => session?.game?.bubbleTTLms],
+  ['game_spawnRate', 'number', 'Bubble spawn rate', (s, session) => session?.game?.spawnRate],
+];
+
+/**
+ * Metadata columns of an export level
+ *
+ * @param {String} level - 'session' or 'round'
+ * @returns {Array} [{ name, type, description }]
+ */
+export function metadataColumns(level) {
+  const columns = level === 'round'
+    ? [...IDENTITY_COLUMNS.slice(0, 2), ...ROUND_COLUMNS, ...IDENTITY_COLUMNS.slice(2), ...SESSION_COLUMNS]
+    : [...IDENTITY_COLUMNS, ...SESSION_COLUMNS];
+  return columns.map(([name, type, description, get]) => ({ name, type, description, get }));
+}
+
+/**
+ * Feature columns from a version's feature catalog
+ *
+ * @param {Array} catalog - [{ name, type, description, group }]
+ * @param {Array} reserved - metadata column names (features never shadow them)
+ * @returns {Array} [{ name, type, description, feature }]
+ */
+export function featureColumns(catalog, reserved = []) {
+  return catalog.map(({ name, type, description }) => ({
+    name: reserved.includes(name) ? `feature_${name}` : name,
+    type,
+    description,
+    feature: name,
+  }));
+}
+
+/**
+ * One flat row
+ *
+ * @param {Array} columns - metadata and feature columns
+ * @param {Object} summary - round or session summary (lean)
+ * @param {Object} session - Session (lean)
+ * @param {Object} label - session label
+ * @returns {Object} { columnName: value|null }
+ */
+export function toRow(columns, summary, session, label) {
+  const row = {};
+  for (const column of columns) {
+    const value = column.get
+      ? column.get(summary, session, label)
+      : summary.features?.[column.feature];
+    row[column.name] = coerce(value, column.type);
+  }
+  return row;
+}
+
+// Helper: value in the column's type (null when missing or mismatched)
+function coerce(value, type) {
+  if (value == null) return null;
+  switch (type) {
+    case 'number': return typeof value === 'number' && Number.isFinite(value) ? value : null;
+    case 'boolean': return typeof value === 'boolean' ? value : null;
+    default: return String(value);
+  }
+}
+
+// Helper: one CSV field (RFC 4180 quoting)
+function csvField(value) {
+  if (value == null) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV line of values (with trailing newline)
+ */
+export function csvLine(values) {
+  return values.map(csvField).join(',') + '\n';
+}
+
+/**
+ * Parquet schema definition (for parquetjs-lite's ParquetSchema)
+ */
+export function parquetSchemaFields(columns) {
+  const types = { string: 'UTF8', number: 'DOUBLE', boolean: 'BOOLEAN' };
+  return Object.fromEntries(columns.map(c => [c.name, { type: types[c.type], optional: true }]));
+}
+
+export default {
+  EXPORT_FORMATS,
+  EXPORT_LEVELS,
+  metadataColumns,
+  featureColumns,
+  toRow,
+  csvLine,
+  parquetSchemaFields,
+};
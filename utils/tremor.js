@@ -0,0 +1,222 @@
+import { measureSampling, resampleUniform, DEFAULT_GAP_THRESHOLD_MS } from './traceQuality.js';
+
+/**
+ * Tremor Frequency Analysis
+ *
+ * Spectral features of the pointer trace:
+ * - Power in the 4-12 Hz physiological/pathological tremor band
+ * - Dominant frequency (overall, and peak inside the tremor band)
+ * - Tremor-to-movement power ratio (movement band: below 4 Hz)
+ *
+ * x and y are put on a uniform grid, linearly detrended and Hann-windowed;
+ * their power spectral densities are summed. A whole round is analysed
+ * Welch-style (overlapping windows over its gap-free stretches). The band
+ * needs a sampling rate of at least 2 x 12 Hz; slower traces are flagged
+ * with `lowSamplingRate` and only the resolvable part of the band is used.
+ */
+
+export const TREMOR_BAND_HZ = [4, 12];
+
+const WINDOW_SEC = 2;         // Welch window for round-level spectra
+const MIN_SEGMENT_SEC = 0.5;  // two cycles of the slowest tremor frequency
+
+// ===== Signal helpers =====
+
+// Helper: remove the least-squares line
+function detrend(values) {
+  const n = values.length;
+  const tMean = (n - 1) / 2;
+  const vMean = values.reduce((a, b) => a + b, 0) / n;
+  let num = 0;
+  let den = 0;
+  for (let i = 0; i < n; i++) {
+    num += (i - tMean) * (values[i] - vMean);
+    den += (i - tMean) * (i - tMean);
+  }
+  const slope = den > 0 ? num / den : 0;
+  return values.map((v, i) => v - vMean - slope * (i - tMean));
+}
+
+// Helper: in-place iterative radix-2 FFT (length must be a power of two)
+function fft(re, im) {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+  for (let len = 2; len <= n; len <<= 1) {
+    const ang = (-2 * Math.PI) / len;
+    for (let i = 0; i < n; i += len) {
+      for (let k = 0; k < len / 2; k++) {
+        const wr = Math.cos(ang * k);
+        const wi = Math.sin(ang * k);
+        const a = i + k;
+        const b = a + len / 2;
+        const xr = re[b] * wr - im[b] * wi;
+        const xi = re[b] * wi + im[b] * wr;
+        re[b] = re[a] - xr;
+        im[b] = im[a] - xi;
+        re[a] += xr;
+        im[a] += xi;
+      }
+    }
+  }
+}
+
+const nextPow2 = n => 2 ** Math.ceil(Math.log2(Math.max(n, 2)));
+
+// Helper: one-sided PSD of a detrended, Hann-windowed signal (zero-padded to nfft)
+function psd(values, fs, nfft) {
+  const n = values.length;
+  const re = new Array(nfft).fill(0);
+  const im = new Array(nfft).fill(0);
+  const detrended = detrend(values);
+  let wPower = 0;
+
+  for (let i = 0; i < n; i++) {
+    const w = n > 1 ? 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (n - 1)) : 1;
+    re[i] = detrended[i] * w;
+    wPower += w * w;
+  }
+  fft(re, im);
+
+  const out = new Array(nfft / 2 + 1);
+  for (let k = 0; k <= nfft / 2; k++) {
+    const p = (re[k] * re[k] + im[k] * im[k]) / (fs * wPower);
+    out[k] = k === 0 || k === nfft / 2 ? p : 2 * p;
+  }
+  return out;
+}
+
+// Helper: summed x + y PSD of uniform samples
+function traceSpectrum(samples, fs, nfft) {
+  const px = psd(samples.map(s => s.x), fs, nfft);
+  const py = psd(samples.map(s => s.y), fs, nfft);
+  return px.map((p, k) => p + py[k]);
+}
+
+/**
+ * Spectral features from a (averaged) PSD
+ *
+ * @param {Array} spectrum - one-sided PSD, bins 0..nfft/2
+ * @param {Number} fs - sampling rate of the grid
+ * @returns {Object} Tremor features
+ */
+function spectrumFeatures(spectrum, fs) {
+  const nyquist = fs / 2;
+  const df = fs / (2 * (spectrum.length - 1));
+  const [lo, hi] = TREMOR_BAND_HZ;
+
+  let bandPower = 0;
+  let movementPower = 0;
+  let dominantK = 1;
+  let peakK = null;
+
+  for (let k = 1; k < spectrum.length; k++) {
+    const f = k * df;
+    if (spectrum[k] > spectrum[dominantK]) dominantK = k;
+    if (f < lo) {
+      movementPower += spectrum[k] * df;
+    } else if (f <= hi) {
+      bandPower += spectrum[k] * df;
+      if (peakK === null || spectrum[k] > spectrum[peakK]) peakK = k;
+    }
+  }
+
+  const resolvable = nyquist > lo;
+
+  return {
+    samplingHz: fs,
+    lowSamplingRate: nyquist < hi,
+    bandPower: resolvable ? bandPower : null,
+    movementPower,
+    ratio: resolvable && movementPower > 0 ? bandPower / movementPower : null,
+    dominantFreqHz: dominantK * df,
+    peakHz: resolvable && peakK !== null ? peakK * df : null,
+  };
+}
+
+// Helper: sampling rate to analyse at (given, else measured)
+function rateOf(samples, fs, gapThresholdMs) {
+  if (fs > 0) return fs;
+  return measureSampling(samples, gapThresholdMs).samplingHz;
+}
+
+/**
+ * Tremor features of one attempt's movement segment (single window)
+ *
+ * @param {Array} seg - [{tms, x, y}] sorted by tms
+ * @param {Object} options
+ * @param {Number} options.fs - rate of an already uniform segment (optional, else measured)
+ * @returns {Object} Tremor features, or {} when the segment is too short
+ */
+export function attemptTremor(seg, { fs = null, gapThresholdMs = DEFAULT_GAP_THRESHOLD_MS } = {}) {
+  const rate = rateOf(seg, fs, gapThresholdMs);
+  if (!rate || seg.length < 4) return {};
+
+  const uniform = fs > 0 ? seg : resampleUniform(seg, rate, { maxGapMs: gapThresholdMs });
+  if (uniform.length < 4 || uniform.length < MIN_SEGMENT_SEC * rate) return {};
+
+  return spectrumFeatures(traceSpectrum(uniform, rate, nextPow2(uniform.length)), rate);
+}
+
+/**
+ * Tremor features of a longer trace (e.g. a round), Welch-averaged over
+ * overlapping windows inside its gap-free stretches
+ *
+ * @param {Array} samples - [{tms, x, y}] sorted by tms
+ * @param {Object} options
+ * @param {Number} options.gapThresholdMs - stretches are split at longer gaps
+ * @returns {Object} Tremor features plus nWindows; {} without enough data
+ */
+export function traceTremor(samples, { gapThresholdMs = DEFAULT_GAP_THRESHOLD_MS } = {}) {
+  const rate = rateOf(samples, null, gapThresholdMs);
+  if (!rate) return {};
+
+  // Split at gaps
+  const stretches = [];
+  let current = [];
+  for (const s of samples) {
+    if (current.length && s.tms - current[current.length - 1].tms > gapThresholdMs) {
+      stretches.push(current);
+      current = [];
+    }
+    current.push(s);
+  }
+  if (current.length) stretches.push(current);
+
+  const winLen = Math.max(4, Math.round(WINDOW_SEC * rate));
+  const step = Math.floor(winLen / 2);
+  const nfft = nextPow2(winLen);
+  let sum = null;
+  let nWindows = 0;
+
+  for (const stretch of stretches) {
+    const uniform = resampleUniform(stretch, rate, { maxGapMs: gapThresholdMs });
+    for (let start = 0; start + winLen <= uniform.length; start += step) {
+      const spectrum = traceSpectrum(uniform.slice(start, start + winLen), rate, nfft);
+      sum = sum ? sum.map((p, k) => p + spectrum[k]) : spectrum;
+      nWindows++;
+    }
+  }
+
+  if (nWindows === 0) {
+    return { samplingHz: rate, lowSamplingRate: rate / 2 < TREMOR_BAND_HZ[1], nWindows: 0 };
+  }
+
+  return {
+    ...spectrumFeatures(sum.map(p => p / nWindows), rate),
+    nWindows,
+  };
+}
+
+export default {
+  TREMOR_BAND_HZ,
+  attemptTremor,
+  traceTremor,
+};